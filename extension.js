@@ -25,6 +25,7 @@ import {
     Extension,
     gettext as _,
 } from 'resource:///org/gnome/shell/extensions/extension.js';
+import * as BoxPointer from 'resource:///org/gnome/shell/ui/boxpointer.js';
 import * as PanelMenu from 'resource:///org/gnome/shell/ui/panelMenu.js';
 import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
 
@@ -32,11 +33,15 @@ import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 import { ProviderStatus } from './lib/providerStatus.js';
 import { SettingsManager } from './lib/settingsManager.js';
 import { NotificationManager } from './lib/notificationManager.js';
-import {
-    DBUS_NAME,
-    DBUS_PATH,
-    DBUS_INTERFACE,
-} from './lib/dbusUtils.js';
+import { FailoverMonitor } from './lib/failoverMonitor.js';
+import { ProviderScheduler } from './lib/providerScheduler.js';
+import { BudgetGuard } from './lib/budgetGuard.js';
+import { ConfigWatcher } from './lib/configWatcher.js';
+import { ProviderShortcuts } from './lib/providerShortcuts.js';
+import { ProviderQuickSettings } from './lib/providerQuickSettings.js';
+import { DBusService } from './lib/dbusService.js';
+import { providerNeedsKey } from './lib/providerTypes.js';
+import { getTargetProfileRoot } from './lib/claudeProfiles.js';
 
 /**
  * @class Indicator
@@ -61,8 +66,15 @@ const Indicator = GObject.registerClass(
                 })
             );
 
+            this._configWatcher = extension._configWatcher;
             this._buildMenu();
             this._connectSettingsSignals();
+
+            // settings.json 被外部修改后刷新勾选状态
+            this._configWatcherId = this._configWatcher?.connect(
+                'changed',
+                () => this._rebuildMenu()
+            );
         }
 
         /**
@@ -73,6 +85,10 @@ const Indicator = GObject.registerClass(
             const signals = {
                 'changed::api-providers': () => this._rebuildMenu(),
                 'changed::current-provider': () => this._updateCurrentProvider(),
+                'changed::schedule-enabled': () => this._rebuildMenu(),
+                'changed::schedule-paused-until': () => this._rebuildMenu(),
+                'changed::project-overrides': () => this._rebuildMenu(),
+                'changed::budget-model-override': () => this._rebuildMenu(),
             };
 
             for (const signal in signals) {
@@ -89,10 +105,146 @@ const Indicator = GObject.registerClass(
         _buildMenu() {
             this.menu.removeAll();
             this._addProviderMenuItems();
+            this._addImportMenuItem();
             this.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+            this._addProjectsMenuItem();
+            this._addTestMenuItem();
+            this._addScheduleMenuItem();
             this._addPreferencesMenuItem();
         }
 
+        /**
+         * Adds the menu item for importing settings.json values that match no provider.
+         * @private
+         */
+        _addImportMenuItem() {
+            const candidate = this._configWatcher?.getImportCandidate();
+            if (!candidate) {
+                return;
+            }
+
+            let importItem = new PopupMenu.PopupMenuItem(
+                _('Import from settings.json: ') +
+                    (candidate.url || _('Official API'))
+            );
+            importItem.connect('activate', () => {
+                this._configWatcher
+                    .importCandidate()
+                    .then((provider) => {
+                        if (provider) {
+                            Main.notify(_('Imported as: ') + provider.name);
+                        }
+                    })
+                    .catch((e) => {
+                        console.error('Error importing provider:', e);
+                        Main.notify(
+                            _('Configuration Error'),
+                            _('Failed to import the provider.')
+                        );
+                    });
+            });
+            this.menu.addMenuItem(importItem);
+        }
+
+        /**
+         * Adds a submenu listing the project directories that use their own provider.
+         * @private
+         */
+        _addProjectsMenuItem() {
+            const settingsManager = this._extension?.settingsManager;
+            const overrides = settingsManager?.getProjectOverrides() || [];
+            if (overrides.length === 0) {
+                return;
+            }
+
+            let projectsItem = new PopupMenu.PopupSubMenuMenuItem(
+                _('Projects')
+            );
+            overrides.forEach(({ path, providerId }) => {
+                const provider = settingsManager.getProvider(providerId);
+                let item = new PopupMenu.PopupMenuItem(
+                    GLib.path_get_basename(path) +
+                        ': ' +
+                        (provider ? provider.name : _('Unknown provider'))
+                );
+                // 打开项目目录
+                item.connect('activate', () => {
+                    try {
+                        Gio.AppInfo.launch_default_for_uri(
+                            GLib.filename_to_uri(path, null),
+                            null
+                        );
+                    } catch (e) {
+                        console.error(`Failed to open ${path}:`, e);
+                    }
+                });
+                projectsItem.menu.addMenuItem(item);
+            });
+            this.menu.addMenuItem(projectsItem);
+        }
+
+        /**
+         * Adds the menu item for testing the connection of the current provider.
+         * @private
+         */
+        _addTestMenuItem() {
+            const currentProvider =
+                this._settings.get_string('current-provider');
+            let testItem = new PopupMenu.PopupMenuItem(
+                _('Test Current Provider')
+            );
+            testItem.setSensitive(!!currentProvider);
+            testItem.connect('activate', () =>
+                this._testProvider(currentProvider)
+            );
+            this.menu.addMenuItem(testItem);
+        }
+
+        /**
+         * Adds the menu item for resuming a paused provider schedule.
+         * @private
+         */
+        _addScheduleMenuItem() {
+            const scheduler = this._extension?._providerScheduler;
+            const pausedUntil = scheduler?.getPausedUntil();
+            if (!pausedUntil || !scheduler.isActive()) {
+                return;
+            }
+
+            let resumeItem = new PopupMenu.PopupMenuItem(
+                _('Resume Schedule (paused until ') +
+                    pausedUntil.format('%a %H:%M') +
+                    ')'
+            );
+            resumeItem.connect('activate', () => scheduler.resume());
+            this.menu.addMenuItem(resumeItem);
+        }
+
+        /**
+         * Tests a provider connection and shows the result as a notification.
+         * @param {string} providerId - The ID of the provider to test.
+         * @private
+         */
+        async _testProvider(providerId) {
+            const providerStatus = this._extension?._providerStatus;
+            const provider =
+                this._extension?.settingsManager.getProvider(providerId);
+            if (!providerStatus || !provider) {
+                return;
+            }
+
+            try {
+                const result = await providerStatus.testProvider(providerId);
+                Main.notify(
+                    provider.name,
+                    providerStatus.describeTestResult(result) +
+                        (result.message ? `\n${result.message}` : '')
+                );
+            } catch (e) {
+                console.error('Error testing provider:', e);
+            }
+        }
+
         /**
          * Adds the menu item for opening preferences.
          * @private
@@ -117,8 +269,10 @@ const Indicator = GObject.registerClass(
                 }
 
                 const providers = JSON.parse(providersJson);
-                const currentProvider =
-                    this._settings.get_string('current-provider');
+                // settings.json 被外部改成未知的值时不显示勾选
+                const currentProvider = this._configWatcher?.isUnmatched()
+                    ? null
+                    : this._settings.get_string('current-provider');
 
                 if (!Array.isArray(providers) || providers.length === 0) {
                     this._addNoProvidersItem();
@@ -136,17 +290,33 @@ const Indicator = GObject.registerClass(
                             return;
                         }
 
-                        let item = new PopupMenu.PopupMenuItem(provider.name);
+                        // 有可选模型的提供商使用子菜单
+                        const models =
+                            this._extension.settingsManager.getProviderModels(
+                                provider
+                            );
+                        let item;
+                        if (models.length > 0) {
+                            item = new PopupMenu.PopupSubMenuMenuItem(
+                                provider.name
+                            );
+                            this._addModelMenuItems(
+                                item.menu,
+                                provider,
+                                models
+                            );
+                        } else {
+                            item = new PopupMenu.PopupMenuItem(provider.name);
+                            item.connect('activate', () => {
+                                this._selectProvider(provider.id);
+                            });
+                        }
 
                         // 如果是当前选中的提供商，添加勾选标记
-                        if (provider.name === currentProvider) {
+                        if (provider.id === currentProvider) {
                             item.setOrnament(PopupMenu.Ornament.CHECK);
                         }
 
-                        item.connect('activate', () => {
-                            this._selectProvider(provider.name);
-                        });
-
                         this.menu.addMenuItem(item);
                     } catch (itemError) {
                         console.error(
@@ -161,6 +331,74 @@ const Indicator = GObject.registerClass(
             }
         }
 
+        /**
+         * Adds the items of a provider submenu: switching to the provider and
+         * choosing its large and small model. While the budget has downgraded
+         * the model, the large model checked is the one written to settings.json.
+         * @param {PopupMenu.PopupMenuSection} menu - The submenu.
+         * @param {object} provider - The provider object.
+         * @param {Array<string>} models - The models to choose from.
+         * @private
+         */
+        _addModelMenuItems(menu, provider, models) {
+            let useItem = new PopupMenu.PopupMenuItem(_('Use This Provider'));
+            useItem.connect('activate', () => this._selectProvider(provider.id));
+            menu.addMenuItem(useItem);
+
+            const budgetModel = this._settings.get_string(
+                'budget-model-override'
+            );
+            const fields = [
+                ['largeModel', _('Large Model')],
+                ['smallModel', _('Small Model')],
+            ];
+            for (const [field, title] of fields) {
+                menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem(title));
+
+                // 预算降级期间写入的大模型是降级模型，选择的模型在降级结束后生效
+                const enforced = field === 'largeModel' ? budgetModel : '';
+                const fieldModels =
+                    enforced && !models.includes(enforced)
+                        ? [...models, enforced]
+                        : models;
+                fieldModels.forEach((model) => {
+                    let modelItem = new PopupMenu.PopupMenuItem(
+                        model === enforced
+                            ? `${model} (${_('budget limit')})`
+                            : model
+                    );
+                    if ((enforced || provider[field]) === model) {
+                        modelItem.setOrnament(PopupMenu.Ornament.CHECK);
+                    }
+                    modelItem.connect('activate', () =>
+                        this._selectModel(provider.id, field, model)
+                    );
+                    menu.addMenuItem(modelItem);
+                });
+            }
+        }
+
+        /**
+         * Changes the large or small model of a provider.
+         * @param {string} providerId - The ID of the provider.
+         * @param {string} field - 'largeModel' or 'smallModel'.
+         * @param {string} model - The model to use.
+         * @private
+         */
+        _selectModel(providerId, field, model) {
+            this._extension.settingsManager
+                .setProviderModels(providerId, { [field]: model })
+                .catch((e) => {
+                    console.error('Error changing model:', e);
+                    Main.notify(
+                        _('Configuration Error'),
+                        _(
+                            'Failed to save configuration. Please check extension settings.'
+                        )
+                    );
+                });
+        }
+
         /**
          * Adds a "No configured providers" item to the menu.
          * @private
@@ -186,13 +424,22 @@ const Indicator = GObject.registerClass(
 
         /**
          * Selects an API provider.
-         * @param {string} providerName - The name of the provider to select.
+         * @param {string} providerId - The ID of the provider to select.
          * @private
          */
-        _selectProvider(providerName) {
+        async _selectProvider(providerId) {
             try {
-                if (this._checkProviderKey(providerName)) {
-                    this._settings.set_string('current-provider', providerName);
+                const provider =
+                    this._extension.settingsManager.getProvider(providerId);
+                if (!provider) {
+                    console.warn(`Provider '${providerId}' not found`);
+                    return;
+                }
+
+                if (await this._checkProviderKey(providerId)) {
+                    // 手动切换后暂停定时切换，直到下一个规则边界
+                    this._extension._providerScheduler?.pauseUntilNextBoundary();
+                    this._settings.set_string('current-provider', providerId);
                     this._extension.settingsManager
                         .syncToLocalFile()
                         .catch((e) => {
@@ -204,9 +451,9 @@ const Indicator = GObject.registerClass(
                                 )
                             );
                         });
-                    Main.notify(_('Switched to: ') + providerName);
+                    Main.notify(_('Switched to: ') + provider.name);
                 } else {
-                    this._showConfigureKeyNotification(providerName);
+                    this._showConfigureKeyNotification(provider.name);
                 }
             } catch (e) {
                 console.error('Error selecting provider:', e);
@@ -218,46 +465,141 @@ const Indicator = GObject.registerClass(
         }
 
         /**
-         * Checks if a provider has a valid API key.
-         * @param {string} providerName - The name of the provider to check.
-         * @returns {boolean} - True if the key is valid, false otherwise.
+         * Selects the provider after the current one, wrapping around.
          * @private
          */
-        _checkProviderKey(providerName) {
-            try {
-                if (!providerName || typeof providerName !== 'string') {
-                    console.warn('Invalid provider name:', providerName);
-                    return false;
+        _selectNextProvider() {
+            const providers = this._extension.settingsManager.getAllProviders();
+            if (providers.length === 0) {
+                return;
+            }
+
+            const currentId = this._settings.get_string('current-provider');
+            const index = providers.findIndex((p) => p?.id === currentId);
+            const next = providers[(index + 1) % providers.length];
+            this._selectProvider(next.id);
+        }
+
+        /**
+         * Opens a small menu below the indicator that lists only the providers,
+         * for choosing one with the keyboard. Opens below the Quick Settings
+         * button when the indicator is hidden.
+         * @private
+         */
+        _showProviderSwitcher() {
+            this._destroyProviderSwitcher();
+            this.menu.close();
+
+            const providers = this._extension.settingsManager
+                .getAllProviders()
+                .filter((p) => p && typeof p.name === 'string');
+            if (providers.length === 0) {
+                Main.notify(_('No configured providers'));
+                return;
+            }
+
+            // 面板按钮隐藏时显示在快速设置按钮下方
+            const sourceActor = this.container.visible
+                ? this
+                : Main.panel.statusArea.quickSettings;
+            const menu = new PopupMenu.PopupMenu(
+                sourceActor,
+                0.5,
+                St.Side.TOP
+            );
+            menu.actor.hide();
+            Main.uiGroup.add_child(menu.actor);
+            this._switcherMenuManager = new PopupMenu.PopupMenuManager(this);
+            this._switcherMenuManager.addMenu(menu);
+            this._switcherMenu = menu;
+
+            menu.addMenuItem(
+                new PopupMenu.PopupSeparatorMenuItem(_('Switch Provider'))
+            );
+            // 键盘焦点放在当前提供商上，没有时放在第一个
+            const currentId = this._settings.get_string('current-provider');
+            let firstItem = null;
+            let currentItem = null;
+            providers.forEach((provider) => {
+                let item = new PopupMenu.PopupMenuItem(provider.name);
+                if (provider.id === currentId) {
+                    item.setOrnament(PopupMenu.Ornament.CHECK);
+                    currentItem = item;
+                }
+                if (!firstItem) {
+                    firstItem = item;
                 }
+                item.connect('activate', () =>
+                    this._selectProvider(provider.id)
+                );
+                menu.addMenuItem(item);
+            });
 
-                const providersJson =
-                    this._settings.get_string('api-providers');
-                if (!providersJson || providersJson.trim() === '') {
-                    console.warn('No providers configuration found');
+            // 关闭后销毁，下次打开时重新列出提供商
+            menu.connect('open-state-changed', (_menu, open) => {
+                if (!open && this._switcherMenu === menu) {
+                    GLib.idle_add(GLib.PRIORITY_DEFAULT, () => {
+                        if (this._switcherMenu === menu) {
+                            this._destroyProviderSwitcher();
+                        }
+                        return GLib.SOURCE_REMOVE;
+                    });
+                }
+            });
+
+            menu.open(BoxPointer.PopupAnimation.FULL);
+            (currentItem || firstItem).grab_key_focus();
+        }
+
+        /**
+         * Destroys the provider switcher menu.
+         * @private
+         */
+        _destroyProviderSwitcher() {
+            if (!this._switcherMenu) {
+                return;
+            }
+
+            this._switcherMenuManager.removeMenu(this._switcherMenu);
+            this._switcherMenu.destroy();
+            this._switcherMenu = null;
+            this._switcherMenuManager = null;
+        }
+
+        /**
+         * Checks if a provider has a valid API key in the keyring.
+         * @param {string} providerId - The ID of the provider to check.
+         * @returns {Promise<boolean>} - True if the key is valid, false otherwise.
+         * @private
+         */
+        async _checkProviderKey(providerId) {
+            try {
+                if (!providerId || typeof providerId !== 'string') {
+                    console.warn('Invalid provider ID:', providerId);
                     return false;
                 }
 
-                const providers = JSON.parse(providersJson);
-                if (!Array.isArray(providers)) {
-                    console.warn('Invalid providers format - not an array');
+                const settingsManager = this._extension?.settingsManager;
+                if (!settingsManager) {
                     return false;
                 }
 
-                const provider = providers.find(
-                    (p) => p && p.name === providerName
-                );
+                const provider = settingsManager.getProvider(providerId);
                 if (!provider) {
-                    console.warn(`Provider '${providerName}' not found`);
+                    console.warn(`Provider '${providerId}' not found`);
                     return false;
                 }
 
-                const hasValidKey =
-                    provider.key &&
-                    typeof provider.key === 'string' &&
-                    provider.key.trim() !== '';
+                // Bedrock 和 Vertex 可以使用云服务 SDK 的凭据
+                if (!providerNeedsKey(provider)) {
+                    return true;
+                }
+
+                const key = await settingsManager.getProviderKey(provider);
+                const hasValidKey = key.trim() !== '';
                 if (!hasValidKey) {
                     console.info(
-                        `Provider '${providerName}' has no valid API key`
+                        `Provider '${provider.name}' has no valid API key`
                     );
                 }
 
@@ -265,7 +607,7 @@ const Indicator = GObject.registerClass(
             } catch (e) {
                 console.error(
                     'Failed to check API key for provider:',
-                    providerName,
+                    providerId,
                     e
                 );
                 return false;
@@ -278,26 +620,12 @@ const Indicator = GObject.registerClass(
          * @private
          */
         _showConfigureKeyNotification(providerName) {
-            if (
-                providerName.includes('Anthropic') ||
-                providerName.includes('默认')
-            ) {
-                Main.notify(
-                    _('Please configure Anthropic API key first'),
-                    _(
-                        'Click "Add more.." button to open settings and configure the official API key for Anthropic provider.'
-                    )
-                );
-            } else {
-                Main.notify(
-                    _('Please configure API key for ') +
-                        providerName +
-                        _(' first'),
-                    _(
-                        'Click "Add more.." button to open settings and configure the API key for this provider.'
-                    )
-                );
-            }
+            Main.notify(
+                _('Please configure API key for ') + providerName + _(' first'),
+                _(
+                    'Click "Add more.." button to open settings and configure the API key for this provider.'
+                )
+            );
         }
 
         /**
@@ -341,9 +669,17 @@ const Indicator = GObject.registerClass(
                 this._signalIds = null;
             }
 
+            if (this._configWatcherId) {
+                this._configWatcher.disconnect(this._configWatcherId);
+                this._configWatcherId = 0;
+            }
+
+            this._destroyProviderSwitcher();
+
             // 清理引用
             this._extension = null;
             this._settings = null;
+            this._configWatcher = null;
 
             // 调用父类的destroy方法
             super.destroy();
@@ -356,13 +692,6 @@ const Indicator = GObject.registerClass(
  * @description The main class for the extension, handling enable/disable logic.
  */
 export default class IndicatorExampleExtension extends Extension {
-    // D-Bus method implementation
-    ShowNotification(notificationType) {
-        if (this._notificationManager) {
-            this._notificationManager.showNotification(notificationType);
-        }
-    }
-
     /**
      * Enables the extension.
      * This method is called when the extension is activated.
@@ -372,35 +701,128 @@ export default class IndicatorExampleExtension extends Extension {
         this.settingsManager = new SettingsManager(this._settings, this);
         this._providerStatus = new ProviderStatus(this);
         this._notificationManager = new NotificationManager(this._settings);
-        this._dbusOwnerId = 0;
-
-        this._dbusOwnerId = Gio.bus_own_name(
-            Gio.BusType.SESSION,
-            DBUS_NAME,
-            Gio.BusNameOwnerFlags.NONE,
-            (connection, name) => { // onBusAcquired
-                this._dbusExport = Gio.DBusExportedObject.wrapJSObject(DBUS_INTERFACE, this);
-                this._dbusExport.export(connection, DBUS_PATH);
-            },
-            () => {}, // onNameAcquired
-            () => { // onNameLost
-                if (this._dbusExport) {
-                    this._dbusExport.unexport();
-                    this._dbusExport = null;
-                }
-            }
-        );
- 
+
         this._providerStatus
             .initialize()
             .catch((e) =>
                 console.error('Failed to initialize Provider Status checker:', e)
             );
  
+        this._failoverMonitor = new FailoverMonitor(this);
+        this._failoverMonitor.start();
+
+        this._providerScheduler = new ProviderScheduler(this);
+        this._providerScheduler.start();
+
+        this._budgetGuard = new BudgetGuard(this);
+        this._budgetGuard.start();
+
+        this._configWatcher = new ConfigWatcher(this);
+
         this._indicator = new Indicator(this);
         Main.panel.addToStatusArea(this.uuid, this._indicator);
+
+        this._providerShortcuts = new ProviderShortcuts(this);
+        this._providerShortcuts.start();
  
+        this._checkExistingConfiguration();
         this._connectSettingsSync();
+        this._connectIndicatorMode();
+        this._configWatcher.start();
+
+        // 通知钩子和脚本使用的 D-Bus 接口
+        this._dbusService = new DBusService(this);
+        this._dbusService.start();
+    }
+
+    /**
+     * Shows the panel button, the Quick Settings toggle or both, and follows
+     * changes of the indicator mode.
+     * @private
+     */
+    _connectIndicatorMode() {
+        for (const key of ['indicator-mode', 'show-indicator']) {
+            this._settingsChangedIds.push(
+                this._settings.connect(`changed::${key}`, () =>
+                    this._updateIndicatorMode()
+                )
+            );
+        }
+        this._updateIndicatorMode();
+    }
+
+    /**
+     * Applies the indicator mode. A hidden panel button stays in the panel,
+     * since the toggle and the shortcuts switch providers through it.
+     * @private
+     */
+    _updateIndicatorMode() {
+        const mode = this._settings.get_string('indicator-mode');
+
+        const showButton =
+            mode !== 'quick-settings' &&
+            this._settings.get_boolean('show-indicator');
+        if (!showButton) {
+            this._indicator.menu.close();
+        }
+        this._indicator.container.visible = showButton;
+
+        const showToggle = mode !== 'panel-button';
+        if (showToggle && !this._quickSettings) {
+            this._quickSettings = new ProviderQuickSettings(this);
+            Main.panel.statusArea.quickSettings.addExternalIndicator(
+                this._quickSettings
+            );
+        } else if (!showToggle && this._quickSettings) {
+            this._quickSettings.destroy();
+            this._quickSettings = null;
+        }
+    }
+
+    /**
+     * Tells the user about provider settings that existed before the extension was set up.
+     * They are kept untouched until imported or dismissed in the preferences.
+     * @private
+     */
+    _checkExistingConfiguration() {
+        if (this._settings.get_boolean('existing-config-checked')) {
+            return;
+        }
+
+        this.settingsManager
+            .getExistingEnvironmentCandidates()
+            .then((candidates) => {
+                if (candidates.length === 0 || !this._settings) {
+                    return;
+                }
+                Main.notify(
+                    _('Existing Claude Code configuration found'),
+                    _(
+                        'Open the extension preferences to import it as a provider.'
+                    )
+                );
+            })
+            .catch((e) =>
+                console.error('Failed to detect existing configuration:', e)
+            );
+    }
+
+    /**
+     * Tells the user that settings.json is malformed and syncing is paused.
+     * @private
+     */
+    _notifySafeMode() {
+        const corruptPath = this.settingsManager.getCorruptConfigPath();
+        const movedNote = corruptPath
+            ? _('The file was moved to ') + corruptPath + '. '
+            : '';
+        Main.notify(
+            _('Claude Code settings.json is malformed'),
+            movedNote +
+                _(
+                    'Changes are not written until it is fixed. Open the extension preferences to repair, restore or overwrite it.'
+                )
+        );
     }
 
     /**
@@ -420,6 +842,8 @@ export default class IndicatorExampleExtension extends Extension {
             'notifications-enabled',
             'hook-task-completion',
             'hook-tool-auth',
+            'budget-model-override',
+            'project-overrides',
         ];
 
         const debouncedSync = () => {
@@ -441,6 +865,43 @@ export default class IndicatorExampleExtension extends Extension {
             );
         });
 
+        // 目标配置目录变化时，先还原旧目录中扩展写入的值，再同步新目录
+        this._targetProfileRoot = getTargetProfileRoot(this._settings);
+        const onTargetProfileChanged = () => {
+            const previousRoot = this._targetProfileRoot;
+            this._targetProfileRoot = getTargetProfileRoot(this._settings);
+            if (previousRoot === this._targetProfileRoot) {
+                debouncedSync();
+                return;
+            }
+            this.settingsManager.releaseProfile(previousRoot).finally(() => {
+                // 扩展可能已在还原期间被禁用
+                if (this.settingsManager) {
+                    debouncedSync();
+                }
+            });
+        };
+        ['target-profile', 'claude-profiles'].forEach((setting) => {
+            this._settingsChangedIds.push(
+                this._settings.connect(
+                    `changed::${setting}`,
+                    onTargetProfileChanged
+                )
+            );
+        });
+
+        // 配置文件损坏时同步会暂停，需要告诉用户
+        this._settingsChangedIds.push(
+            this._settings.connect('changed::config-safe-mode', () => {
+                if (this.settingsManager?.isSafeModeActive()) {
+                    this._notifySafeMode();
+                }
+            })
+        );
+        if (this.settingsManager.isSafeModeActive()) {
+            this._notifySafeMode();
+        }
+
         // Initial sync on enable
         debouncedSync();
     }
@@ -451,13 +912,9 @@ export default class IndicatorExampleExtension extends Extension {
      */
     disable() {
         // Unexport D-Bus interface and release name
-        if (this._dbusExport) {
-            this._dbusExport.unexport();
-            this._dbusExport = null;
-        }
-        if (this._dbusOwnerId) {
-            Gio.bus_unown_name(this._dbusOwnerId);
-            this._dbusOwnerId = 0;
+        if (this._dbusService) {
+            this._dbusService.destroy();
+            this._dbusService = null;
         }
 
         // Cleanup Notification Manager
@@ -466,6 +923,24 @@ export default class IndicatorExampleExtension extends Extension {
             this._notificationManager = null;
         }
 
+        // Cleanup budget guard
+        if (this._budgetGuard) {
+            this._budgetGuard.destroy();
+            this._budgetGuard = null;
+        }
+
+        // Cleanup provider scheduler
+        if (this._providerScheduler) {
+            this._providerScheduler.destroy();
+            this._providerScheduler = null;
+        }
+
+        // Cleanup failover monitor
+        if (this._failoverMonitor) {
+            this._failoverMonitor.destroy();
+            this._failoverMonitor = null;
+        }
+
         // Cleanup Provider Status checker
         if (this._providerStatus) {
             try {
@@ -494,6 +969,17 @@ export default class IndicatorExampleExtension extends Extension {
             this._settingsChangedIds = null;
         }
 
+        // 快速设置开关和快捷键会调用指示器，先移除
+        if (this._quickSettings) {
+            this._quickSettings.destroy();
+            this._quickSettings = null;
+        }
+
+        if (this._providerShortcuts) {
+            this._providerShortcuts.destroy();
+            this._providerShortcuts = null;
+        }
+
         // 清理指示器
         if (this._indicator) {
             try {
@@ -504,6 +990,12 @@ export default class IndicatorExampleExtension extends Extension {
             this._indicator = null;
         }
 
+        // 指示器断开连接后再停止监视配置文件
+        if (this._configWatcher) {
+            this._configWatcher.destroy();
+            this._configWatcher = null;
+        }
+
         if (this.settingsManager) {
             // 在禁用时，异步清理本地配置文件中的钩子
             this.settingsManager
@@ -0,0 +1,377 @@
+/* budgetGuard.js
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+import GLib from 'gi://GLib';
+
+import { gettext as _ } from 'resource:///org/gnome/shell/extensions/extension.js';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+
+import { TokenStats, TokenStatsManager } from './tokenStats.js';
+import { ALL_PROFILES, getProfileRoots } from './claudeProfiles.js';
+
+// 每 10 分钟检查一次；只读取本月修改过的日志，未变化的文件使用缓存
+const CHECK_INTERVAL = 600;
+
+/**
+ * Budget periods. Dates follow the UTC keys of `TokenStats.byDate`.
+ * @enum {string}
+ */
+const Period = {
+    DAILY: 'daily',
+    MONTHLY: 'monthly',
+};
+
+/**
+ * Returns the key of the period containing the given time, e.g. "2025-01-31" or "2025-01".
+ * @param {string} period - One of {@link Period}.
+ * @param {Date} date - The time.
+ * @returns {string}
+ */
+function periodKey(period, date) {
+    const day = date.toISOString().split('T')[0];
+    return period === Period.MONTHLY ? day.substring(0, 7) : day;
+}
+
+/**
+ * @class BudgetGuard
+ * @description Watches the daily and monthly spend computed by TokenStatsManager and
+ * downgrades to a fallback provider or model once a threshold is crossed.
+ * The downgrade is reverted at the next period boundary.
+ */
+export class BudgetGuard {
+    /**
+     * @param {Extension} extension - The main extension object.
+     */
+    constructor(extension) {
+        this._extension = extension;
+        this._settings = extension.getSettings();
+        this._tokenStatsManager = new TokenStatsManager();
+        this._timeoutId = 0;
+        this._signalIds = [];
+        this._checking = false;
+        this._totalsPromise = null;
+    }
+
+    /**
+     * Starts checking the spend.
+     */
+    start() {
+        const signals = [
+            'changed::budget-enabled',
+            'changed::budget-daily-limit',
+            'changed::budget-monthly-limit',
+        ];
+        signals.forEach((signal) => {
+            this._signalIds.push(
+                this._settings.connect(signal, () => this._runCheck())
+            );
+        });
+
+        this._runCheck();
+    }
+
+    /**
+     * Runs a check and schedules the next one.
+     * @private
+     */
+    _runCheck() {
+        this._stopTimer();
+        this._check()
+            .catch((e) => console.error('Budget check failed:', e))
+            .finally(() => this._scheduleTimer());
+    }
+
+    /**
+     * Schedules the next check, at the latest just after the next UTC midnight.
+     * @private
+     */
+    _scheduleTimer() {
+        if (!this._settings) {
+            return;
+        }
+        this._stopTimer();
+
+        const now = new Date();
+        const midnight = Date.UTC(
+            now.getUTCFullYear(),
+            now.getUTCMonth(),
+            now.getUTCDate() + 1
+        );
+        const untilMidnight = Math.ceil((midnight - now.getTime()) / 1000) + 1;
+
+        this._timeoutId = GLib.timeout_add_seconds(
+            GLib.PRIORITY_DEFAULT,
+            Math.min(CHECK_INTERVAL, untilMidnight),
+            () => {
+                this._timeoutId = 0;
+                this._runCheck();
+                return GLib.SOURCE_REMOVE;
+            }
+        );
+    }
+
+    /**
+     * Removes the check timer.
+     * @private
+     */
+    _stopTimer() {
+        if (this._timeoutId) {
+            GLib.source_remove(this._timeoutId);
+            this._timeoutId = 0;
+        }
+    }
+
+    /**
+     * Reverts an expired downgrade and applies a new one if a threshold is crossed.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _check() {
+        if (this._checking || !this._settings) {
+            return;
+        }
+        this._checking = true;
+
+        try {
+            const now = new Date();
+            let state = this._getState();
+
+            if (
+                state &&
+                (!this._settings.get_boolean('budget-enabled') ||
+                    state.periodKey !== periodKey(state.period, now))
+            ) {
+                await this._revert(state);
+                state = null;
+            }
+
+            if (state || !this._settings.get_boolean('budget-enabled')) {
+                return;
+            }
+
+            const dailyLimit = this._settings.get_double('budget-daily-limit');
+            const monthlyLimit = this._settings.get_double(
+                'budget-monthly-limit'
+            );
+            if (dailyLimit <= 0 && monthlyLimit <= 0) {
+                return;
+            }
+
+            const totals = await this._getDailyTotals(now);
+            if (!this._settings) {
+                return;
+            }
+
+            const today = periodKey(Period.DAILY, now);
+            const month = periodKey(Period.MONTHLY, now);
+            const dailyCost = totals.get(today)?.cost ?? 0;
+            let monthlyCost = 0;
+            for (const [date, total] of totals) {
+                if (date.startsWith(month)) {
+                    monthlyCost += total.cost;
+                }
+            }
+
+            // 月度超支优先，降级会持续到月底
+            if (monthlyLimit > 0 && monthlyCost >= monthlyLimit) {
+                await this._downgrade(
+                    Period.MONTHLY,
+                    monthlyCost,
+                    monthlyLimit
+                );
+            } else if (dailyLimit > 0 && dailyCost >= dailyLimit) {
+                await this._downgrade(Period.DAILY, dailyCost, dailyLimit);
+            }
+        } finally {
+            this._checking = false;
+        }
+    }
+
+    /**
+     * Returns today's (UTC) cost and tokens across all Claude Code profiles,
+     * the figures the daily budget is checked against.
+     * @returns {Promise<{cost: number, tokens: number}>}
+     */
+    async getTodayUsage() {
+        const now = new Date();
+        const totals = await this._getDailyTotals(now);
+        return (
+            totals.get(periodKey(Period.DAILY, now)) ?? { cost: 0, tokens: 0 }
+        );
+    }
+
+    /**
+     * Returns the cost and tokens per UTC date of the current month. Concurrent
+     * callers share one read of the logs.
+     * @param {Date} now - The current time.
+     * @returns {Promise<Map<string, {cost: number, tokens: number}>>}
+     * @private
+     */
+    _getDailyTotals(now) {
+        if (!this._totalsPromise) {
+            const monthStart = new Date(
+                Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)
+            );
+            // 花费按所有配置目录合计
+            this._tokenStatsManager.setClaudePaths(
+                getProfileRoots(this._settings, ALL_PROFILES)
+            );
+            this._totalsPromise = this._tokenStatsManager
+                .getDailyTotalsSince(monthStart)
+                .finally(() => {
+                    this._totalsPromise = null;
+                });
+        }
+        return this._totalsPromise;
+    }
+
+    /**
+     * Switches to the fallback provider or model.
+     * @param {string} period - One of {@link Period}.
+     * @param {number} cost - The spend of the period.
+     * @param {number} limit - The crossed threshold.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _downgrade(period, cost, limit) {
+        const settingsManager = this._extension.settingsManager;
+        const action = this._settings.get_string('budget-action');
+        const state = {
+            period,
+            periodKey: periodKey(period, new Date()),
+            action,
+        };
+
+        let target;
+        if (action === 'model') {
+            const model = this._settings.get_string('budget-fallback-model');
+            if (!model) {
+                console.warn('Budget exceeded but no fallback model is set');
+                return;
+            }
+            this._setState(state);
+            this._settings.set_string('budget-model-override', model);
+            target = model;
+        } else {
+            const fallback = settingsManager.getProvider(
+                this._settings.get_string('budget-fallback-provider')
+            );
+            if (!fallback) {
+                console.warn('Budget exceeded but no fallback provider is set');
+                return;
+            }
+
+            const currentId = this._settings.get_string('current-provider');
+            if (currentId === fallback.id) {
+                return;
+            }
+            state.previousProvider = currentId;
+            state.fallbackProvider = fallback.id;
+            this._setState(state);
+            await settingsManager.setCurrentProvider(fallback.id);
+            target = fallback.name;
+        }
+
+        const title =
+            period === Period.MONTHLY
+                ? _('Monthly budget exceeded')
+                : _('Daily budget exceeded');
+        const until =
+            period === Period.MONTHLY
+                ? _('until the end of the month (UTC)')
+                : _('until the end of the day (UTC)');
+        const spend = `${TokenStats.formatCurrency(cost)} / ${TokenStats.formatCurrency(limit)}`;
+        Main.notify(
+            `${title}: ${spend}`,
+            _('Switched to: ') + `${target} ${until}`
+        );
+    }
+
+    /**
+     * Restores the provider or model that was active before the downgrade.
+     * @param {object} state - The downgrade state.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _revert(state) {
+        const settingsManager = this._extension.settingsManager;
+        this._setState(null);
+
+        let restored;
+        if (state.action === 'model') {
+            this._settings.set_string('budget-model-override', '');
+            restored = settingsManager.getProvider(
+                this._settings.get_string('current-provider')
+            )?.name;
+        } else {
+            // 用户在降级期间手动切换过提供商时，保留用户的选择
+            const previous = settingsManager.getProvider(
+                state.previousProvider
+            );
+            if (
+                !previous ||
+                this._settings.get_string('current-provider') !==
+                    state.fallbackProvider
+            ) {
+                return;
+            }
+            await settingsManager.setCurrentProvider(previous.id);
+            restored = previous.name;
+        }
+
+        Main.notify(
+            _('Budget period ended'),
+            restored ? _('Switched back to: ') + restored : ''
+        );
+    }
+
+    /**
+     * @returns {object|null} - The active downgrade, or null if none.
+     * @private
+     */
+    _getState() {
+        try {
+            return JSON.parse(this._settings.get_string('budget-state')) || null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * @param {object|null} state - The downgrade to store, or null to clear it.
+     * @private
+     */
+    _setState(state) {
+        this._settings.set_string(
+            'budget-state',
+            state ? JSON.stringify(state) : ''
+        );
+    }
+
+    /**
+     * Stops checking and disconnects signals.
+     */
+    destroy() {
+        this._stopTimer();
+        this._signalIds.forEach((id) => this._settings.disconnect(id));
+        this._signalIds = [];
+        this._tokenStatsManager = null;
+        this._extension = null;
+        this._settings = null;
+    }
+}
@@ -0,0 +1,100 @@
+/* claudeProfiles.js
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+import GLib from 'gi://GLib';
+
+/**
+ * The profile ID that selects every profile at once, for statistics.
+ */
+export const ALL_PROFILES = '*';
+
+/**
+ * Returns the root directory Claude Code uses when CLAUDE_CONFIG_DIR is not
+ * overridden per profile: $CLAUDE_CONFIG_DIR if the session sets it, else ~/.claude.
+ * @returns {string}
+ */
+export function getDefaultProfileRoot() {
+    const configDir = GLib.getenv('CLAUDE_CONFIG_DIR');
+    if (configDir) {
+        return configDir;
+    }
+    return GLib.build_filenamev([GLib.get_home_dir(), '.claude']);
+}
+
+/**
+ * Returns all Claude Code profiles. The first one is always the default
+ * profile, with an empty ID and name; callers show a translated name for it.
+ * @param {Gio.Settings} settings - The GSettings object.
+ * @returns {Array<{id: string, name: string, path: string}>}
+ */
+export function getProfiles(settings) {
+    const profiles = [{ id: '', name: '', path: getDefaultProfileRoot() }];
+    try {
+        const configured = JSON.parse(settings.get_string('claude-profiles'));
+        if (Array.isArray(configured)) {
+            profiles.push(
+                ...configured.filter(
+                    (p) =>
+                        p &&
+                        typeof p.id === 'string' &&
+                        p.id !== '' &&
+                        typeof p.name === 'string' &&
+                        typeof p.path === 'string'
+                )
+            );
+        }
+    } catch (e) {
+        console.warn('Invalid claude-profiles setting:', e);
+    }
+    return profiles;
+}
+
+/**
+ * Returns the root directory of a profile, falling back to the default profile
+ * when the ID is unknown.
+ * @param {Gio.Settings} settings - The GSettings object.
+ * @param {string} profileId - The ID of the profile.
+ * @returns {string}
+ */
+export function getProfileRoot(settings, profileId) {
+    const profiles = getProfiles(settings);
+    return (profiles.find((p) => p.id === profileId) || profiles[0]).path;
+}
+
+/**
+ * Returns the root directory of the profile that provider switches are written to.
+ * @param {Gio.Settings} settings - The GSettings object.
+ * @returns {string}
+ */
+export function getTargetProfileRoot(settings) {
+    return getProfileRoot(settings, settings.get_string('target-profile'));
+}
+
+/**
+ * Returns the root directories selected by a profile ID, or all distinct ones
+ * for {@link ALL_PROFILES}.
+ * @param {Gio.Settings} settings - The GSettings object.
+ * @param {string} profileId - A profile ID or {@link ALL_PROFILES}.
+ * @returns {string[]}
+ */
+export function getProfileRoots(settings, profileId) {
+    if (profileId !== ALL_PROFILES) {
+        return [getProfileRoot(settings, profileId)];
+    }
+    return [...new Set(getProfiles(settings).map((p) => p.path))];
+}
@@ -0,0 +1,283 @@
+/* configBackup.js
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+Gio._promisify(Gio.File.prototype, 'enumerate_children_async');
+Gio._promisify(Gio.File.prototype, 'delete_async');
+Gio._promisify(Gio.FileEnumerator.prototype, 'next_files_async');
+
+const BACKUP_PREFIX = 'settings-';
+const BACKUP_SUFFIX = '.json';
+const BACKUP_NAME_PATTERN =
+    /^settings-(\d{4})(\d{2})(\d{2})-(\d{2})(\d{2})(\d{2})-(\d{3})\.json$/;
+
+/**
+ * Loads the contents of a file.
+ * @param {Gio.File} file - The file to read.
+ * @returns {Promise<Uint8Array|null>} - The contents, or null if the file does not exist.
+ */
+export function loadFile(file) {
+    return new Promise((resolve, reject) => {
+        file.load_contents_async(null, (source, result) => {
+            try {
+                const [bytes] = source.load_contents_finish(result);
+                resolve(bytes);
+            } catch (e) {
+                if (e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) {
+                    resolve(null);
+                } else {
+                    reject(e);
+                }
+            }
+        });
+    });
+}
+
+/**
+ * Replaces the contents of a file.
+ * @param {Gio.File} file - The file to write.
+ * @param {Uint8Array} bytes - The new contents.
+ * @param {boolean} [isPrivate] - Whether the file should only be readable by the owner.
+ * @returns {Promise<void>}
+ */
+export function replaceFile(file, bytes, isPrivate = false) {
+    let flags = Gio.FileCreateFlags.REPLACE_DESTINATION;
+    if (isPrivate) {
+        flags |= Gio.FileCreateFlags.PRIVATE;
+    }
+
+    return new Promise((resolve, reject) => {
+        file.replace_contents_async(
+            bytes,
+            null,
+            false,
+            flags,
+            null,
+            (source, result) => {
+                try {
+                    source.replace_contents_finish(result);
+                    resolve();
+                } catch (e) {
+                    reject(e);
+                }
+            }
+        );
+    });
+}
+
+/**
+ * Replaces the contents of a file atomically: the new contents are written to a
+ * temporary file in the same directory, which is then renamed over the file.
+ * @param {Gio.File} file - The file to write.
+ * @param {Uint8Array} bytes - The new contents.
+ * @param {boolean} [isPrivate] - Whether the file should only be readable by the owner.
+ * @returns {Promise<void>}
+ */
+export async function replaceFileAtomically(file, bytes, isPrivate = false) {
+    const suffix = GLib.uuid_string_random().substring(0, 8);
+    const tmpFile = file
+        .get_parent()
+        .get_child(`.${file.get_basename()}.${suffix}.tmp`);
+
+    await replaceFile(tmpFile, bytes, isPrivate);
+    try {
+        // 同一文件系统内的移动就是 rename，读者不会看到写了一半的文件
+        tmpFile.move(file, Gio.FileCopyFlags.OVERWRITE, null, null);
+    } catch (e) {
+        try {
+            tmpFile.delete(null);
+        } catch (deleteError) {
+            console.error('Failed to remove temporary file:', deleteError);
+        }
+        throw e;
+    }
+}
+
+/**
+ * @class ConfigBackupStore
+ * @description Keeps a rotating set of timestamped snapshots of a settings.json file
+ * in the user data directory. Snapshots are private because they contain API tokens.
+ */
+export class ConfigBackupStore {
+    /**
+     * @param {Gio.Settings} settings - The GSettings object ('config-backup-count').
+     */
+    constructor(settings) {
+        this._settings = settings;
+        this._rootDir = GLib.build_filenamev([
+            GLib.get_user_data_dir(),
+            'claude-code-switcher',
+            'backups',
+        ]);
+    }
+
+    /**
+     * Returns the backup directory of a settings.json file.
+     * @param {string} configPath - The path of the settings.json file.
+     * @returns {string}
+     * @private
+     */
+    _getBackupDir(configPath) {
+        // 每个配置文件使用单独的目录
+        const hash = GLib.compute_checksum_for_string(
+            GLib.ChecksumType.SHA256,
+            configPath,
+            -1
+        );
+        return GLib.build_filenamev([this._rootDir, hash.substring(0, 16)]);
+    }
+
+    /**
+     * Copies the current contents of a settings.json file into a new snapshot.
+     * Nothing is stored if the file does not exist or equals the newest snapshot.
+     * @param {string} configPath - The path of the settings.json file.
+     * @returns {Promise<object|null>} - The new snapshot, or null if none was needed.
+     */
+    async snapshot(configPath) {
+        const contents = await loadFile(Gio.File.new_for_path(configPath));
+        if (!contents || contents.length === 0) {
+            return null;
+        }
+
+        const [latest] = await this.list(configPath);
+        if (latest) {
+            const latestContents = await loadFile(latest.file);
+            if (latestContents && this._equals(latestContents, contents)) {
+                return null;
+            }
+        }
+
+        const dir = this._getBackupDir(configPath);
+        if (GLib.mkdir_with_parents(dir, 0o700) !== 0) {
+            throw new Error(`Failed to create backup directory: ${dir}`);
+        }
+
+        // 文件名包含毫秒，避免快速连续写入时重名
+        const now = GLib.DateTime.new_now_local();
+        const ms = String(Math.floor(now.get_microsecond() / 1000));
+        const stamp = `${now.format('%Y%m%d-%H%M%S')}-${ms.padStart(3, '0')}`;
+        const name = `${BACKUP_PREFIX}${stamp}${BACKUP_SUFFIX}`;
+        const file = Gio.File.new_for_path(GLib.build_filenamev([dir, name]));
+        await replaceFile(file, contents, true);
+
+        await this._rotate(configPath);
+        return { file, name, date: now, size: contents.length };
+    }
+
+    /**
+     * Lists the snapshots of a settings.json file, newest first.
+     * @param {string} configPath - The path of the settings.json file.
+     * @returns {Promise<Array<{file: Gio.File, name: string, date: GLib.DateTime, size: number}>>}
+     */
+    async list(configPath) {
+        const dir = Gio.File.new_for_path(this._getBackupDir(configPath));
+
+        const infos = [];
+        try {
+            const enumerator = await dir.enumerate_children_async(
+                'standard::name,standard::size',
+                Gio.FileQueryInfoFlags.NONE,
+                GLib.PRIORITY_DEFAULT,
+                null
+            );
+            let batch;
+            do {
+                batch = await enumerator.next_files_async(
+                    50,
+                    GLib.PRIORITY_DEFAULT,
+                    null
+                );
+                infos.push(...batch);
+            } while (batch.length > 0);
+        } catch (e) {
+            if (!e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) {
+                console.error('Failed to list configuration backups:', e);
+            }
+            return [];
+        }
+
+        return infos
+            .map((info) => ({
+                name: info.get_name(),
+                size: info.get_size(),
+                match: BACKUP_NAME_PATTERN.exec(info.get_name()),
+            }))
+            .filter(({ match }) => match)
+            .map(({ name, size, match }) => {
+                const [year, month, day, hour, minute, second, ms] = match
+                    .slice(1)
+                    .map(Number);
+                return {
+                    file: dir.get_child(name),
+                    name,
+                    date: GLib.DateTime.new_local(
+                        year,
+                        month,
+                        day,
+                        hour,
+                        minute,
+                        second + ms / 1000
+                    ),
+                    size,
+                };
+            })
+            .sort((a, b) => b.name.localeCompare(a.name));
+    }
+
+    /**
+     * Deletes the oldest snapshots beyond the configured count.
+     * @param {string} configPath - The path of the settings.json file.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _rotate(configPath) {
+        const maxCount = Math.max(
+            1,
+            this._settings.get_int('config-backup-count')
+        );
+        const backups = await this.list(configPath);
+
+        for (const backup of backups.slice(maxCount)) {
+            try {
+                await backup.file.delete_async(GLib.PRIORITY_DEFAULT, null);
+            } catch (e) {
+                console.error(`Failed to delete old backup ${backup.name}:`, e);
+            }
+        }
+    }
+
+    /**
+     * @param {Uint8Array} a
+     * @param {Uint8Array} b
+     * @returns {boolean} - Whether both byte arrays are equal.
+     * @private
+     */
+    _equals(a, b) {
+        if (a.length !== b.length) {
+            return false;
+        }
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] !== b[i]) {
+                return false;
+            }
+        }
+        return true;
+    }
+}
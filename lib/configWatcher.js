@@ -0,0 +1,265 @@
+/* configWatcher.js
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+import { gettext as _ } from 'resource:///org/gnome/shell/extensions/extension.js';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import { EventEmitter } from 'resource:///org/gnome/shell/misc/signals.js';
+
+// 编辑器保存时往往连续触发多个事件，合并后再检查
+const RECONCILE_DELAY_MS = 500;
+
+/**
+ * @class ConfigWatcher
+ * @description Watches settings.json for edits made by other tools and reconciles
+ * the current provider with the values found in the file. Emits 'changed' when
+ * the file stops or starts matching a configured provider.
+ */
+export class ConfigWatcher extends EventEmitter {
+    /**
+     * @param {Extension} extension - The main extension object.
+     */
+    constructor(extension) {
+        super();
+        this._extension = extension;
+        this._settings = extension.getSettings();
+        this._monitor = null;
+        this._monitorId = 0;
+        this._timeoutId = 0;
+        this._unmatched = null;
+        this._notifiedCandidate = null;
+        this._signalIds = [];
+    }
+
+    /**
+     * Starts watching the settings.json file, and follows the target profile
+     * when it changes.
+     */
+    start() {
+        for (const key of ['target-profile', 'claude-profiles']) {
+            this._signalIds.push(
+                this._settings.connect(`changed::${key}`, () => {
+                    this._stopMonitor();
+                    this._startMonitor();
+                })
+            );
+        }
+        this._startMonitor();
+    }
+
+    /**
+     * Starts watching the settings.json file of the target profile.
+     * @private
+     */
+    _startMonitor() {
+        const configPath = this._extension.settingsManager.getConfigPath();
+        try {
+            this._monitor = Gio.File.new_for_path(configPath).monitor_file(
+                Gio.FileMonitorFlags.WATCH_MOVES,
+                null
+            );
+        } catch (e) {
+            console.error(`Failed to watch ${configPath}:`, e);
+            return;
+        }
+
+        this._monitorId = this._monitor.connect(
+            'changed',
+            (monitor, file, otherFile, eventType) => {
+                if (eventType !== Gio.FileMonitorEvent.ATTRIBUTE_CHANGED) {
+                    this._scheduleReconcile();
+                }
+            }
+        );
+
+        this._scheduleReconcile();
+    }
+
+    /**
+     * Whether settings.json currently holds values that belong to no configured
+     * provider, or no provider values at all.
+     * @returns {boolean}
+     */
+    isUnmatched() {
+        return this._unmatched !== null;
+    }
+
+    /**
+     * Returns the provider values found in settings.json if they can be imported.
+     * @returns {object|null} - The candidate, see
+     *          {@link SettingsManager#getExistingEnvironmentCandidates}.
+     */
+    getImportCandidate() {
+        return this._unmatched?.candidate || null;
+    }
+
+    /**
+     * Imports the unmatched values of settings.json as a new provider.
+     * @returns {Promise<object|null>} - The new provider, or null if there was nothing to import.
+     */
+    async importCandidate() {
+        const candidate = this.getImportCandidate();
+        if (!candidate) {
+            return null;
+        }
+
+        const settingsManager = this._extension.settingsManager;
+        const provider = await settingsManager.importConfigProvider(
+            candidate,
+            settingsManager.suggestProviderName(candidate.url) ||
+                _('Imported Provider')
+        );
+        this._setUnmatched(null);
+        return provider;
+    }
+
+    /**
+     * Schedules a reconcile after the file has settled.
+     * @private
+     */
+    _scheduleReconcile() {
+        if (this._timeoutId) {
+            GLib.source_remove(this._timeoutId);
+        }
+        this._timeoutId = GLib.timeout_add(
+            GLib.PRIORITY_DEFAULT,
+            RECONCILE_DELAY_MS,
+            () => {
+                this._timeoutId = 0;
+                this._reconcile().catch((e) =>
+                    console.error('Failed to reconcile Claude config file:', e)
+                );
+                return GLib.SOURCE_REMOVE;
+            }
+        );
+    }
+
+    /**
+     * Compares the provider values in settings.json with the configured providers.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _reconcile() {
+        const settingsManager = this._extension?.settingsManager;
+        if (!settingsManager || settingsManager.isSafeModeActive()) {
+            return;
+        }
+
+        // 本进程最后写入的内容不算外部修改，可能有待执行的同步
+        const text = await settingsManager.readConfigText();
+        if (!this._extension || settingsManager.isLastWrittenConfig(text)) {
+            this._setUnmatched(null);
+            return;
+        }
+
+        const { provider, candidate } =
+            await settingsManager.matchConfigProvider();
+        if (!this._extension) {
+            return;
+        }
+
+        if (!provider) {
+            this._setUnmatched({ candidate });
+            return;
+        }
+
+        this._setUnmatched(null);
+        if (this._settings.get_string('current-provider') !== provider.id) {
+            // 其他工具切换到了已配置的提供商，同步菜单中的选择
+            console.log(
+                `Claude config file was switched to '${provider.name}' externally`
+            );
+            this._settings.set_string('current-provider', provider.id);
+        }
+    }
+
+    /**
+     * Updates the unmatched state and offers to import new values.
+     * @param {{candidate: object|null}|null} unmatched - The unmatched state.
+     * @private
+     */
+    _setUnmatched(unmatched) {
+        const wasUnmatched = this._unmatched !== null;
+        const candidate = unmatched?.candidate || null;
+        const changed =
+            wasUnmatched !== (unmatched !== null) ||
+            !this._sameCandidate(this.getImportCandidate(), candidate);
+        this._unmatched = unmatched;
+
+        // 首次设置时由现有配置导入流程提示，这里不重复通知
+        if (
+            candidate &&
+            this._settings.get_boolean('existing-config-checked') &&
+            !this._sameCandidate(this._notifiedCandidate, candidate)
+        ) {
+            this._notifiedCandidate = candidate;
+            Main.notify(
+                _('settings.json was changed outside the extension'),
+                (candidate.url || _('Official API')) +
+                    '\n' +
+                    _(
+                        'These values match no configured provider. Choose "Import" in the menu to add them.'
+                    )
+            );
+        }
+
+        if (changed) {
+            this.emit('changed');
+        }
+    }
+
+    /**
+     * @param {object|null} a
+     * @param {object|null} b
+     * @returns {boolean} - Whether both candidates hold the same URL and key.
+     * @private
+     */
+    _sameCandidate(a, b) {
+        return a?.url === b?.url && a?.key === b?.key;
+    }
+
+    /**
+     * Stops watching the current file.
+     * @private
+     */
+    _stopMonitor() {
+        if (this._timeoutId) {
+            GLib.source_remove(this._timeoutId);
+            this._timeoutId = 0;
+        }
+        if (this._monitor) {
+            this._monitor.disconnect(this._monitorId);
+            this._monitor.cancel();
+            this._monitor = null;
+        }
+    }
+
+    /**
+     * Stops watching and removes pending timers.
+     */
+    destroy() {
+        this._stopMonitor();
+        this._signalIds.forEach((id) => this._settings.disconnect(id));
+        this._signalIds = [];
+        this.disconnectAll();
+        this._extension = null;
+        this._settings = null;
+    }
+}
@@ -0,0 +1,297 @@
+/* dbusService.js
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+import { DBUS_NAME, DBUS_PATH, DBUS_INTERFACE } from './dbusUtils.js';
+
+const ERROR_INVALID_ARGS = 'org.freedesktop.DBus.Error.InvalidArgs';
+const ERROR_FAILED = 'org.freedesktop.DBus.Error.Failed';
+
+/**
+ * @class DBusService
+ * @description Exports the extension on the session bus, so the Claude Code hooks,
+ * scripts and status bars can read and switch providers without touching GSettings.
+ * Method names follow the D-Bus interface in dbusUtils.js.
+ */
+export class DBusService {
+    /**
+     * @param {Extension} extension - The main extension object.
+     */
+    constructor(extension) {
+        this._extension = extension;
+        this._settings = extension.getSettings();
+        this._ownerId = 0;
+        this._export = null;
+        this._signalIds = [];
+        this._configWatcherId = 0;
+        this._currentProvider = '';
+    }
+
+    /**
+     * Owns the bus name and starts announcing provider changes.
+     */
+    start() {
+        this._currentProvider = this.CurrentProvider;
+
+        this._ownerId = Gio.bus_own_name(
+            Gio.BusType.SESSION,
+            DBUS_NAME,
+            Gio.BusNameOwnerFlags.NONE,
+            (connection) => {
+                this._export = Gio.DBusExportedObject.wrapJSObject(
+                    DBUS_INTERFACE,
+                    this
+                );
+                this._export.export(connection, DBUS_PATH);
+            },
+            () => {},
+            () => this._unexport()
+        );
+
+        this._signalIds.push(
+            this._settings.connect('changed::current-provider', () =>
+                this._emitProviderChanged()
+            )
+        );
+        // settings.json 被外部修改后当前提供商可能不再匹配
+        this._configWatcherId = this._extension._configWatcher?.connect(
+            'changed',
+            () => this._emitProviderChanged()
+        );
+    }
+
+    /**
+     * The ID of the provider in use, empty when there is none or settings.json
+     * no longer matches it.
+     * @type {string}
+     */
+    get CurrentProvider() {
+        return this._getCurrentProvider()?.id || '';
+    }
+
+    /**
+     * Shows a notification for a Claude Code hook event.
+     * @param {string} notificationType - The hook event type.
+     */
+    ShowNotification(notificationType) {
+        this._extension._notificationManager?.showNotification(
+            notificationType
+        );
+    }
+
+    /**
+     * Lists the configured providers.
+     * @returns {Array<Array>} - [id, name, whether it is the current provider] per provider.
+     */
+    ListProviders() {
+        const currentId = this.CurrentProvider;
+        return this._extension.settingsManager
+            .getAllProviders()
+            .filter((p) => p && typeof p.id === 'string')
+            .map((p) => [p.id, String(p.name ?? ''), p.id === currentId]);
+    }
+
+    /**
+     * Returns the provider in use.
+     * @returns {Array<string>} - Its ID and name, empty strings if there is none.
+     */
+    GetCurrentProvider() {
+        const provider = this._getCurrentProvider();
+        return provider ? [provider.id, provider.name] : ['', ''];
+    }
+
+    /**
+     * Switches provider through the panel indicator, like the menu does.
+     * Replies whether the provider is current afterwards; it is not when the
+     * provider has no API key.
+     * @param {Array} params - The provider ID.
+     * @param {Gio.DBusMethodInvocation} invocation - The method call.
+     */
+    SwitchProviderAsync([providerId], invocation) {
+        if (!this._extension.settingsManager.getProvider(providerId)) {
+            invocation.return_dbus_error(
+                ERROR_INVALID_ARGS,
+                `Provider '${providerId}' not found`
+            );
+            return;
+        }
+
+        const indicator = this._extension._indicator;
+        if (!indicator) {
+            invocation.return_dbus_error(ERROR_FAILED, 'Extension not ready');
+            return;
+        }
+
+        indicator
+            ._selectProvider(providerId)
+            .then(() => {
+                const switched =
+                    this._settings?.get_string('current-provider') ===
+                    providerId;
+                invocation.return_value(new GLib.Variant('(b)', [switched]));
+            })
+            .catch((e) =>
+                invocation.return_dbus_error(ERROR_FAILED, e.message)
+            );
+    }
+
+    /**
+     * Returns today's (UTC) cost and tokens across all Claude Code profiles,
+     * the same figures the budget uses.
+     * @param {Array} params - No parameters.
+     * @param {Gio.DBusMethodInvocation} invocation - The method call.
+     */
+    GetTodayUsageAsync(params, invocation) {
+        const budgetGuard = this._extension._budgetGuard;
+        if (!budgetGuard) {
+            invocation.return_dbus_error(ERROR_FAILED, 'Extension not ready');
+            return;
+        }
+
+        // 与预算检查共用按文件缓存的统计，避免每次调用都重新解析全部日志
+        budgetGuard
+            .getTodayUsage()
+            .then(({ cost, tokens }) =>
+                invocation.return_value(
+                    new GLib.Variant('(dt)', [cost, tokens])
+                )
+            )
+            .catch((e) =>
+                invocation.return_dbus_error(ERROR_FAILED, e.message)
+            );
+    }
+
+    /**
+     * Tests a provider with a minimal request.
+     * Replies the {@link TestStatus} value, the latency in ms (-1 if there was
+     * no response) and the error message of the provider.
+     * @param {Array} params - The provider ID.
+     * @param {Gio.DBusMethodInvocation} invocation - The method call.
+     */
+    TestProviderAsync([providerId], invocation) {
+        if (!this._extension.settingsManager.getProvider(providerId)) {
+            invocation.return_dbus_error(
+                ERROR_INVALID_ARGS,
+                `Provider '${providerId}' not found`
+            );
+            return;
+        }
+
+        this._extension._providerStatus
+            .testProvider(providerId)
+            .then((result) => {
+                invocation.return_value(
+                    new GLib.Variant('(sis)', [
+                        result.status,
+                        result.latency ?? -1,
+                        result.message || '',
+                    ])
+                );
+            })
+            .catch((e) =>
+                invocation.return_dbus_error(ERROR_FAILED, e.message)
+            );
+    }
+
+    /**
+     * Writes the current provider to settings.json now.
+     * @param {Array} params - No parameters.
+     * @param {Gio.DBusMethodInvocation} invocation - The method call.
+     */
+    SyncNowAsync(params, invocation) {
+        this._extension.settingsManager
+            .syncToLocalFile()
+            .then(() => invocation.return_value(null))
+            .catch((e) =>
+                invocation.return_dbus_error(ERROR_FAILED, e.message)
+            );
+    }
+
+    /**
+     * Returns the provider in use, as the panel menu shows it.
+     * @returns {object|null}
+     * @private
+     */
+    _getCurrentProvider() {
+        if (this._extension._configWatcher?.isUnmatched()) {
+            return null;
+        }
+        return this._extension.settingsManager.getProvider(
+            this._settings.get_string('current-provider')
+        );
+    }
+
+    /**
+     * Emits ProviderChanged and the CurrentProvider property change when the
+     * provider in use changes.
+     * @private
+     */
+    _emitProviderChanged() {
+        const provider = this._getCurrentProvider();
+        const id = provider?.id || '';
+        if (id === this._currentProvider) {
+            return;
+        }
+        this._currentProvider = id;
+
+        if (!this._export) {
+            return;
+        }
+        this._export.emit_signal(
+            'ProviderChanged',
+            new GLib.Variant('(ss)', [id, provider?.name || ''])
+        );
+        this._export.emit_property_changed(
+            'CurrentProvider',
+            new GLib.Variant('s', id)
+        );
+    }
+
+    /**
+     * @private
+     */
+    _unexport() {
+        if (this._export) {
+            this._export.unexport();
+            this._export = null;
+        }
+    }
+
+    /**
+     * Releases the bus name and disconnects signals.
+     */
+    destroy() {
+        this._unexport();
+        if (this._ownerId) {
+            Gio.bus_unown_name(this._ownerId);
+            this._ownerId = 0;
+        }
+
+        this._signalIds.forEach((id) => this._settings.disconnect(id));
+        this._signalIds = [];
+        if (this._configWatcherId) {
+            this._extension._configWatcher?.disconnect(this._configWatcherId);
+            this._configWatcherId = 0;
+        }
+
+        this._extension = null;
+        this._settings = null;
+    }
+}
@@ -7,5 +7,32 @@ export const DBUS_INTERFACE = `
         <method name="ShowNotification">
             <arg type="s" name="notificationType" direction="in"/>
         </method>
+        <method name="ListProviders">
+            <arg type="a(ssb)" name="providers" direction="out"/>
+        </method>
+        <method name="GetCurrentProvider">
+            <arg type="s" name="id" direction="out"/>
+            <arg type="s" name="name" direction="out"/>
+        </method>
+        <method name="SwitchProvider">
+            <arg type="s" name="id" direction="in"/>
+            <arg type="b" name="switched" direction="out"/>
+        </method>
+        <method name="GetTodayUsage">
+            <arg type="d" name="cost" direction="out"/>
+            <arg type="t" name="tokens" direction="out"/>
+        </method>
+        <method name="TestProvider">
+            <arg type="s" name="id" direction="in"/>
+            <arg type="s" name="status" direction="out"/>
+            <arg type="i" name="latency" direction="out"/>
+            <arg type="s" name="message" direction="out"/>
+        </method>
+        <method name="SyncNow"/>
+        <signal name="ProviderChanged">
+            <arg type="s" name="id"/>
+            <arg type="s" name="name"/>
+        </signal>
+        <property name="CurrentProvider" type="s" access="read"/>
     </interface>
-</node>`;
\ No newline at end of file
+</node>`;
@@ -0,0 +1,150 @@
+/* envState.js
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+import { acquireFileLock, getLockPath } from './fileLock.js';
+
+/**
+ * @class EnvStateStore
+ * @description Records which `env` keys of a settings.json file the extension manages,
+ * and the values the user had set for them before. The state lives in a private
+ * sidecar file because the original values may contain API tokens.
+ */
+export class EnvStateStore {
+    /**
+     * @param {string} [path] - The state file, by default in the user data directory.
+     */
+    constructor(path = null) {
+        this._path =
+            path ||
+            GLib.build_filenamev([
+                GLib.get_user_data_dir(),
+                'claude-code-switcher',
+                'env-state.json',
+            ]);
+    }
+
+    /**
+     * Loads the state recorded for a settings.json file.
+     * @param {string} configPath - The path of the settings.json file.
+     * @returns {Promise<{managed: Array<string>, originals: Object<string, string>}|null>}
+     *          The state, or null if nothing has been recorded for the file yet.
+     */
+    async load(configPath) {
+        const state = (await this._readAll())[configPath];
+        if (!state || !Array.isArray(state.managed)) {
+            return null;
+        }
+        return {
+            managed: state.managed.filter((name) => typeof name === 'string'),
+            originals:
+                state.originals && typeof state.originals === 'object'
+                    ? state.originals
+                    : {},
+        };
+    }
+
+    /**
+     * Saves the state of a settings.json file. The state file is shared by all
+     * settings.json files, whose locks do not cover it, so it has a lock of its own.
+     * @param {string} configPath - The path of the settings.json file.
+     * @param {object|null} state - The state, or null to forget the file.
+     * @returns {Promise<void>}
+     */
+    async save(configPath, state) {
+        const release = await acquireFileLock(getLockPath(this._path));
+        try {
+            await this._saveLocked(configPath, state);
+        } finally {
+            await release();
+        }
+    }
+
+    /**
+     * Updates the state of a settings.json file in the state file, while holding its lock.
+     * @param {string} configPath - The path of the settings.json file.
+     * @param {object|null} state - The state, or null to forget the file.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _saveLocked(configPath, state) {
+        const all = await this._readAll();
+        if (state) {
+            all[configPath] = state;
+        } else {
+            delete all[configPath];
+        }
+
+        const dir = GLib.path_get_dirname(this._path);
+        if (GLib.mkdir_with_parents(dir, 0o700) !== 0) {
+            throw new Error(`Failed to create directory: ${dir}`);
+        }
+
+        const file = Gio.File.new_for_path(this._path);
+        const bytes = new TextEncoder().encode(JSON.stringify(all, null, 2));
+        await new Promise((resolve, reject) => {
+            file.replace_contents_async(
+                bytes,
+                null,
+                false,
+                Gio.FileCreateFlags.REPLACE_DESTINATION |
+                    Gio.FileCreateFlags.PRIVATE,
+                null,
+                (source, result) => {
+                    try {
+                        source.replace_contents_finish(result);
+                        resolve();
+                    } catch (e) {
+                        reject(e);
+                    }
+                }
+            );
+        });
+    }
+
+    /**
+     * Reads the whole state file.
+     * @returns {Promise<object>} - The states by settings.json path.
+     * @private
+     */
+    async _readAll() {
+        const file = Gio.File.new_for_path(this._path);
+
+        try {
+            const contents = await new Promise((resolve, reject) => {
+                file.load_contents_async(null, (source, result) => {
+                    try {
+                        const [bytes] = source.load_contents_finish(result);
+                        resolve(bytes);
+                    } catch (e) {
+                        reject(e);
+                    }
+                });
+            });
+            const all = JSON.parse(new TextDecoder('utf-8').decode(contents));
+            return all && typeof all === 'object' ? all : {};
+        } catch (e) {
+            if (!e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) {
+                console.error('Failed to read environment state:', e);
+            }
+            return {};
+        }
+    }
+}
@@ -0,0 +1,297 @@
+/* failoverMonitor.js
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+import GLib from 'gi://GLib';
+
+import { gettext as _ } from 'resource:///org/gnome/shell/extensions/extension.js';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+
+import { TestStatus } from './providerClient.js';
+
+const MIN_PROBE_INTERVAL = 30;
+
+/**
+ * @class FailoverMonitor
+ * @description Probes the current provider in the background and switches to the next
+ * healthy provider of the failover list after too many consecutive failures.
+ */
+export class FailoverMonitor {
+    /**
+     * @param {Extension} extension - The main extension object.
+     */
+    constructor(extension) {
+        this._extension = extension;
+        this._settings = extension.getSettings();
+        this._timeoutId = 0;
+        this._signalIds = [];
+        this._failures = 0;
+        this._probing = false;
+        this._switching = false;
+    }
+
+    /**
+     * Starts probing according to the failover settings.
+     */
+    start() {
+        const restartSignals = [
+            'changed::failover-enabled',
+            'changed::failover-probe-interval',
+        ];
+        restartSignals.forEach((signal) => {
+            this._signalIds.push(
+                this._settings.connect(signal, () => this._restart())
+            );
+        });
+
+        // 用户手动切换提供商时，重置失败计数和回切目标
+        this._signalIds.push(
+            this._settings.connect('changed::current-provider', () => {
+                if (this._switching) {
+                    return;
+                }
+                this._failures = 0;
+                this._settings.set_string('failover-primary', '');
+            })
+        );
+
+        this._restart();
+    }
+
+    /**
+     * Re-creates the probe timer.
+     * @private
+     */
+    _restart() {
+        this._stopTimer();
+        this._failures = 0;
+
+        if (!this._settings.get_boolean('failover-enabled')) {
+            return;
+        }
+
+        const interval = Math.max(
+            MIN_PROBE_INTERVAL,
+            this._settings.get_int('failover-probe-interval')
+        );
+        this._timeoutId = GLib.timeout_add_seconds(
+            GLib.PRIORITY_DEFAULT,
+            interval,
+            () => {
+                this._probe().catch((e) =>
+                    console.error('Failover probe failed:', e)
+                );
+                return GLib.SOURCE_CONTINUE;
+            }
+        );
+    }
+
+    /**
+     * Removes the probe timer.
+     * @private
+     */
+    _stopTimer() {
+        if (this._timeoutId) {
+            GLib.source_remove(this._timeoutId);
+            this._timeoutId = 0;
+        }
+    }
+
+    /**
+     * Runs one health probe.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _probe() {
+        if (this._probing || !this._settings) {
+            return;
+        }
+        this._probing = true;
+
+        try {
+            const currentId = this._settings.get_string('current-provider');
+            if (!currentId) {
+                return;
+            }
+
+            if (await this._trySwitchBack(currentId)) {
+                return;
+            }
+
+            const result = await this._test(currentId);
+            if (!this._settings) {
+                return;
+            }
+            // 无法测试的提供商不当作故障
+            if (
+                result.status === TestStatus.OK ||
+                result.status === TestStatus.UNSUPPORTED
+            ) {
+                this._failures = 0;
+                return;
+            }
+
+            this._failures++;
+            console.warn(
+                `Provider health probe failed (${this._failures}):`,
+                result.status,
+                result.message
+            );
+
+            const threshold = Math.max(
+                1,
+                this._settings.get_int('failover-threshold')
+            );
+            if (this._failures >= threshold) {
+                this._failures = 0;
+                await this._failover(currentId, result);
+            }
+        } finally {
+            this._probing = false;
+        }
+    }
+
+    /**
+     * Switches back to the primary provider once it is healthy again.
+     * @param {string} currentId - The ID of the current provider.
+     * @returns {Promise<boolean>} - True if it switched back.
+     * @private
+     */
+    async _trySwitchBack(currentId) {
+        const primaryId = this._settings.get_string('failover-primary');
+        if (
+            !primaryId ||
+            primaryId === currentId ||
+            !this._settings.get_boolean('failover-switch-back')
+        ) {
+            return false;
+        }
+
+        const result = await this._test(primaryId);
+        if (!this._settings || result.status !== TestStatus.OK) {
+            return false;
+        }
+
+        const primary = this._settingsManager.getProvider(primaryId);
+        await this._switchTo(primaryId);
+        this._settings.set_string('failover-primary', '');
+        Main.notify(
+            _('Switched back to: ') + (primary?.name ?? primaryId),
+            _('The primary provider is reachable again.')
+        );
+        return true;
+    }
+
+    /**
+     * Switches to the next healthy provider of the failover list.
+     * @param {string} failedId - The ID of the failing provider.
+     * @param {object} failure - The last failed test result.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _failover(failedId, failure) {
+        const order = this._settings
+            .get_strv('failover-providers')
+            .filter((id) => this._settingsManager.getProvider(id));
+
+        // 从失败提供商在列表中的下一个位置开始轮询
+        const start = order.indexOf(failedId) + 1;
+        const candidates = [
+            ...order.slice(start),
+            ...order.slice(0, start),
+        ].filter((id) => id !== failedId);
+
+        const failed = this._settingsManager.getProvider(failedId);
+        const reason =
+            this._extension._providerStatus.describeTestResult(failure);
+
+        for (const candidateId of candidates) {
+            const result = await this._test(candidateId);
+            if (!this._settings) {
+                return;
+            }
+            if (result.status !== TestStatus.OK) {
+                continue;
+            }
+
+            // 只记录最初的主提供商，连续故障转移时不覆盖
+            if (!this._settings.get_string('failover-primary')) {
+                this._settings.set_string('failover-primary', failedId);
+            }
+
+            const candidate = this._settingsManager.getProvider(candidateId);
+            await this._switchTo(candidateId);
+            Main.notify(
+                _('Failed over to: ') + candidate.name,
+                `${failed?.name ?? failedId}: ${reason}`
+            );
+            return;
+        }
+
+        Main.notify(
+            _('Provider failover failed'),
+            `${failed?.name ?? failedId}: ${reason}\n` +
+                _('No healthy provider found in the failover list.')
+        );
+    }
+
+    /**
+     * Switches the current provider without treating it as a manual switch.
+     * @param {string} providerId - The ID of the provider.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _switchTo(providerId) {
+        this._switching = true;
+        try {
+            await this._settingsManager.setCurrentProvider(providerId);
+        } finally {
+            this._switching = false;
+        }
+    }
+
+    /**
+     * Tests a provider connection with a single request, since probes run all day.
+     * @param {string} providerId - The ID of the provider.
+     * @returns {Promise<object>} - The test result.
+     * @private
+     */
+    _test(providerId) {
+        return this._extension._providerStatus.testProvider(providerId, {
+            probe: true,
+        });
+    }
+
+    /**
+     * @returns {SettingsManager}
+     * @private
+     */
+    get _settingsManager() {
+        return this._extension.settingsManager;
+    }
+
+    /**
+     * Stops probing and disconnects signals.
+     */
+    destroy() {
+        this._stopTimer();
+        this._signalIds.forEach((id) => this._settings.disconnect(id));
+        this._signalIds = [];
+        this._extension = null;
+        this._settings = null;
+    }
+}
@@ -0,0 +1,184 @@
+/* fileLock.js
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+Gio._promisify(Gio.File.prototype, 'create_async');
+Gio._promisify(Gio.File.prototype, 'delete_async');
+Gio._promisify(Gio.File.prototype, 'query_info_async');
+Gio._promisify(Gio.OutputStream.prototype, 'close_async');
+
+// 重试间隔与最长等待时间
+const RETRY_INTERVAL_MS = 50;
+const ACQUIRE_TIMEOUT_MS = 10000;
+
+// 超过这个时间的锁视为持有进程已崩溃
+const STALE_LOCK_SECONDS = 30;
+
+/**
+ * Returns the lock file used to serialize writes of a file between processes.
+ * Locks live in the runtime directory, so they do not survive a logout.
+ * @param {string} path - The path of the file to protect.
+ * @returns {string}
+ */
+export function getLockPath(path) {
+    const hash = GLib.compute_checksum_for_string(
+        GLib.ChecksumType.SHA256,
+        path,
+        -1
+    );
+    return GLib.build_filenamev([
+        GLib.get_user_runtime_dir(),
+        'claude-code-switcher',
+        `${hash.substring(0, 16)}.lock`,
+    ]);
+}
+
+/**
+ * Acquires a lock file by creating it exclusively, waiting while another process holds it.
+ * @param {string} lockPath - The lock file, see {@link getLockPath}.
+ * @param {Gio.Cancellable} [cancellable] - Stops waiting, e.g. when the extension is disabled.
+ * @returns {Promise<Function>} - An async function that releases the lock.
+ * @throws {Error} - If the lock cannot be acquired in time or waiting was cancelled.
+ */
+export async function acquireFileLock(lockPath, cancellable = null) {
+    const dir = GLib.path_get_dirname(lockPath);
+    if (GLib.mkdir_with_parents(dir, 0o700) !== 0) {
+        throw new Error(`Failed to create lock directory: ${dir}`);
+    }
+
+    const file = Gio.File.new_for_path(lockPath);
+    const deadline = GLib.get_monotonic_time() + ACQUIRE_TIMEOUT_MS * 1000;
+
+    for (;;) {
+        try {
+            const stream = await file.create_async(
+                Gio.FileCreateFlags.PRIVATE,
+                GLib.PRIORITY_DEFAULT,
+                null
+            );
+            await stream.close_async(GLib.PRIORITY_DEFAULT, null);
+            return () => _releaseFileLock(file);
+        } catch (e) {
+            if (!e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.EXISTS)) {
+                throw e;
+            }
+        }
+
+        if (await _removeStaleLock(file)) {
+            continue;
+        }
+        if (GLib.get_monotonic_time() > deadline) {
+            throw new Error(`Timed out waiting for lock ${lockPath}`);
+        }
+        await _wait(RETRY_INTERVAL_MS, cancellable);
+    }
+}
+
+/**
+ * Deletes a lock file that is older than {@link STALE_LOCK_SECONDS}.
+ * @param {Gio.File} file - The lock file.
+ * @returns {Promise<boolean>} - Whether a stale lock was removed.
+ * @private
+ */
+async function _removeStaleLock(file) {
+    try {
+        const info = await file.query_info_async(
+            'time::modified',
+            Gio.FileQueryInfoFlags.NONE,
+            GLib.PRIORITY_DEFAULT,
+            null
+        );
+        const modified = info.get_modification_date_time();
+        const age = GLib.DateTime.new_now_utc().difference(modified);
+        if (age < STALE_LOCK_SECONDS * GLib.TIME_SPAN_SECOND) {
+            return false;
+        }
+
+        console.warn(`Removing stale lock ${file.get_path()}`);
+        await file.delete_async(GLib.PRIORITY_DEFAULT, null);
+        return true;
+    } catch (e) {
+        // 锁刚好被释放，直接重试
+        return e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND);
+    }
+}
+
+/**
+ * @param {Gio.File} file - The lock file.
+ * @returns {Promise<void>}
+ * @private
+ */
+async function _releaseFileLock(file) {
+    try {
+        await file.delete_async(GLib.PRIORITY_DEFAULT, null);
+    } catch (e) {
+        console.error(`Failed to release lock ${file.get_path()}:`, e);
+    }
+}
+
+/**
+ * Waits before the next attempt. Cancelling removes the timeout source and
+ * rejects with G_IO_ERROR_CANCELLED.
+ * @param {number} ms - The delay in milliseconds.
+ * @param {Gio.Cancellable|null} cancellable - Stops waiting.
+ * @returns {Promise<void>}
+ * @private
+ */
+function _wait(ms, cancellable) {
+    return new Promise((resolve, reject) => {
+        const cancelled = () =>
+            new GLib.Error(
+                Gio.IOErrorEnum,
+                Gio.IOErrorEnum.CANCELLED,
+                'Waiting for the lock was cancelled'
+            );
+        if (cancellable?.is_cancelled()) {
+            reject(cancelled());
+            return;
+        }
+
+        // Gio.Cancellable.connect() 是 g_cancellable_connect()，只接受回调；
+        // 先连接，成功后再添加定时器，避免留下无人移除的定时器
+        let sourceId = 0;
+        let cancelledId = 0;
+        if (cancellable) {
+            cancelledId = cancellable.connect(() => {
+                if (sourceId) {
+                    GLib.source_remove(sourceId);
+                    sourceId = 0;
+                }
+                reject(cancelled());
+            });
+            // 已取消时回调会立即执行
+            if (cancellable.is_cancelled()) {
+                return;
+            }
+        }
+
+        sourceId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, ms, () => {
+            sourceId = 0;
+            if (cancelledId) {
+                cancellable.disconnect(cancelledId);
+            }
+            resolve();
+            return GLib.SOURCE_REMOVE;
+        });
+    });
+}
@@ -0,0 +1,274 @@
+/* providerBundle.js
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+import {
+    ProviderType,
+    getProviderType,
+    getProviderTypeFields,
+} from './providerTypes.js';
+
+export const BUNDLE_FORMAT = 'claude-code-switcher/providers';
+export const BUNDLE_VERSION = 1;
+
+/**
+ * How to resolve an imported provider whose name already exists.
+ * @enum {string}
+ */
+export const ConflictStrategy = {
+    SKIP: 'skip',
+    OVERWRITE: 'overwrite',
+    RENAME: 'rename',
+};
+
+/**
+ * Builds a provider bundle that can be shared as a JSON file.
+ * Provider IDs are local to one installation and are not exported.
+ * @param {Array<object>} providers - The providers to export.
+ * @param {Map<string, string>|null} keys - API keys by provider ID, or null to export without keys.
+ * @returns {object} - The bundle object.
+ */
+export function createBundle(providers, keys = null) {
+    return {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        exportedAt: new Date().toISOString(),
+        providers: providers.map((provider) => {
+            const entry = {
+                name: provider.name,
+                url: provider.url || '',
+                largeModel: provider.largeModel || '',
+                smallModel: provider.smallModel || '',
+                ...getProviderTypeFields(provider),
+            };
+            if (Array.isArray(provider.models) && provider.models.length > 0) {
+                entry.models = [...provider.models];
+            }
+            if (provider.env && Object.keys(provider.env).length > 0) {
+                entry.env = { ...provider.env };
+            }
+            if (keys && keys.get(provider.id)) {
+                entry.key = keys.get(provider.id);
+            }
+            return entry;
+        }),
+    };
+}
+
+/**
+ * Parses and validates the contents of a bundle file.
+ * @param {string} text - The JSON text of the bundle.
+ * @returns {Array<object>} - The providers contained in the bundle.
+ * @throws {Error} - If the text is not a valid provider bundle.
+ */
+export function parseBundle(text) {
+    let bundle;
+    try {
+        bundle = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`Invalid JSON: ${e.message}`);
+    }
+
+    if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+        throw new Error('Not a Claude Code Switcher provider bundle');
+    }
+    if (bundle.version > BUNDLE_VERSION) {
+        throw new Error(`Unsupported bundle version: ${bundle.version}`);
+    }
+    if (!Array.isArray(bundle.providers)) {
+        throw new Error('Bundle contains no providers');
+    }
+
+    return bundle.providers
+        .filter(
+            (p) =>
+                p &&
+                typeof p.name === 'string' &&
+                p.name.trim() !== '' &&
+                (getProviderType(p) !== ProviderType.ANTHROPIC ||
+                    (typeof p.url === 'string' && p.url.trim() !== ''))
+        )
+        .map((p) => ({
+            name: p.name,
+            url: typeof p.url === 'string' ? p.url : '',
+            largeModel: typeof p.largeModel === 'string' ? p.largeModel : '',
+            smallModel: typeof p.smallModel === 'string' ? p.smallModel : '',
+            key: typeof p.key === 'string' ? p.key : '',
+            ...getProviderTypeFields(p),
+            ...(_isStringList(p.models) ? { models: p.models } : {}),
+            ...(_isStringMap(p.env) ? { env: p.env } : {}),
+        }));
+}
+
+/**
+ * Checks that a value is a non-empty array of strings, like a `models` list.
+ * @param {*} value - The value to check.
+ * @returns {boolean}
+ * @private
+ */
+function _isStringList(value) {
+    return (
+        Array.isArray(value) &&
+        value.length > 0 &&
+        value.every((v) => typeof v === 'string')
+    );
+}
+
+/**
+ * Checks that a value is an object with string values only, like an `env` block.
+ * @param {*} value - The value to check.
+ * @returns {boolean}
+ * @private
+ */
+function _isStringMap(value) {
+    return (
+        !!value &&
+        typeof value === 'object' &&
+        !Array.isArray(value) &&
+        Object.values(value).every((v) => typeof v === 'string')
+    );
+}
+
+/**
+ * Finds the names of imported providers that already exist.
+ * @param {Array<object>} existing - The currently configured providers.
+ * @param {Array<object>} incoming - The providers parsed from a bundle.
+ * @returns {Array<string>} - The conflicting provider names.
+ */
+export function findConflicts(existing, incoming) {
+    const names = new Set(existing.map((p) => p.name));
+    return incoming.filter((p) => names.has(p.name)).map((p) => p.name);
+}
+
+/**
+ * Merges imported providers into the existing list. An overwritten provider keeps
+ * only its ID, all other fields come from the bundle.
+ * @param {Array<object>} existing - The currently configured providers.
+ * @param {Array<object>} incoming - The providers parsed from a bundle.
+ * @param {string} strategy - One of {@link ConflictStrategy}.
+ * @returns {{providers: Array<object>, keys: Map<string, string>, imported: number, skipped: number}}
+ *          The merged provider list and the API keys to store, by provider ID.
+ */
+export function mergeProviders(existing, incoming, strategy) {
+    const providers = existing.map((p) => ({ ...p }));
+    const keys = new Map();
+    let imported = 0;
+    let skipped = 0;
+
+    for (const { key, ...entry } of incoming) {
+        const index = providers.findIndex((p) => p.name === entry.name);
+
+        if (index !== -1 && strategy === ConflictStrategy.SKIP) {
+            skipped++;
+            continue;
+        }
+
+        let target;
+        if (index !== -1 && strategy === ConflictStrategy.OVERWRITE) {
+            // 保留原有 ID，当前选中的提供商不会失效；其他字段全部使用导入的值，
+            // 不保留被替换的提供商的 env、模型列表等字段
+            target = { id: providers[index].id, ...entry };
+            providers[index] = target;
+        } else {
+            if (index !== -1) {
+                entry.name = _uniqueName(providers, entry.name);
+            }
+            target = { id: GLib.uuid_string_random(), ...entry };
+            providers.push(target);
+        }
+
+        if (key) {
+            keys.set(target.id, key);
+        }
+        imported++;
+    }
+
+    return { providers, keys, imported, skipped };
+}
+
+/**
+ * Returns a name like "Relay (2)" that is not used by any provider yet.
+ * @param {Array<object>} providers - The providers to check against.
+ * @param {string} name - The conflicting name.
+ * @returns {string}
+ * @private
+ */
+function _uniqueName(providers, name) {
+    let counter = 2;
+    let candidate = `${name} (${counter})`;
+    while (providers.some((p) => p.name === candidate)) {
+        counter++;
+        candidate = `${name} (${counter})`;
+    }
+    return candidate;
+}
+
+/**
+ * Reads a bundle file.
+ * @param {Gio.File} file - The file to read.
+ * @returns {Promise<Array<object>>} - The providers contained in the bundle.
+ */
+export async function readBundleFile(file) {
+    const contents = await new Promise((resolve, reject) => {
+        file.load_contents_async(null, (source, result) => {
+            try {
+                const [bytes] = source.load_contents_finish(result);
+                resolve(bytes);
+            } catch (e) {
+                reject(e);
+            }
+        });
+    });
+
+    return parseBundle(new TextDecoder('utf-8').decode(contents));
+}
+
+/**
+ * Writes a bundle file. Files containing API keys are only readable by the owner.
+ * @param {Gio.File} file - The file to write.
+ * @param {object} bundle - The bundle created by {@link createBundle}.
+ * @returns {Promise<void>}
+ */
+export function writeBundleFile(file, bundle) {
+    const bytes = new TextEncoder().encode(JSON.stringify(bundle, null, 2));
+    const containsKeys = bundle.providers.some((p) => p.key);
+    let flags = Gio.FileCreateFlags.REPLACE_DESTINATION;
+    if (containsKeys) {
+        flags |= Gio.FileCreateFlags.PRIVATE;
+    }
+
+    return new Promise((resolve, reject) => {
+        file.replace_contents_async(
+            bytes,
+            null,
+            false,
+            flags,
+            null,
+            (source, result) => {
+                try {
+                    source.replace_contents_finish(result);
+                    resolve();
+                } catch (e) {
+                    reject(e);
+                }
+            }
+        );
+    });
+}
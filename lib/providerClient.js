@@ -0,0 +1,417 @@
+/* providerClient.js
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+// This module must not import anything from GNOME Shell or the prefs process:
+// it is shared by both and can be run with plain `gjs -m` against a local test server.
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import Soup from 'gi://Soup?version=3.0';
+
+Gio._promisify(Soup.Session.prototype, 'send_and_read_async');
+
+export const DEFAULT_BASE_URL = 'https://api.anthropic.com';
+export const DEFAULT_TEST_MODEL = 'claude-3-5-haiku-20241022';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+// 不经过代理的本机地址
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '::1'];
+
+// 模型列表分页请求的上限，避免服务端分页出错时无限请求
+export const MAX_MODEL_PAGES = 10;
+const MODEL_PAGE_SIZE = 1000;
+
+// 表示服务不提供模型列表接口的状态码
+const MODELS_NOT_IMPLEMENTED = [404, 405, 501];
+
+/**
+ * Outcome of a provider connection test.
+ * @enum {string}
+ */
+export const TestStatus = {
+    OK: 'ok',
+    UNREACHABLE: 'unreachable',
+    TLS_ERROR: 'tls-error',
+    AUTH_FAILED: 'auth-failed',
+    UNKNOWN_MODEL: 'unknown-model',
+    RATE_LIMITED: 'rate-limited',
+    ERROR: 'error',
+    // 提供商类型不使用 Anthropic 接口（Bedrock、Vertex）
+    UNSUPPORTED: 'unsupported',
+};
+
+/**
+ * Classifies an HTTP response of the Messages API.
+ * @param {number} httpStatus - The HTTP status code.
+ * @param {string} body - The response body.
+ * @returns {{status: string, message: string}}
+ */
+export function classifyResponse(httpStatus, body) {
+    let message = '';
+    try {
+        const error = JSON.parse(body)?.error;
+        message = typeof error === 'string' ? error : error?.message || '';
+    } catch (e) {
+        message = body ? body.substring(0, 200) : '';
+    }
+
+    if (httpStatus >= 200 && httpStatus < 300) {
+        return { status: TestStatus.OK, message: '' };
+    }
+    if (httpStatus === 401 || httpStatus === 403) {
+        return { status: TestStatus.AUTH_FAILED, message };
+    }
+    if (httpStatus === 429) {
+        return { status: TestStatus.RATE_LIMITED, message };
+    }
+    if ((httpStatus === 400 || httpStatus === 404) && /model/i.test(message)) {
+        return { status: TestStatus.UNKNOWN_MODEL, message };
+    }
+
+    return {
+        status: TestStatus.ERROR,
+        message: message || `HTTP ${httpStatus}`,
+    };
+}
+
+/**
+ * Classifies an error thrown while sending a request.
+ * @param {GLib.Error|Error} error - The error.
+ * @param {boolean} certificateRejected - Whether the TLS certificate was rejected.
+ * @returns {{status: string, message: string}}
+ */
+export function classifyError(error, certificateRejected = false) {
+    const message = error?.message || String(error);
+
+    if (certificateRejected || error?.domain === Gio.tls_error_quark()) {
+        return { status: TestStatus.TLS_ERROR, message };
+    }
+
+    if (
+        error?.domain === Gio.resolver_error_quark() ||
+        (error instanceof GLib.Error &&
+            [
+                Gio.IOErrorEnum.CONNECTION_REFUSED,
+                Gio.IOErrorEnum.HOST_UNREACHABLE,
+                Gio.IOErrorEnum.NETWORK_UNREACHABLE,
+                Gio.IOErrorEnum.TIMED_OUT,
+                Gio.IOErrorEnum.PROXY_FAILED,
+            ].some((code) => error.matches(Gio.IOErrorEnum, code)))
+    ) {
+        return { status: TestStatus.UNREACHABLE, message };
+    }
+
+    return { status: TestStatus.ERROR, message };
+}
+
+/**
+ * Returns a human-readable description of a test result.
+ * @param {{status: string, latency: number, message: string}} result - The test result.
+ * @param {function(string): string} gettext - The gettext function of the calling process.
+ * @returns {string}
+ */
+export function describeTestResult(result, gettext) {
+    const _ = gettext;
+    const labels = {
+        [TestStatus.OK]: _('Connection OK'),
+        [TestStatus.UNREACHABLE]: _('Provider unreachable'),
+        [TestStatus.TLS_ERROR]: _('TLS error'),
+        [TestStatus.AUTH_FAILED]: _('Authentication failed (401/403)'),
+        [TestStatus.UNKNOWN_MODEL]: _('Unknown model'),
+        [TestStatus.RATE_LIMITED]: _('Rate limited'),
+        [TestStatus.ERROR]: _('Request failed'),
+        [TestStatus.UNSUPPORTED]: _('Cannot be tested for this provider type'),
+    };
+
+    let text = labels[result.status] || labels[TestStatus.ERROR];
+    if (result.model && result.status === TestStatus.UNKNOWN_MODEL) {
+        text += `: ${result.model}`;
+    }
+    if (result.latency !== null && result.latency !== undefined) {
+        text += ` · ${result.latency} ms`;
+    }
+    return text;
+}
+
+/**
+ * @class ProviderClient
+ * @description Talks to an Anthropic-compatible provider endpoint over HTTP.
+ */
+export class ProviderClient {
+    /**
+     * @param {object} options
+     * @param {string} options.url - The provider base URL (ANTHROPIC_BASE_URL). Empty for the official API.
+     * @param {string} options.key - The API key.
+     * @param {string} [options.proxyUrl] - An HTTP proxy URL, e.g. "http://127.0.0.1:7890".
+     * @param {number} [options.timeout] - The request timeout in seconds.
+     */
+    constructor({ url, key, proxyUrl = '', timeout = 15 }) {
+        this._baseUrl = (url || DEFAULT_BASE_URL).replace(/\/+$/, '');
+        this._key = key || '';
+
+        this._session = new Soup.Session({ timeout });
+        if (proxyUrl) {
+            // 本机地址（如本地中转服务）不走代理
+            this._session.set_proxy_resolver(
+                Gio.SimpleProxyResolver.new(proxyUrl, LOCAL_HOSTS)
+            );
+        }
+    }
+
+    /**
+     * Sends a minimal Messages API request for every configured model.
+     * Stops at the first model that fails.
+     * @param {Array<string>} models - The models to check (e.g. largeModel and smallModel).
+     * @param {Gio.Cancellable} [cancellable] - Cancels the test.
+     * @returns {Promise<{status: string, latency: number|null, httpStatus: number|null, model: string, message: string}>}
+     */
+    async testConnection(models, cancellable = null) {
+        const uniqueModels = [...new Set(models.filter((m) => m))];
+        if (uniqueModels.length === 0) {
+            uniqueModels.push(DEFAULT_TEST_MODEL);
+        }
+
+        let result = null;
+        for (const model of uniqueModels) {
+            const modelResult = await this._testModel(model, cancellable);
+            // 报告第一个请求的延迟
+            if (result && modelResult.status === TestStatus.OK) {
+                continue;
+            }
+            result = modelResult;
+            if (result.status !== TestStatus.OK) {
+                break;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Sends one Messages API request.
+     * @param {string} model - The model to request.
+     * @param {Gio.Cancellable} cancellable - Cancels the request.
+     * @returns {Promise<object>}
+     * @private
+     */
+    async _testModel(model, cancellable) {
+        const body = JSON.stringify({
+            model,
+            max_tokens: 1,
+            messages: [{ role: 'user', content: 'ping' }],
+        });
+
+        let certificateRejected = false;
+        const startTime = GLib.get_monotonic_time();
+
+        try {
+            const message = this._createMessage('POST', '/v1/messages');
+            message.set_request_body_from_bytes(
+                'application/json',
+                new GLib.Bytes(new TextEncoder().encode(body))
+            );
+            message.connect('accept-certificate', () => {
+                certificateRejected = true;
+                return false;
+            });
+
+            const bytes = await this._session.send_and_read_async(
+                message,
+                GLib.PRIORITY_DEFAULT,
+                cancellable
+            );
+            const latency = Math.round(
+                (GLib.get_monotonic_time() - startTime) / 1000
+            );
+            const httpStatus = message.get_status();
+            const responseBody = new TextDecoder('utf-8').decode(
+                bytes.get_data() || new Uint8Array()
+            );
+
+            return {
+                ...classifyResponse(httpStatus, responseBody),
+                latency,
+                httpStatus,
+                model,
+            };
+        } catch (e) {
+            return {
+                ...classifyError(e, certificateRejected),
+                latency: null,
+                httpStatus: null,
+                model,
+            };
+        }
+    }
+
+    /**
+     * Lists the models of the provider (GET /v1/models), following the pages
+     * of the Anthropic format. OpenAI-style lists with a `data` array work too.
+     * Providers without the endpoint give {@link TestStatus.UNSUPPORTED}.
+     * @param {Gio.Cancellable} [cancellable] - Cancels the request.
+     * @returns {Promise<{status: string, models: Array<string>, httpStatus: number|null, message: string}>}
+     */
+    async listModels(cancellable = null) {
+        const models = [];
+        let afterId = '';
+
+        for (let page = 0; page < MAX_MODEL_PAGES; page++) {
+            let path = `/v1/models?limit=${MODEL_PAGE_SIZE}`;
+            if (afterId) {
+                path += `&after_id=${encodeURIComponent(afterId)}`;
+            }
+
+            const result = await this._fetchModelPage(path, cancellable);
+            if (result.status !== TestStatus.OK) {
+                // 后续页失败时保留已获取的模型
+                if (models.length > 0) {
+                    break;
+                }
+                return { ...result, models: [] };
+            }
+
+            models.push(...result.models);
+            if (
+                !result.hasMore ||
+                !result.lastId ||
+                result.lastId === afterId
+            ) {
+                break;
+            }
+            afterId = result.lastId;
+        }
+
+        return {
+            status: TestStatus.OK,
+            models: [...new Set(models)],
+            httpStatus: 200,
+            message: '',
+        };
+    }
+
+    /**
+     * Requests one page of the models list.
+     * @param {string} path - The API path with the query.
+     * @param {Gio.Cancellable} cancellable - Cancels the request.
+     * @returns {Promise<object>}
+     * @private
+     */
+    async _fetchModelPage(path, cancellable) {
+        let certificateRejected = false;
+
+        try {
+            const message = this._createMessage('GET', path);
+            message.connect('accept-certificate', () => {
+                certificateRejected = true;
+                return false;
+            });
+
+            const bytes = await this._session.send_and_read_async(
+                message,
+                GLib.PRIORITY_DEFAULT,
+                cancellable
+            );
+            const httpStatus = message.get_status();
+            const responseBody = new TextDecoder('utf-8').decode(
+                bytes.get_data() || new Uint8Array()
+            );
+
+            if (MODELS_NOT_IMPLEMENTED.includes(httpStatus)) {
+                return {
+                    status: TestStatus.UNSUPPORTED,
+                    httpStatus,
+                    message: `HTTP ${httpStatus}`,
+                };
+            }
+
+            const result = classifyResponse(httpStatus, responseBody);
+            if (result.status !== TestStatus.OK) {
+                return { ...result, httpStatus };
+            }
+
+            return { ...this._parseModelPage(responseBody), httpStatus };
+        } catch (e) {
+            return {
+                ...classifyError(e, certificateRejected),
+                httpStatus: null,
+            };
+        }
+    }
+
+    /**
+     * Reads the model IDs from a models list response. A body without a list,
+     * like the HTML page of a gateway, means the endpoint is not implemented.
+     * @param {string} body - The response body.
+     * @returns {{status: string, message: string, models?: Array<string>, hasMore?: boolean, lastId?: string}}
+     * @private
+     */
+    _parseModelPage(body) {
+        let data = null;
+        let hasMore = false;
+        let lastId = '';
+        try {
+            const parsed = JSON.parse(body);
+            data = parsed?.data;
+            hasMore = parsed?.has_more === true;
+            lastId = typeof parsed?.last_id === 'string' ? parsed.last_id : '';
+        } catch (e) {
+            // 不是 JSON，按不支持处理
+        }
+
+        if (!Array.isArray(data)) {
+            return {
+                status: TestStatus.UNSUPPORTED,
+                message: 'The response has no model list',
+            };
+        }
+
+        const models = data
+            .map((m) => (typeof m === 'string' ? m : m?.id))
+            .filter((id) => typeof id === 'string' && id !== '');
+        return { status: TestStatus.OK, message: '', models, hasMore, lastId };
+    }
+
+    /**
+     * Creates a request with the authentication headers set.
+     * @param {string} method - The HTTP method.
+     * @param {string} path - The API path, e.g. "/v1/messages".
+     * @returns {Soup.Message}
+     * @private
+     */
+    _createMessage(method, path) {
+        const message = Soup.Message.new(method, `${this._baseUrl}${path}`);
+        if (!message) {
+            throw new Error(`Invalid provider URL: ${this._baseUrl}`);
+        }
+
+        const headers = message.get_request_headers();
+        // 兼容官方 API（x-api-key）和使用 Bearer 令牌的中转服务
+        headers.append('x-api-key', this._key);
+        headers.append('Authorization', `Bearer ${this._key}`);
+        headers.append('anthropic-version', ANTHROPIC_VERSION);
+        return message;
+    }
+
+    /**
+     * Aborts pending requests.
+     */
+    destroy() {
+        this._session?.abort();
+        this._session = null;
+    }
+}
@@ -0,0 +1,165 @@
+/* providerQuickSettings.js
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+import GObject from 'gi://GObject';
+
+import { gettext as _ } from 'resource:///org/gnome/shell/extensions/extension.js';
+import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
+import * as QuickSettings from 'resource:///org/gnome/shell/ui/quickSettings.js';
+
+const ICON_NAME = 'face-smile-symbolic';
+
+/**
+ * @class ProviderToggle
+ * @description A Quick Settings menu toggle showing the current provider, with a
+ * menu listing all providers. Switches go through the panel indicator.
+ * @extends QuickSettings.QuickMenuToggle
+ */
+const ProviderToggle = GObject.registerClass(
+    class ProviderToggle extends QuickSettings.QuickMenuToggle {
+        /**
+         * @param {Extension} extension - The main extension object.
+         */
+        _init(extension) {
+            super._init({
+                title: _('Claude Code'),
+                iconName: ICON_NAME,
+                toggleMode: false,
+            });
+            this._extension = extension;
+            this._settings = extension.getSettings();
+            this._signalIds = [];
+
+            this.menu.setHeader(ICON_NAME, _('Claude Code Switcher'));
+            this._providerSection = new PopupMenu.PopupMenuSection();
+            this.menu.addMenuItem(this._providerSection);
+            this.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+
+            let settingsItem = new PopupMenu.PopupMenuItem(_('Settings'));
+            settingsItem.connect('activate', () =>
+                this._extension.openPreferences()
+            );
+            this.menu.addMenuItem(settingsItem);
+
+            // 点击开关本身时展开提供商列表
+            this.connect('clicked', () => this.menu.open());
+
+            for (const key of ['api-providers', 'current-provider']) {
+                this._signalIds.push(
+                    this._settings.connect(`changed::${key}`, () =>
+                        this._sync()
+                    )
+                );
+            }
+
+            // settings.json 被外部修改后刷新当前提供商
+            this._configWatcher = extension._configWatcher;
+            this._configWatcherId = this._configWatcher?.connect(
+                'changed',
+                () => this._sync()
+            );
+
+            this._sync();
+        }
+
+        /**
+         * Updates the subtitle and the provider list.
+         * @private
+         */
+        _sync() {
+            const providers = this._extension.settingsManager
+                .getAllProviders()
+                .filter((p) => p && typeof p.name === 'string');
+            // 与面板菜单一致：settings.json 不匹配时不显示当前提供商
+            const currentId = this._configWatcher?.isUnmatched()
+                ? null
+                : this._settings.get_string('current-provider');
+            const current = providers.find((p) => p.id === currentId);
+
+            this.subtitle = current ? current.name : _('No provider');
+            this.checked = !!current;
+
+            this._providerSection.removeAll();
+            if (providers.length === 0) {
+                let noProvidersItem = new PopupMenu.PopupMenuItem(
+                    _('No configured providers')
+                );
+                noProvidersItem.setSensitive(false);
+                this._providerSection.addMenuItem(noProvidersItem);
+                return;
+            }
+
+            providers.forEach((provider) => {
+                let item = new PopupMenu.PopupMenuItem(provider.name);
+                if (provider === current) {
+                    item.setOrnament(PopupMenu.Ornament.CHECK);
+                }
+                item.connect('activate', () =>
+                    this._extension._indicator?._selectProvider(provider.id)
+                );
+                this._providerSection.addMenuItem(item);
+            });
+        }
+
+        /**
+         * Disconnects signals.
+         */
+        destroy() {
+            this._signalIds.forEach((id) => this._settings.disconnect(id));
+            this._signalIds = [];
+
+            if (this._configWatcherId) {
+                this._configWatcher.disconnect(this._configWatcherId);
+                this._configWatcherId = 0;
+            }
+
+            this._extension = null;
+            this._settings = null;
+            this._configWatcher = null;
+
+            super.destroy();
+        }
+    }
+);
+
+/**
+ * @class ProviderQuickSettings
+ * @description Adds the provider toggle to the Quick Settings menu, as an
+ * alternative to the panel button.
+ * @extends QuickSettings.SystemIndicator
+ */
+export const ProviderQuickSettings = GObject.registerClass(
+    class ProviderQuickSettings extends QuickSettings.SystemIndicator {
+        /**
+         * @param {Extension} extension - The main extension object.
+         */
+        _init(extension) {
+            super._init();
+            this.quickSettingsItems.push(new ProviderToggle(extension));
+        }
+
+        /**
+         * Destroys the toggle together with the indicator.
+         */
+        destroy() {
+            this.quickSettingsItems.forEach((item) => item.destroy());
+            this.quickSettingsItems = [];
+            super.destroy();
+        }
+    }
+);
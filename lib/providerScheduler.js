@@ -0,0 +1,241 @@
+/* providerScheduler.js
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+import GLib from 'gi://GLib';
+
+import { gettext as _ } from 'resource:///org/gnome/shell/extensions/extension.js';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+
+import {
+    parseRules,
+    findActiveRule,
+    getNextBoundary,
+} from './scheduleRules.js';
+
+// 定时器最长间隔，避免休眠或修改系统时间后错过边界
+const MAX_TIMER_SECONDS = 3600;
+
+/**
+ * @class ProviderScheduler
+ * @description Switches the current provider at the boundaries of the schedule rules.
+ * A rule is applied once when it becomes active, so switches made in between
+ * (e.g. by failover) are kept until the next boundary.
+ */
+export class ProviderScheduler {
+    /**
+     * @param {Extension} extension - The main extension object.
+     */
+    constructor(extension) {
+        this._extension = extension;
+        this._settings = extension.getSettings();
+        this._timeoutId = 0;
+        this._signalIds = [];
+        this._appliedRuleId = null;
+    }
+
+    /**
+     * Starts evaluating the schedule.
+     */
+    start() {
+        const signals = [
+            'changed::schedule-enabled',
+            'changed::schedule-rules',
+        ];
+        signals.forEach((signal) => {
+            this._signalIds.push(
+                this._settings.connect(signal, () => {
+                    // 规则变化后重新应用当前生效的规则
+                    this._appliedRuleId = null;
+                    this._evaluate();
+                })
+            );
+        });
+
+        this._evaluate();
+    }
+
+    /**
+     * Whether the schedule is enabled and has at least one rule.
+     * @returns {boolean}
+     */
+    isActive() {
+        return (
+            this._settings.get_boolean('schedule-enabled') &&
+            this._getRules().length > 0
+        );
+    }
+
+    /**
+     * Returns the time until which the schedule is paused.
+     * @returns {GLib.DateTime|null} - The end of the pause, or null if not paused.
+     */
+    getPausedUntil() {
+        const pausedUntil = this._settings.get_int64('schedule-paused-until');
+        if (pausedUntil * 1000 <= Date.now()) {
+            return null;
+        }
+        return GLib.DateTime.new_from_unix_local(pausedUntil);
+    }
+
+    /**
+     * Pauses the schedule until the next rule boundary.
+     * Called when the user switches provider manually.
+     */
+    pauseUntilNextBoundary() {
+        if (!this.isActive()) {
+            return;
+        }
+
+        const next = getNextBoundary(this._getRules(), new Date());
+        if (!next) {
+            return;
+        }
+
+        this._settings.set_int64(
+            'schedule-paused-until',
+            Math.floor(next.getTime() / 1000)
+        );
+        this._evaluate();
+    }
+
+    /**
+     * Resumes a paused schedule and applies the active rule immediately.
+     */
+    resume() {
+        this._settings.set_int64('schedule-paused-until', 0);
+        this._appliedRuleId = null;
+        this._evaluate();
+    }
+
+    /**
+     * @returns {Array<object>} - The configured schedule rules.
+     * @private
+     */
+    _getRules() {
+        return parseRules(this._settings.get_string('schedule-rules'));
+    }
+
+    /**
+     * Applies the active rule and schedules the next evaluation.
+     * @private
+     */
+    _evaluate() {
+        this._stopTimer();
+
+        if (!this._settings.get_boolean('schedule-enabled')) {
+            return;
+        }
+
+        const now = new Date();
+        const pausedUntil = this._settings.get_int64('schedule-paused-until');
+        if (pausedUntil * 1000 > now.getTime()) {
+            this._scheduleTimer(pausedUntil * 1000 - now.getTime());
+            return;
+        }
+        if (pausedUntil !== 0) {
+            // 暂停结束，重新应用当前规则
+            this._settings.set_int64('schedule-paused-until', 0);
+            this._appliedRuleId = null;
+        }
+
+        const rules = this._getRules();
+        const rule = findActiveRule(rules, now);
+        if (rule && rule.id !== this._appliedRuleId) {
+            this._appliedRuleId = rule.id;
+            this._applyRule(rule).catch((e) =>
+                console.error('Failed to apply provider schedule:', e)
+            );
+        } else if (!rule) {
+            this._appliedRuleId = null;
+        }
+
+        const next = getNextBoundary(rules, now);
+        this._scheduleTimer(
+            next ? next.getTime() - now.getTime() : MAX_TIMER_SECONDS * 1000
+        );
+    }
+
+    /**
+     * Switches to the provider of a schedule rule.
+     * @param {object} rule - The active rule.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _applyRule(rule) {
+        const settingsManager = this._extension.settingsManager;
+        const provider = settingsManager.getProvider(rule.providerId);
+        if (!provider) {
+            console.warn(
+                `Scheduled provider '${rule.providerId}' no longer exists`
+            );
+            return;
+        }
+        if (this._settings.get_string('current-provider') === provider.id) {
+            return;
+        }
+
+        await settingsManager.setCurrentProvider(provider.id);
+        Main.notify(
+            _('Scheduled switch to: ') + provider.name,
+            _('Switch provider manually to pause the schedule.')
+        );
+    }
+
+    /**
+     * Schedules the next evaluation.
+     * @param {number} delayMs - The delay in milliseconds.
+     * @private
+     */
+    _scheduleTimer(delayMs) {
+        const seconds = Math.min(
+            MAX_TIMER_SECONDS,
+            Math.max(1, Math.ceil(delayMs / 1000))
+        );
+        this._timeoutId = GLib.timeout_add_seconds(
+            GLib.PRIORITY_DEFAULT,
+            seconds,
+            () => {
+                this._timeoutId = 0;
+                this._evaluate();
+                return GLib.SOURCE_REMOVE;
+            }
+        );
+    }
+
+    /**
+     * Removes the evaluation timer.
+     * @private
+     */
+    _stopTimer() {
+        if (this._timeoutId) {
+            GLib.source_remove(this._timeoutId);
+            this._timeoutId = 0;
+        }
+    }
+
+    /**
+     * Stops the schedule and disconnects signals.
+     */
+    destroy() {
+        this._stopTimer();
+        this._signalIds.forEach((id) => this._settings.disconnect(id));
+        this._signalIds = [];
+        this._extension = null;
+        this._settings = null;
+    }
+}
@@ -0,0 +1,154 @@
+/* providerShortcuts.js
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+import Meta from 'gi://Meta';
+import Shell from 'gi://Shell';
+
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+
+// 快捷键在桌面和概览中都可用
+const ACTION_MODES = Shell.ActionMode.NORMAL | Shell.ActionMode.OVERVIEW;
+
+/**
+ * @class ProviderShortcuts
+ * @description Registers the global keyboard shortcuts: switching to the next
+ * provider, opening the provider switcher and switching straight to a provider.
+ * Switches go through the indicator, so they notify and sync like the menu.
+ */
+export class ProviderShortcuts {
+    /**
+     * @param {Extension} extension - The main extension object.
+     */
+    constructor(extension) {
+        this._extension = extension;
+        this._settings = extension.getSettings();
+        this._signalIds = [];
+        // 提供商快捷键的 action ID 到提供商 ID
+        this._providerActions = new Map();
+        this._acceleratorId = 0;
+    }
+
+    /**
+     * Adds the keybindings and grabs the provider shortcuts.
+     */
+    start() {
+        Main.wm.addKeybinding(
+            'cycle-provider-shortcut',
+            this._settings,
+            Meta.KeyBindingFlags.NONE,
+            ACTION_MODES,
+            () => this._extension._indicator?._selectNextProvider()
+        );
+        Main.wm.addKeybinding(
+            'provider-switcher-shortcut',
+            this._settings,
+            Meta.KeyBindingFlags.NONE,
+            ACTION_MODES,
+            () => this._extension._indicator?._showProviderSwitcher()
+        );
+
+        this._acceleratorId = global.display.connect(
+            'accelerator-activated',
+            (display, action) => this._onAcceleratorActivated(action)
+        );
+        for (const key of ['provider-shortcuts', 'api-providers']) {
+            this._signalIds.push(
+                this._settings.connect(`changed::${key}`, () =>
+                    this._grabProviderShortcuts()
+                )
+            );
+        }
+        this._grabProviderShortcuts();
+    }
+
+    /**
+     * Grabs the shortcuts of the configured providers again.
+     * @private
+     */
+    _grabProviderShortcuts() {
+        this._ungrabProviderShortcuts();
+
+        const settingsManager = this._extension.settingsManager;
+        const shortcuts = settingsManager.getProviderShortcuts();
+        for (const [providerId, accelerator] of Object.entries(shortcuts)) {
+            if (!settingsManager.getProvider(providerId)) {
+                continue;
+            }
+
+            const action = global.display.grab_accelerator(
+                accelerator,
+                Meta.KeyBindingFlags.NONE
+            );
+            if (action === Meta.KeyBindingAction.NONE) {
+                console.warn(`Failed to grab shortcut ${accelerator}`);
+                continue;
+            }
+
+            Main.wm.allowKeybinding(
+                Meta.external_binding_name_for_action(action),
+                ACTION_MODES
+            );
+            this._providerActions.set(action, providerId);
+        }
+    }
+
+    /**
+     * Releases the provider shortcuts.
+     * @private
+     */
+    _ungrabProviderShortcuts() {
+        for (const action of this._providerActions.keys()) {
+            global.display.ungrab_accelerator(action);
+            Main.wm.allowKeybinding(
+                Meta.external_binding_name_for_action(action),
+                Shell.ActionMode.NONE
+            );
+        }
+        this._providerActions.clear();
+    }
+
+    /**
+     * Switches to the provider of a pressed shortcut.
+     * @param {number} action - The action ID of the accelerator.
+     * @private
+     */
+    _onAcceleratorActivated(action) {
+        const providerId = this._providerActions.get(action);
+        if (providerId) {
+            this._extension._indicator?._selectProvider(providerId);
+        }
+    }
+
+    /**
+     * Removes all shortcuts and disconnects signals.
+     */
+    destroy() {
+        Main.wm.removeKeybinding('cycle-provider-shortcut');
+        Main.wm.removeKeybinding('provider-switcher-shortcut');
+        this._ungrabProviderShortcuts();
+
+        if (this._acceleratorId) {
+            global.display.disconnect(this._acceleratorId);
+            this._acceleratorId = 0;
+        }
+        this._signalIds.forEach((id) => this._settings.disconnect(id));
+        this._signalIds = [];
+        this._extension = null;
+        this._settings = null;
+    }
+}
@@ -17,6 +17,16 @@
  */
 
 import { gettext as _ } from 'resource:///org/gnome/shell/extensions/extension.js';
+import {
+    ProviderClient,
+    TestStatus,
+    describeTestResult,
+} from './providerClient.js';
+import {
+    ProviderType,
+    getProviderType,
+    providerNeedsKey,
+} from './providerTypes.js';
 
 /**
  * @class ProviderStatus
@@ -42,13 +52,14 @@ export class ProviderStatus {
 
     /**
      * Checks the configuration status of the current provider.
-     * @returns {number} - An exit code representing the status:
+     * The API key is resolved from the keyring through the settings manager.
+     * @returns {Promise<number>} - An exit code representing the status:
      *                    0: Configured successfully
      *                    1: No provider configured
      *                    2: Provider configured but missing API key
      *                    3: Unknown error
      */
-    checkProviderStatus() {
+    async checkProviderStatus() {
         try {
             const currentProvider =
                 this._settings.get_string('current-provider');
@@ -56,11 +67,14 @@ export class ProviderStatus {
                 return 1; // No provider configured
             }
 
-            const providersJson = this._settings.get_string('api-providers');
-            const providers = JSON.parse(providersJson);
-            const provider = providers.find((p) => p.name === currentProvider);
+            const settingsManager = this._extension.settingsManager;
+            const provider = settingsManager.getProvider(currentProvider);
+            if (!provider) {
+                return 2; // Provider configured but missing API key
+            }
 
-            if (!provider || !provider.key || provider.key.trim() === '') {
+            const key = await settingsManager.getProviderKey(provider);
+            if (providerNeedsKey(provider) && key.trim() === '') {
                 return 2; // Provider configured but missing API key
             }
 
@@ -71,23 +85,81 @@ export class ProviderStatus {
         }
     }
 
+    /**
+     * Runs a connection test against a provider: sends a minimal Messages API request
+     * with its key and models, through the configured proxy.
+     * @param {string} providerId - The ID of the provider to test.
+     * @param {object} [options]
+     * @param {boolean} [options.probe] - Send only one request, to the small model, as the
+     *        background health probes do; every request may be billed.
+     * @returns {Promise<{status: string, latency: number|null, httpStatus: number|null, model: string, message: string}>}
+     */
+    async testProvider(providerId, { probe = false } = {}) {
+        const settingsManager = this._extension.settingsManager;
+        const provider = settingsManager.getProvider(providerId);
+        if (!provider) {
+            return {
+                status: TestStatus.ERROR,
+                latency: null,
+                httpStatus: null,
+                model: '',
+                message: `Provider '${providerId}' not found`,
+            };
+        }
+
+        // Bedrock 和 Vertex 需要云服务的签名，无法用 Anthropic 接口测试
+        if (getProviderType(provider) !== ProviderType.ANTHROPIC) {
+            return {
+                status: TestStatus.UNSUPPORTED,
+                latency: null,
+                httpStatus: null,
+                model: '',
+                message: '',
+            };
+        }
+
+        const client = new ProviderClient({
+            url: provider.url,
+            key: await settingsManager.getProviderKey(provider),
+            proxyUrl: settingsManager.getProxyUrl(),
+        });
+
+        const models = probe
+            ? [provider.smallModel || provider.largeModel]
+            : [provider.largeModel, provider.smallModel];
+        try {
+            return await client.testConnection(models);
+        } finally {
+            client.destroy();
+        }
+    }
+
+    /**
+     * Gets a human-readable description of a connection test result.
+     * @param {object} result - The result of `testProvider`.
+     * @returns {string}
+     */
+    describeTestResult(result) {
+        return describeTestResult(result, _);
+    }
+
     /**
      * Gets an object representing the current status.
-     * @returns {{enabled: boolean, providerStatus: number}}
+     * @returns {Promise<{enabled: boolean, providerStatus: number}>}
      */
-    getStatus() {
+    async getStatus() {
         return {
             enabled: this._isEnabled,
-            providerStatus: this.checkProviderStatus(),
+            providerStatus: await this.checkProviderStatus(),
         };
     }
 
     /**
      * Runs a test of the provider status check.
-     * @returns {{success: boolean, providerStatus: number, message: string}}
+     * @returns {Promise<{success: boolean, providerStatus: number, message: string}>}
      */
-    testHook() {
-        const status = this.checkProviderStatus();
+    async testHook() {
+        const status = await this.checkProviderStatus();
         return {
             success: true,
             providerStatus: status,
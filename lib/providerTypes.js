@@ -0,0 +1,199 @@
+/* providerTypes.js
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+/**
+ * How Claude Code reaches the models of a provider.
+ * @enum {string}
+ */
+export const ProviderType = {
+    // Anthropic 兼容的接口地址和令牌
+    ANTHROPIC: 'anthropic',
+    BEDROCK: 'bedrock',
+    VERTEX: 'vertex',
+    // Claude 订阅账号登录，不覆盖接口
+    OAUTH: 'oauth',
+};
+
+/**
+ * The environment variables each provider type writes, besides the models.
+ */
+export const PROVIDER_TYPE_ENV_KEYS = {
+    [ProviderType.ANTHROPIC]: ['ANTHROPIC_AUTH_TOKEN', 'ANTHROPIC_BASE_URL'],
+    [ProviderType.BEDROCK]: [
+        'CLAUDE_CODE_USE_BEDROCK',
+        'AWS_REGION',
+        'AWS_PROFILE',
+        'AWS_BEARER_TOKEN_BEDROCK',
+        'ANTHROPIC_BEDROCK_BASE_URL',
+    ],
+    [ProviderType.VERTEX]: [
+        'CLAUDE_CODE_USE_VERTEX',
+        'CLOUD_ML_REGION',
+        'ANTHROPIC_VERTEX_PROJECT_ID',
+        'ANTHROPIC_VERTEX_BASE_URL',
+    ],
+    [ProviderType.OAUTH]: [],
+};
+
+// 会让 Claude Code 不使用账号登录的其他变量
+const API_KEY_ENV_KEYS = ['ANTHROPIC_API_KEY'];
+
+// 账号登录时即使是用户自己设置的也要移除的接口覆盖；
+// AWS_*、CLOUD_ML_* 等变量只在由扩展写入时移除
+const OAUTH_OVERRIDE_ENV_KEYS = [
+    ...PROVIDER_TYPE_ENV_KEYS[ProviderType.ANTHROPIC],
+    ...API_KEY_ENV_KEYS,
+    'CLAUDE_CODE_USE_BEDROCK',
+    'CLAUDE_CODE_USE_VERTEX',
+];
+
+/**
+ * The provider fields each type adds to the common ones (name, url, models, env).
+ */
+export const PROVIDER_TYPE_FIELDS = {
+    [ProviderType.ANTHROPIC]: [],
+    [ProviderType.BEDROCK]: ['region', 'awsProfile'],
+    [ProviderType.VERTEX]: ['region', 'projectId'],
+    [ProviderType.OAUTH]: [],
+};
+
+/**
+ * Returns the type of a provider. Providers saved before types existed are
+ * Anthropic-compatible.
+ * @param {object|null} provider - The provider object.
+ * @returns {string} - A {@link ProviderType} value.
+ */
+export function getProviderType(provider) {
+    return Object.values(ProviderType).includes(provider?.type)
+        ? provider.type
+        : ProviderType.ANTHROPIC;
+}
+
+/**
+ * Returns the type and the type-specific fields of a provider, for storing or
+ * exporting it. Anthropic-compatible providers have none.
+ * @param {object} provider - The provider object.
+ * @returns {object}
+ */
+export function getProviderTypeFields(provider) {
+    const type = getProviderType(provider);
+    if (type === ProviderType.ANTHROPIC) {
+        return {};
+    }
+
+    const fields = { type };
+    for (const name of PROVIDER_TYPE_FIELDS[type]) {
+        fields[name] = typeof provider[name] === 'string' ? provider[name] : '';
+    }
+    return fields;
+}
+
+/**
+ * Checks that a provider has everything its type needs. The key and URL are
+ * optional for Bedrock and Vertex, which can use the cloud SDK credentials and
+ * default endpoints, and not used by the account login.
+ * @param {object} provider - The provider object.
+ * @param {string} key - The API key of the provider.
+ * @returns {boolean}
+ */
+export function isProviderComplete(provider, key) {
+    switch (getProviderType(provider)) {
+        case ProviderType.BEDROCK:
+            return !!provider.region;
+        case ProviderType.VERTEX:
+            return !!provider.region && !!provider.projectId;
+        case ProviderType.OAUTH:
+            return true;
+        default:
+            return !!provider.url && !!key;
+    }
+}
+
+/**
+ * Whether a provider of this type cannot work without an API key.
+ * @param {object} provider - The provider object.
+ * @returns {boolean}
+ */
+export function providerNeedsKey(provider) {
+    return getProviderType(provider) === ProviderType.ANTHROPIC;
+}
+
+/**
+ * Builds the type-specific environment variables of a provider. The models are
+ * not included, they use the same variables for every type.
+ * @param {object} provider - The provider object.
+ * @param {string} apiKey - The API key of the provider, resolved from the keyring.
+ * @returns {Object<string, string>} - The variables; empty values are left to the caller.
+ */
+export function getProviderTypeEnv(provider, apiKey) {
+    switch (getProviderType(provider)) {
+        case ProviderType.BEDROCK:
+            return {
+                CLAUDE_CODE_USE_BEDROCK: '1',
+                AWS_REGION: provider.region,
+                AWS_PROFILE: provider.awsProfile,
+                // Bedrock API 密钥，使用 AWS 凭据时为空
+                AWS_BEARER_TOKEN_BEDROCK: apiKey,
+                ANTHROPIC_BEDROCK_BASE_URL: provider.url,
+            };
+        case ProviderType.VERTEX:
+            return {
+                CLAUDE_CODE_USE_VERTEX: '1',
+                CLOUD_ML_REGION: provider.region,
+                ANTHROPIC_VERTEX_PROJECT_ID: provider.projectId,
+                ANTHROPIC_VERTEX_BASE_URL: provider.url,
+            };
+        case ProviderType.OAUTH:
+            return {};
+        default:
+            return {
+                ANTHROPIC_AUTH_TOKEN: apiKey,
+                ANTHROPIC_BASE_URL: provider.url,
+            };
+    }
+}
+
+/**
+ * Returns the variables of the other provider types, which must not stay in
+ * settings.json while a provider of this type is active. For the account login
+ * these are all API overrides, including an API key. The sync only removes
+ * those the extension wrote itself, except for {@link getOverrideEnvKeys}.
+ * @param {string} type - A {@link ProviderType} value.
+ * @returns {Array<string>}
+ */
+export function getStaleEnvKeys(type) {
+    const ownKeys = PROVIDER_TYPE_ENV_KEYS[type] || [];
+    const staleKeys = Object.values(PROVIDER_TYPE_ENV_KEYS)
+        .flat()
+        .filter((name) => !ownKeys.includes(name));
+    if (type === ProviderType.OAUTH) {
+        staleKeys.push(...API_KEY_ENV_KEYS);
+    }
+    return staleKeys;
+}
+
+/**
+ * Returns the stale variables that are removed even when the user set them,
+ * because Claude Code would use them instead of the provider. These are the
+ * API overrides while the account login is active.
+ * @param {string} type - A {@link ProviderType} value.
+ * @returns {Array<string>}
+ */
+export function getOverrideEnvKeys(type) {
+    return type === ProviderType.OAUTH ? [...OAUTH_OVERRIDE_ENV_KEYS] : [];
+}
@@ -0,0 +1,156 @@
+/* scheduleRules.js
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+// Schedule rules map weekday/time ranges to a provider:
+//   { id, days: [0-6] (0 = Sunday), start: 'HH:MM', end: 'HH:MM', providerId }
+// A rule whose end is before its start runs overnight into the next day.
+// These helpers are shared by the shell and the preferences process.
+
+/**
+ * Parses a "HH:MM" time into minutes since midnight.
+ * @param {string} time - The time string.
+ * @returns {number|null} - The minutes since midnight, or null if the string is invalid.
+ */
+export function parseTime(time) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec((time || '').trim());
+    if (!match) {
+        return null;
+    }
+
+    const hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    if (hours > 23 || minutes > 59) {
+        return null;
+    }
+    return hours * 60 + minutes;
+}
+
+/**
+ * Formats minutes since midnight as "HH:MM".
+ * @param {number} minutes - The minutes since midnight.
+ * @returns {string}
+ */
+export function formatTime(minutes) {
+    const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+    return `${hours}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Parses the 'schedule-rules' GSettings value, dropping invalid rules.
+ * @param {string} json - The JSON string.
+ * @returns {Array<object>}
+ */
+export function parseRules(json) {
+    try {
+        const rules = JSON.parse(json);
+        if (!Array.isArray(rules)) {
+            return [];
+        }
+        return rules.filter(
+            (rule) =>
+                rule &&
+                Array.isArray(rule.days) &&
+                parseTime(rule.start) !== null &&
+                parseTime(rule.end) !== null
+        );
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Finds the first rule that is active at the given time.
+ * @param {Array<object>} rules - The schedule rules, in priority order.
+ * @param {Date} date - The time to check.
+ * @returns {object|null} - The active rule, or null if none applies.
+ */
+export function findActiveRule(rules, date) {
+    const day = date.getDay();
+    const previousDay = (day + 6) % 7;
+    const minutes = date.getHours() * 60 + date.getMinutes();
+
+    return (
+        rules.find((rule) => {
+            const start = parseTime(rule.start);
+            const end = parseTime(rule.end);
+
+            if (start < end) {
+                return (
+                    rule.days.includes(day) && minutes >= start && minutes < end
+                );
+            }
+
+            // 跨午夜的规则：当天开始部分，或前一天延续过来的部分
+            return (
+                (rule.days.includes(day) && minutes >= start) ||
+                (rule.days.includes(previousDay) && minutes < end)
+            );
+        }) || null
+    );
+}
+
+/**
+ * Finds the next time at which any rule starts or ends.
+ * @param {Array<object>} rules - The schedule rules.
+ * @param {Date} date - The time to search from.
+ * @returns {Date|null} - The next boundary, or null if there are no rules.
+ */
+export function getNextBoundary(rules, date) {
+    const midnight = new Date(date);
+    midnight.setHours(0, 0, 0, 0);
+
+    let next = null;
+    // 向前查找 8 天，覆盖每周一次的规则和跨午夜的结束时间
+    for (let offset = 0; offset <= 8; offset++) {
+        const dayStart = new Date(midnight);
+        dayStart.setDate(midnight.getDate() + offset);
+        const day = dayStart.getDay();
+        const previousDay = (day + 6) % 7;
+
+        for (const rule of rules) {
+            const start = parseTime(rule.start);
+            const end = parseTime(rule.end);
+            const candidates = [];
+
+            if (rule.days.includes(day)) {
+                candidates.push(start);
+                if (start < end) {
+                    candidates.push(end);
+                }
+            }
+            if (start > end && rule.days.includes(previousDay)) {
+                candidates.push(end);
+            }
+
+            for (const minutes of candidates) {
+                const boundary = new Date(dayStart);
+                boundary.setHours(Math.floor(minutes / 60), minutes % 60);
+                if (boundary > date && (!next || boundary < next)) {
+                    next = boundary;
+                }
+            }
+        }
+
+        // 当天已找到边界时无需继续查找后面的日期
+        if (next) {
+            break;
+        }
+    }
+
+    return next;
+}
@@ -0,0 +1,145 @@
+/* secretStore.js
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+import Secret from 'gi://Secret';
+
+const SECRET_SCHEMA = new Secret.Schema(
+    'org.gnome.shell.extensions.claude-code-switcher.ApiKey',
+    Secret.SchemaFlags.NONE,
+    {
+        'provider-id': Secret.SchemaAttributeType.STRING,
+        // 旧版本按提供商名称保存的条目
+        provider: Secret.SchemaAttributeType.STRING,
+    }
+);
+
+/**
+ * @class SecretStore
+ * @description Stores provider API keys in the user's keyring through libsecret (Secret Service),
+ * so they never end up in GSettings/dconf.
+ */
+export class SecretStore {
+    /**
+     * Looks up the API key stored for a provider.
+     * @param {string} providerId - The ID of the provider.
+     * @returns {Promise<string|null>} - The stored key, or null if there is none.
+     */
+    lookup(providerId) {
+        return this._lookup({ 'provider-id': providerId });
+    }
+
+    /**
+     * Stores (or replaces) the API key for a provider.
+     * @param {string} providerId - The ID of the provider.
+     * @param {string} providerName - The display name, used for the keyring item label.
+     * @param {string} key - The API key to store.
+     * @returns {Promise<void>}
+     */
+    store(providerId, providerName, key) {
+        return new Promise((resolve, reject) => {
+            Secret.password_store(
+                SECRET_SCHEMA,
+                { 'provider-id': providerId },
+                Secret.COLLECTION_DEFAULT,
+                `Claude Code Switcher: ${providerName}`,
+                key,
+                null,
+                (source, result) => {
+                    try {
+                        Secret.password_store_finish(result);
+                        resolve();
+                    } catch (e) {
+                        reject(e);
+                    }
+                }
+            );
+        });
+    }
+
+    /**
+     * Removes the API key stored for a provider.
+     * @param {string} providerId - The ID of the provider.
+     * @returns {Promise<boolean>} - True if a key was removed.
+     */
+    clear(providerId) {
+        return this._clear({ 'provider-id': providerId });
+    }
+
+    /**
+     * Moves a key stored by an older version under the provider name to the provider ID.
+     * @param {string} providerName - The name the key was stored under.
+     * @param {string} providerId - The ID of the provider.
+     * @returns {Promise<boolean>} - True if a legacy entry was found and moved.
+     */
+    async migrateLegacyEntry(providerName, providerId) {
+        const key = await this._lookup({ provider: providerName });
+        if (!key) {
+            return false;
+        }
+
+        await this.store(providerId, providerName, key);
+        await this._clear({ provider: providerName });
+        return true;
+    }
+
+    /**
+     * Looks up a keyring item by attributes.
+     * @param {object} attributes - The attributes to match.
+     * @returns {Promise<string|null>}
+     * @private
+     */
+    _lookup(attributes) {
+        return new Promise((resolve, reject) => {
+            Secret.password_lookup(
+                SECRET_SCHEMA,
+                attributes,
+                null,
+                (source, result) => {
+                    try {
+                        resolve(Secret.password_lookup_finish(result));
+                    } catch (e) {
+                        reject(e);
+                    }
+                }
+            );
+        });
+    }
+
+    /**
+     * Removes the keyring items matching the attributes.
+     * @param {object} attributes - The attributes to match.
+     * @returns {Promise<boolean>}
+     * @private
+     */
+    _clear(attributes) {
+        return new Promise((resolve, reject) => {
+            Secret.password_clear(
+                SECRET_SCHEMA,
+                attributes,
+                null,
+                (source, result) => {
+                    try {
+                        resolve(Secret.password_clear_finish(result));
+                    } catch (e) {
+                        reject(e);
+                    }
+                }
+            );
+        });
+    }
+}
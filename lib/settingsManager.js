@@ -1,6 +1,88 @@
 import Gio from 'gi://Gio';
 import GLib from 'gi://GLib';
 
+import { SecretStore } from './secretStore.js';
+import { EnvStateStore } from './envState.js';
+import {
+    ConfigBackupStore,
+    loadFile,
+    replaceFileAtomically,
+} from './configBackup.js';
+import { acquireFileLock, getLockPath } from './fileLock.js';
+import { getProfiles, getTargetProfileRoot } from './claudeProfiles.js';
+import {
+    PROVIDER_TYPE_ENV_KEYS,
+    ProviderType,
+    getProviderType,
+    getOverrideEnvKeys,
+    getProviderTypeEnv,
+    getStaleEnvKeys,
+} from './providerTypes.js';
+
+/**
+ * Environment variables written by the extension itself, which providers cannot override.
+ */
+export const RESERVED_ENV_KEYS = [
+    ...Object.values(PROVIDER_TYPE_ENV_KEYS).flat(),
+    'ANTHROPIC_MODEL',
+    'ANTHROPIC_SMALL_FAST_MODEL',
+    'DISABLE_AUTOUPDATER',
+    'HTTPS_PROXY',
+    'HTTP_PROXY',
+];
+
+/**
+ * Parts of settings.json written by the extension, which can be reset separately.
+ * @enum {string}
+ */
+export const ConfigSection = {
+    PROVIDER: 'provider',
+    PROXY: 'proxy',
+    AUTO_UPDATE: 'auto-update',
+    HOOKS: 'hooks',
+};
+
+// 各部分对应的环境变量，提供商的自定义变量另外处理
+const SECTION_ENV_KEYS = {
+    [ConfigSection.PROVIDER]: [
+        ...Object.values(PROVIDER_TYPE_ENV_KEYS).flat(),
+        'ANTHROPIC_MODEL',
+        'ANTHROPIC_SMALL_FAST_MODEL',
+    ],
+    [ConfigSection.PROXY]: ['HTTPS_PROXY', 'HTTP_PROXY'],
+    [ConfigSection.AUTO_UPDATE]: ['DISABLE_AUTOUPDATER'],
+};
+
+/**
+ * Checks whether a name can be used as a custom provider environment variable.
+ * @param {string} name - The variable name.
+ * @returns {boolean}
+ */
+export function isValidEnvName(name) {
+    return (
+        /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) &&
+        !RESERVED_ENV_KEYS.includes(name)
+    );
+}
+
+/**
+ * @class MalformedConfigError
+ * @description Thrown when settings.json exists but cannot be parsed. The file must not be
+ * overwritten in this case, since it still holds the user's permissions, hooks and other keys.
+ */
+export class MalformedConfigError extends Error {
+    /**
+     * @param {string} configPath - The path of the malformed file.
+     * @param {Error} cause - The parse error.
+     */
+    constructor(configPath, cause) {
+        super(`Malformed Claude config file ${configPath}: ${cause.message}`);
+        this.name = 'MalformedConfigError';
+        this.configPath = configPath;
+        this.cause = cause;
+    }
+}
+
 /**
  * @class SettingsManager
  * @description Manages synchronization between GSettings and the Claude Code settings.json file.
@@ -14,8 +96,110 @@ export class SettingsManager {
         this.settings = settings;
         this.extension = extension;
         this._isDestroyed = false;
+        this.secretStore = new SecretStore();
+        this.envStateStore = new EnvStateStore();
+        this.backupStore = new ConfigBackupStore(settings);
+        this._lastWrittenText = null;
+        this._writeQueue = Promise.resolve();
+        // 取消等待锁的重试定时器
+        this._lockCancellable = new Gio.Cancellable();
 
         this._migrateNotificationSettings();
+        this._migrateProviderIds();
+        this._migrateProviderKeys().catch((e) =>
+            console.error('Failed to migrate provider API keys:', e)
+        );
+    }
+
+    /**
+     * Assigns an immutable ID to every provider that does not have one yet, and
+     * converts a 'current-provider' value that still holds a provider name.
+     * @private
+     */
+    _migrateProviderIds() {
+        try {
+            const providers = this.getAllProviders();
+            let changed = false;
+
+            for (const provider of providers) {
+                if (provider && !provider.id) {
+                    provider.id = GLib.uuid_string_random();
+                    changed = true;
+                }
+            }
+
+            if (changed) {
+                this.settings.set_string(
+                    'api-providers',
+                    JSON.stringify(providers)
+                );
+            }
+
+            const current = this.settings.get_string('current-provider');
+            if (current && !providers.some((p) => p && p.id === current)) {
+                const match = providers.find((p) => p && p.name === current);
+                this.settings.set_string(
+                    'current-provider',
+                    match ? match.id : ''
+                );
+            }
+        } catch (e) {
+            console.error('Failed to migrate provider IDs:', e);
+        }
+    }
+
+    /**
+     * Moves plaintext API keys out of the 'api-providers' GSettings string into the keyring,
+     * and re-keys entries that older versions stored under the provider name.
+     * A key is only stripped from GSettings once it has been stored successfully.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _migrateProviderKeys() {
+        const providers = this.getAllProviders();
+        const migrated = new Map();
+
+        for (const provider of providers) {
+            if (!provider || !provider.id) {
+                continue;
+            }
+
+            try {
+                if (typeof provider.key === 'string' && provider.key) {
+                    await this.secretStore.store(
+                        provider.id,
+                        provider.name,
+                        provider.key
+                    );
+                    migrated.set(provider.id, provider.key);
+                } else {
+                    await this.secretStore.migrateLegacyEntry(
+                        provider.name,
+                        provider.id
+                    );
+                }
+            } catch (e) {
+                console.error(
+                    `Failed to move API key of provider '${provider.name}' to the keyring:`,
+                    e
+                );
+            }
+        }
+
+        if (migrated.size === 0 || this._isDestroyed) {
+            return;
+        }
+
+        // 重新读取，避免覆盖迁移期间发生的修改
+        const latest = this.getAllProviders().map((provider) => {
+            if (provider && migrated.get(provider.id) === provider.key) {
+                const { key, ...rest } = provider;
+                return rest;
+            }
+            return provider;
+        });
+        this.settings.set_string('api-providers', JSON.stringify(latest));
+        console.log(`Migrated ${migrated.size} API key(s) to the keyring`);
     }
 
     /**
@@ -164,24 +348,32 @@ export class SettingsManager {
     }
 
     /**
-     * Gets the path to the Claude settings.json file.
+     * Gets the path to the Claude settings.json file of the target profile.
      * @returns {string} - The absolute path to settings.json.
      * @private
      */
     _getClaudeConfigPath() {
-        const homeDir = GLib.get_home_dir();
-        const claudeDir = GLib.build_filenamev([homeDir, '.claude']);
-        return GLib.build_filenamev([claudeDir, 'settings.json']);
+        return GLib.build_filenamev([
+            getTargetProfileRoot(this.settings),
+            'settings.json',
+        ]);
+    }
+
+    /**
+     * Gets the path of the Claude settings.json file the extension writes.
+     * @returns {string}
+     */
+    getConfigPath() {
+        return this._getClaudeConfigPath();
     }
 
     /**
-     * Ensures the ~/.claude directory exists.
+     * Ensures the root directory of the target profile exists.
      * @returns {Promise<boolean>} - True if the directory exists or was created, false on failure.
      * @private
      */
     async _ensureClaudeDir() {
-        const homeDir = GLib.get_home_dir();
-        const claudeDir = GLib.build_filenamev([homeDir, '.claude']);
+        const claudeDir = getTargetProfileRoot(this.settings);
         const dir = Gio.File.new_for_path(claudeDir);
 
         try {
@@ -236,11 +428,12 @@ export class SettingsManager {
 
     /**
      * Reads and parses the existing settings.json file.
+     * @param {string} [configPath] - The file to read, by default the user's settings.json.
      * @returns {Promise<object|null>} - The parsed configuration object, or null if an error occurs.
+     * @throws {MalformedConfigError} - If the file exists but is not valid JSON.
      * @private
      */
-    async _readExistingConfig() {
-        const configPath = this._getClaudeConfigPath();
+    async _readExistingConfig(configPath = this._getClaudeConfigPath()) {
         const file = Gio.File.new_for_path(configPath);
 
         try {
@@ -271,14 +464,14 @@ export class SettingsManager {
                         return JSON.parse(jsonString);
                     }
                 } catch (e) {
-                    console.error(
-                        'Failed to parse existing Claude config file, a new one will be created:',
-                        e
-                    );
-                    // Fall through to return null if parsing fails
+                    // 不能返回 null，否则下次写入会丢掉用户的全部设置
+                    throw new MalformedConfigError(configPath, e);
                 }
             }
         } catch (e) {
+            if (e instanceof MalformedConfigError) {
+                throw e;
+            }
             console.error('Failed to read Claude config file:', e);
         }
 
@@ -292,76 +485,223 @@ export class SettingsManager {
      */
     _getCurrentProviderInfo() {
         try {
-            const providersJson = this.settings.get_string('api-providers');
-            const providers = JSON.parse(providersJson);
-            const currentProviderName =
+            const currentProviderId =
                 this.settings.get_string('current-provider');
 
-            if (!currentProviderName) {
+            if (!currentProviderId) {
                 return null;
             }
 
-            return providers.find((p) => p.name === currentProviderName);
+            return this.getProvider(currentProviderId);
         } catch (e) {
             console.error('Failed to get current provider info:', e);
             return null;
         }
     }
 
+    /**
+     * Resolves the API key of a provider from the keyring.
+     * Falls back to a legacy plaintext key that has not been migrated yet.
+     * @param {object} provider - The provider object.
+     * @returns {Promise<string>} - The API key, or an empty string if none is stored.
+     */
+    async getProviderKey(provider) {
+        if (!provider) {
+            return '';
+        }
+
+        try {
+            const key = await this.secretStore.lookup(provider.id);
+            if (key) {
+                return key;
+            }
+        } catch (e) {
+            console.error(
+                `Failed to look up API key for provider '${provider.name}':`,
+                e
+            );
+        }
+
+        return typeof provider.key === 'string' ? provider.key : '';
+    }
+
+    /**
+     * Returns the custom environment variables of a provider.
+     * Invalid and reserved names are skipped.
+     * @param {object} provider - The provider object.
+     * @returns {Object<string, string>}
+     */
+    getProviderEnv(provider) {
+        const env = {};
+        if (!provider || !provider.env || typeof provider.env !== 'object') {
+            return env;
+        }
+
+        for (const [name, value] of Object.entries(provider.env)) {
+            if (isValidEnvName(name) && typeof value === 'string') {
+                env[name] = value;
+            }
+        }
+        return env;
+    }
+
+    /**
+     * Builds the environment variables of a provider, including its custom variables.
+     * Empty values are left out.
+     * @param {object|null} provider - The provider object.
+     * @param {string} apiKey - The API key of the provider, resolved from the keyring.
+     * @returns {Object<string, string>}
+     * @private
+     */
+    _getProviderEnvironment(provider, apiKey) {
+        const env = {};
+        if (!provider) {
+            return env;
+        }
+
+        // 预算降级时使用更便宜的模型
+        const largeModel =
+            this.settings.get_string('budget-model-override') ||
+            provider.largeModel;
+        const values = {
+            ...getProviderTypeEnv(provider, apiKey),
+            ANTHROPIC_MODEL: largeModel,
+            ANTHROPIC_SMALL_FAST_MODEL: provider.smallModel,
+        };
+        for (const [name, value] of Object.entries(values)) {
+            if (value) {
+                env[name] = value;
+            }
+        }
+        return Object.assign(env, this.getProviderEnv(provider));
+    }
+
+    /**
+     * Builds the environment variables this extension manages for the current settings.
+     * Empty values are left out, so user values of those keys stay in place.
+     * @param {object} currentProvider - The currently selected API provider object.
+     * @param {string} apiKey - The API key of the current provider, resolved from the keyring.
+     * @param {string} proxyUrl - The proxy URL, see {@link getProxyUrl}.
+     * @returns {Object<string, string>} - The managed variables.
+     * @private
+     */
+    _getManagedEnvironment(currentProvider, apiKey, proxyUrl) {
+        // 基本的提供商设置
+        const env = this._getProviderEnvironment(currentProvider, apiKey);
+
+        // 禁用自动更新
+        if (!this.settings.get_boolean('auto-update')) {
+            env.DISABLE_AUTOUPDATER = '1';
+        }
+
+        // 代理设置
+        if (proxyUrl) {
+            env.HTTPS_PROXY = proxyUrl;
+            env.HTTP_PROXY = proxyUrl;
+        }
+
+        return env;
+    }
+
     /**
      * Builds the environment configuration object for settings.json.
+     * Only keys managed by this extension are added or removed; when a key is no longer
+     * managed, the value the user had before the extension took it over is restored.
      * @param {object} existingEnv - The existing environment config, if any.
-     * @param {object} currentProvider - The currently selected API provider object.
-     * @returns {object} - The constructed environment object.
+     * @param {Object<string, string>} managedEnv - The variables to manage, see {@link _getManagedEnvironment}.
+     * @param {{managed: Array<string>, originals: Object<string, string>}} state - The recorded env state.
+     * @param {Array<string>} [staleKeys] - Variables to remove while they would conflict with
+     *        the managed ones, see {@link getStaleEnvKeys}. Only those the state records as
+     *        managed are removed, e.g. left by a previous Bedrock provider; values the user set
+     *        are kept. They stay managed, so the user's values come back once they no longer conflict.
+     * @param {Array<string>} [overrideKeys] - Stale variables removed even when the user set them,
+     *        see {@link getOverrideEnvKeys}. The user's values are kept in the originals.
+     * @returns {{env: object, state: object}} - The new environment object and env state.
      * @private
      */
-    _buildEnvironmentConfig(existingEnv, currentProvider) {
-        const autoUpdate = this.settings.get_boolean('auto-update');
-        const proxyHost = this.settings.get_string('proxy-host');
-        const proxyPort = this.settings.get_string('proxy-port');
+    _buildEnvironmentConfig(
+        existingEnv,
+        managedEnv,
+        state,
+        staleKeys = [],
+        overrideKeys = []
+    ) {
+        const newEnv = { ...(existingEnv || {}) };
+        const originals = { ...state.originals };
+        const removedKeys = staleKeys.filter(
+            (name) =>
+                !(name in managedEnv) &&
+                (state.managed.includes(name) || overrideKeys.includes(name))
+        );
 
-        let proxyUrl = '';
-        if (proxyHost) {
-            proxyUrl = proxyPort ? `${proxyHost}:${proxyPort}` : proxyHost;
+        // 不再管理的键恢复为用户原来的值
+        for (const name of state.managed) {
+            if (name in managedEnv || removedKeys.includes(name)) {
+                continue;
+            }
+            if (typeof originals[name] === 'string') {
+                newEnv[name] = originals[name];
+            } else {
+                delete newEnv[name];
+            }
+            delete originals[name];
+        }
+
+        // 首次接管的键记录用户原来的值
+        for (const [name, value] of Object.entries(managedEnv)) {
             if (
-                !proxyUrl.startsWith('http://') &&
-                !proxyUrl.startsWith('https://')
+                !state.managed.includes(name) &&
+                typeof newEnv[name] === 'string'
             ) {
-                proxyUrl = `http://${proxyUrl}`;
+                originals[name] = newEnv[name];
             }
+            newEnv[name] = value;
         }
 
-        const newEnv = existingEnv || {};
-
-        // 基本的提供商设置
-        newEnv.ANTHROPIC_AUTH_TOKEN = currentProvider
-            ? currentProvider.key
-            : '';
-        newEnv.ANTHROPIC_BASE_URL = currentProvider ? currentProvider.url : '';
-        newEnv.ANTHROPIC_MODEL = currentProvider
-            ? currentProvider.largeModel || ''
-            : '';
-        newEnv.ANTHROPIC_SMALL_FAST_MODEL = currentProvider
-            ? currentProvider.smallModel || ''
-            : '';
-
-        // 自动更新逻辑
-        if (!autoUpdate) {
-            newEnv.DISABLE_AUTOUPDATER = '1'; // 禁用自动更新
-        } else {
-            delete newEnv.DISABLE_AUTOUPDATER; // 启用自动更新（默认行为），移除该键
+        // 其他提供商类型的变量会让 Claude Code 使用错误的后端
+        for (const name of removedKeys) {
+            if (
+                !state.managed.includes(name) &&
+                typeof newEnv[name] === 'string'
+            ) {
+                originals[name] = newEnv[name];
+            }
+            delete newEnv[name];
         }
 
-        // 代理逻辑
-        if (proxyUrl) {
-            newEnv.HTTPS_PROXY = proxyUrl;
-            newEnv.HTTP_PROXY = proxyUrl;
-        } else {
-            delete newEnv.HTTPS_PROXY; // 无代理设置，移除该键
-            delete newEnv.HTTP_PROXY;
+        return {
+            env: newEnv,
+            state: {
+                managed: [...Object.keys(managedEnv), ...removedKeys],
+                originals,
+            },
+        };
+    }
+
+    /**
+     * Loads the env state of the settings.json file. Without a recorded state, keys written
+     * by earlier versions (empty or equal to the new values) are treated as managed.
+     * @param {string} configPath - The path of the settings.json file.
+     * @param {object} existingEnv - The existing environment config, if any.
+     * @param {Object<string, string>} managedEnv - The variables that will be written.
+     * @returns {Promise<{managed: Array<string>, originals: Object<string, string>}>}
+     * @private
+     */
+    async _loadEnvState(configPath, existingEnv, managedEnv) {
+        const state = await this.envStateStore.load(configPath);
+        if (state) {
+            return state;
         }
 
-        return newEnv;
+        const env = existingEnv || {};
+        return {
+            managed: RESERVED_ENV_KEYS.filter(
+                (name) =>
+                    typeof env[name] === 'string' &&
+                    (env[name] === '' || env[name] === managedEnv[name])
+            ),
+            originals: {},
+        };
     }
 
     /**
@@ -446,18 +786,52 @@ export class SettingsManager {
 
     /**
      * Generates the Claude configuration object based on current GSettings.
-     * @returns {Promise<object>} - The generated configuration object.
+     * @param {{providerId?: string, proxyHost?: string, proxyPort?: string}} [overrides] -
+     *        Values to use instead of the saved settings, for previews.
+     * @param {Map<string, string>} [keys] - API keys already looked up, by provider ID.
+     * @returns {Promise<{config: object, envState: object}>} - The generated configuration
+     *          object and the env state to record once it has been written.
      * @private
      */
-    async _generateClaudeConfig() {
+    async _generateClaudeConfig(overrides = {}, keys = new Map()) {
         const existingConfig = (await this._readExistingConfig()) || {};
-        const currentProvider = this._getCurrentProviderInfo();
+        const currentProvider =
+            overrides.providerId !== undefined
+                ? this.getProvider(overrides.providerId)
+                : this._getCurrentProviderInfo();
+        const apiKey =
+            keys.get(currentProvider?.id) ??
+            (await this.getProviderKey(currentProvider));
+        const { host, port } = this.getProxyInfo();
+        const proxyUrl = this._formatProxyUrl(
+            overrides.proxyHost ?? host,
+            overrides.proxyPort ?? port
+        );
+
+        const managedEnv = this._getManagedEnvironment(
+            currentProvider,
+            apiKey,
+            proxyUrl
+        );
+        const envState = await this._loadEnvState(
+            this._getClaudeConfigPath(),
+            existingConfig.env,
+            managedEnv
+        );
+        const { env, state } = this._buildEnvironmentConfig(
+            existingConfig.env,
+            managedEnv,
+            envState,
+            currentProvider
+                ? getStaleEnvKeys(getProviderType(currentProvider))
+                : [],
+            currentProvider
+                ? getOverrideEnvKeys(getProviderType(currentProvider))
+                : []
+        );
 
         const config = {
-            env: this._buildEnvironmentConfig(
-                existingConfig.env,
-                currentProvider
-            ),
+            env,
             permissions: existingConfig.permissions || { allow: [], deny: [] },
         };
 
@@ -482,164 +856,999 @@ export class SettingsManager {
             }
         });
 
-        return config;
+        return { config, envState: state };
     }
 
     /**
-     * Synchronizes the current GSettings to the local Claude settings.json file.
-     * @returns {Promise<void>}
-     * @throws {Error} - If the operation fails.
+     * Generates the settings.local.json of a project override. Only the provider env is
+     * managed there; it is merged like {@link _generateClaudeConfig} and all other keys are kept.
+     * @param {string} configPath - The path of the project's settings.local.json.
+     * @param {object} provider - The provider of the project.
+     * @param {Map<string, string>} [keys] - API keys already looked up, by provider ID.
+     * @returns {Promise<{config: object, envState: object}>}
+     * @private
      */
-    async syncToLocalFile() {
-        if (this._checkDestroyed()) {
-            throw new Error('Settings manager has been destroyed');
-        }
-
-        try {
-            const dirReady = await this._ensureClaudeDir();
-            if (!dirReady) {
-                throw new Error(
-                    'Failed to create Claude configuration directory'
-                );
-            }
-
-            const configPath = this._getClaudeConfigPath();
-            const config = await this._generateClaudeConfig();
-
-            const jsonString = JSON.stringify(config, null, 2);
-            const file = Gio.File.new_for_path(configPath);
-
-            const encoder = new TextEncoder();
-            const bytes = encoder.encode(jsonString);
+    async _generateProjectConfig(configPath, provider, keys = new Map()) {
+        const existingConfig = (await this._readExistingConfig(configPath)) || {};
+        const apiKey =
+            keys.get(provider.id) ?? (await this.getProviderKey(provider));
+
+        const managedEnv = this._getProviderEnvironment(provider, apiKey);
+        const envState = await this._loadEnvState(
+            configPath,
+            existingConfig.env,
+            managedEnv
+        );
+        const { env, state } = this._buildEnvironmentConfig(
+            existingConfig.env,
+            managedEnv,
+            envState,
+            getStaleEnvKeys(getProviderType(provider)),
+            getOverrideEnvKeys(getProviderType(provider))
+        );
 
-            await new Promise((resolve, reject) => {
-                file.replace_contents_async(
-                    bytes,
-                    null,
-                    false,
-                    Gio.FileCreateFlags.REPLACE_DESTINATION,
-                    null,
-                    (source, result) => {
-                        try {
-                            source.replace_contents_finish(result);
-                            console.log(
-                                'Synced config to Claude config file:',
-                                configPath
-                            );
-                            resolve();
-                        } catch (e) {
-                            console.error(
-                                'Failed to write configuration file:',
-                                e
-                            );
-                            reject(
-                                new Error(
-                                    `Failed to write configuration file: ${e.message}`
-                                )
-                            );
-                        }
-                    }
-                );
-            });
-        } catch (e) {
-            console.error('Failed to sync configuration:', e);
-            throw e; // 重新抛出，让调用者处理
-        }
+        return { config: { ...existingConfig, env }, envState: state };
     }
 
     /**
-     * Gets the current proxy configuration.
-     * @returns {{host: string, port: string}}
+     * Generates settings.json as the next sync would write it, without writing anything.
+     * @param {{providerId?: string, proxyHost?: string, proxyPort?: string}} [overrides] -
+     *        Pending changes to preview instead of the saved settings.
+     * @returns {Promise<{currentText: string, newText: string}>} - The current file
+     *          contents and the contents that would be written.
+     * @throws {MalformedConfigError} - If the current file cannot be parsed.
      */
-    getProxyInfo() {
-        const host = this.settings.get_string('proxy-host');
-        const port = this.settings.get_string('proxy-port');
-        return { host, port };
+    async previewConfig(overrides = {}) {
+        const currentText = await this.readConfigText();
+        const { config } = await this._generateClaudeConfig(overrides);
+        return { currentText, newText: JSON.stringify(config, null, 2) };
     }
 
     /**
-     * Sets the proxy configuration and syncs to the file.
-     * @param {string} host - The proxy host.
-     * @param {string} port - The proxy port.
-     * @returns {Promise<void>}
+     * Finds provider settings that existed before the extension was set up, in the
+     * `env` block of settings.json and in the environment of this process.
+     * Candidates whose URL already belongs to a configured provider are ignored.
+     * @returns {Promise<Array<{source: string, url: string, key: string, largeModel: string, smallModel: string}>>}
      */
-    async setProxy(host, port) {
-        this.settings.set_string('proxy-host', host || '');
-        this.settings.set_string('proxy-port', port || '');
-        await this.syncToLocalFile();
+    async getExistingEnvironmentCandidates() {
+        const existingConfig = (await this._readExistingConfig()) || {};
+        const sources = [
+            { source: 'settings', env: existingConfig.env || {} },
+            {
+                source: 'environment',
+                env: {
+                    ANTHROPIC_BASE_URL: GLib.getenv('ANTHROPIC_BASE_URL'),
+                    ANTHROPIC_AUTH_TOKEN: GLib.getenv('ANTHROPIC_AUTH_TOKEN'),
+                    ANTHROPIC_MODEL: GLib.getenv('ANTHROPIC_MODEL'),
+                    ANTHROPIC_SMALL_FAST_MODEL: GLib.getenv(
+                        'ANTHROPIC_SMALL_FAST_MODEL'
+                    ),
+                },
+            },
+        ];
+
+        const knownUrls = new Set(this.getAllProviders().map((p) => p.url));
+        const candidates = [];
+
+        for (const { source, env } of sources) {
+            const url = env.ANTHROPIC_BASE_URL || '';
+            const key = env.ANTHROPIC_AUTH_TOKEN || '';
+            if (!url && !key) {
+                continue;
+            }
+            if (knownUrls.has(url) || candidates.some((c) => c.url === url)) {
+                continue;
+            }
+
+            candidates.push({
+                source,
+                url,
+                key,
+                largeModel: env.ANTHROPIC_MODEL || '',
+                smallModel: env.ANTHROPIC_SMALL_FAST_MODEL || '',
+            });
+        }
+
+        return candidates;
     }
 
     /**
-     * Clears the Claude settings.json file to an empty object.
-     * @returns {Promise<boolean>} - True on success, false on failure.
+     * Reads the provider values currently in settings.json and finds the configured
+     * provider they belong to, comparing the base URL and the token.
+     * @returns {Promise<{provider: object|null, candidate: object|null}>} - The matching
+     *          provider, and the values found as an import candidate (null if there are none).
      */
-    async clearClaudeConfig() {
-        if (this._checkDestroyed()) {
-            return false;
+    async matchConfigProvider() {
+        const env = (await this._readExistingConfig())?.env || {};
+        if (env.CLAUDE_CODE_USE_BEDROCK || env.CLAUDE_CODE_USE_VERTEX) {
+            return { provider: this._matchTypedProvider(env), candidate: null };
         }
 
-        try {
-            const dirReady = await this._ensureClaudeDir();
-            if (!dirReady) {
-                return false;
-            }
-
-            const configPath = this._getClaudeConfigPath();
-            const emptyConfig = {};
-            const jsonString = JSON.stringify(emptyConfig, null, 2);
-            const file = Gio.File.new_for_path(configPath);
+        const url = env.ANTHROPIC_BASE_URL || '';
+        const key = env.ANTHROPIC_AUTH_TOKEN || '';
+        if (!url && !key) {
+            // 没有接口覆盖时使用账号登录
+            return { provider: this._matchOAuthProvider(), candidate: null };
+        }
 
-            const encoder = new TextEncoder();
-            const bytes = encoder.encode(jsonString);
+        const candidate = {
+            source: 'settings',
+            url,
+            key,
+            largeModel: env.ANTHROPIC_MODEL || '',
+            smallModel: env.ANTHROPIC_SMALL_FAST_MODEL || '',
+        };
 
-            await new Promise((resolve, reject) => {
-                file.replace_contents_async(
-                    bytes,
-                    null,
-                    false,
-                    Gio.FileCreateFlags.REPLACE_DESTINATION,
-                    null,
-                    (source, result) => {
-                        try {
-                            source.replace_contents_finish(result);
-                            console.log(
-                                'Cleared Claude config file:',
-                                configPath
-                            );
-                            resolve();
-                        } catch (e) {
-                            reject(e);
-                        }
-                    }
-                );
-            });
-            return true;
-        } catch (e) {
-            console.error('Failed to clear Claude config file:', e);
-            return false;
+        for (const provider of this.getAllProviders()) {
+            if (
+                (provider.url || '') === url &&
+                (await this.getProviderKey(provider)) === key
+            ) {
+                return { provider, candidate };
+            }
         }
+        return { provider: null, candidate };
     }
 
     /**
-     * Gets the auto-update setting.
-     * @returns {boolean}
+     * Finds the account login provider to show as current when settings.json has
+     * no API overrides, preferring the current provider.
+     * @returns {object|null} - The provider, or null if there is no such provider.
+     * @private
      */
-    getAutoUpdate() {
-        return this.settings.get_boolean('auto-update');
+    _matchOAuthProvider() {
+        const providers = this.getAllProviders().filter(
+            (p) => getProviderType(p) === ProviderType.OAUTH
+        );
+        const currentId = this.settings.get_string('current-provider');
+        return (
+            providers.find((p) => p.id === currentId) || providers[0] || null
+        );
     }
 
     /**
-     * Sets the auto-update setting and syncs to the file.
-     * @param {boolean} enabled - Whether auto-update should be enabled.
-     * @returns {Promise<void>}
+     * Finds the Bedrock or Vertex provider whose variables are in an env block.
+     * The Bedrock API key is not compared, it is optional.
+     * @param {object} env - The env block of settings.json.
+     * @returns {object|null} - The provider, or null if none matches.
+     * @private
      */
-    async setAutoUpdate(enabled) {
-        this.settings.set_boolean('auto-update', enabled);
-        await this.syncToLocalFile();
+    _matchTypedProvider(env) {
+        return (
+            this.getAllProviders().find((provider) => {
+                const type = getProviderType(provider);
+                if (type === ProviderType.ANTHROPIC) {
+                    return false;
+                }
+                const typeEnv = getProviderTypeEnv(provider, '');
+                return PROVIDER_TYPE_ENV_KEYS[type]
+                    .filter((name) => name !== 'AWS_BEARER_TOKEN_BEDROCK')
+                    .every(
+                        (name) => (env[name] || '') === (typeEnv[name] || '')
+                    );
+            }) || null
+        );
     }
 
     /**
-     * Gets the current notification settings.
+     * Imports provider values found in settings.json after it was edited by
+     * another tool, and makes the new provider the current one. Unlike
+     * {@link importExistingEnvironment}, the recorded env state is kept.
+     * @param {object} candidate - The values, see {@link matchConfigProvider}.
+     * @param {string} name - The display name for the new provider.
+     * @returns {Promise<object>} - The new provider object.
+     */
+    async importConfigProvider(candidate, name) {
+        const provider = await this.addProvider(
+            {
+                name,
+                url: candidate.url,
+                largeModel: candidate.largeModel,
+                smallModel: candidate.smallModel,
+            },
+            candidate.key
+        );
+        await this.setCurrentProvider(provider.id);
+        return provider;
+    }
+
+    /**
+     * Suggests a display name for a provider imported from a base URL.
+     * @param {string} url - The base URL.
+     * @returns {string} - The host of the URL, or an empty string if it has none.
+     */
+    suggestProviderName(url) {
+        try {
+            return GLib.Uri.parse(url, GLib.UriFlags.NONE).get_host() || '';
+        } catch (e) {
+            // URL 为空或无效
+            return '';
+        }
+    }
+
+    /**
+     * Decides whether the sync has to wait until the user has imported or dismissed
+     * provider settings found in settings.json, so they are not overwritten with empty values.
+     * @returns {Promise<boolean>}
+     * @private
+     */
+    async _shouldDeferFirstSync() {
+        if (this.settings.get_boolean('existing-config-checked')) {
+            return false;
+        }
+
+        if (this._getCurrentProviderInfo()) {
+            this.settings.set_boolean('existing-config-checked', true);
+            return false;
+        }
+
+        const candidates = await this.getExistingEnvironmentCandidates();
+        if (candidates.length === 0) {
+            this.settings.set_boolean('existing-config-checked', true);
+            return false;
+        }
+
+        return candidates.some((c) => c.source === 'settings');
+    }
+
+    /**
+     * Imports provider settings found by {@link getExistingEnvironmentCandidates}
+     * as a new provider and makes it the current one.
+     * @param {object} candidate - The candidate to import.
+     * @param {string} name - The display name for the new provider.
+     * @returns {Promise<object>} - The new provider object.
+     */
+    async importExistingEnvironment(candidate, name) {
+        const provider = await this.addProvider(
+            {
+                name,
+                url: candidate.url,
+                largeModel: candidate.largeModel,
+                smallModel: candidate.smallModel,
+            },
+            candidate.key
+        );
+
+        // 记录一个空状态：导入的值属于用户，禁用扩展时会恢复
+        await this._withConfigLock(() =>
+            this.envStateStore.save(this._getClaudeConfigPath(), {
+                managed: [],
+                originals: {},
+            })
+        );
+        this.settings.set_boolean('existing-config-checked', true);
+        await this.setCurrentProvider(provider.id);
+        return provider;
+    }
+
+    /**
+     * Marks the existing provider settings as handled without importing them.
+     * The next sync will replace them with the extension's configuration.
+     */
+    dismissExistingEnvironment() {
+        this.settings.set_boolean('existing-config-checked', true);
+    }
+
+    /**
+     * Synchronizes the current GSettings to the local Claude settings.json file.
+     * @returns {Promise<void>}
+     * @throws {Error} - If the operation fails.
+     */
+    async syncToLocalFile() {
+        if (this._checkDestroyed()) {
+            throw new Error('Settings manager has been destroyed');
+        }
+
+        // 密钥环可能等待用户解锁，在加锁前读取密钥，避免锁被其他进程当作过期删除
+        const keys = await this._lookupSyncKeys();
+        await this._withConfigLock(() => this._syncLocked(keys));
+    }
+
+    /**
+     * Looks up the API keys a sync writes: those of the current provider and of
+     * the providers of project overrides.
+     * @returns {Promise<Map<string, string>>} - The keys by provider ID.
+     * @private
+     */
+    async _lookupSyncKeys() {
+        const providers = [
+            this._getCurrentProviderInfo(),
+            ...this.getProjectOverrides().map((o) =>
+                this.getProvider(o.providerId)
+            ),
+        ];
+
+        const keys = new Map();
+        for (const provider of providers) {
+            if (provider && !keys.has(provider.id)) {
+                keys.set(provider.id, await this.getProviderKey(provider));
+            }
+        }
+        return keys;
+    }
+
+    /**
+     * Performs the read-modify-write of {@link syncToLocalFile} while holding the config lock.
+     * @param {Map<string, string>} keys - The API keys, looked up before taking the lock.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _syncLocked(keys) {
+        try {
+            if (this.isSafeModeActive()) {
+                // 文件被修复、恢复或移回之前不写入
+                if (!(await this._hasValidConfig())) {
+                    console.warn(
+                        'Claude config file is malformed, skipping sync in safe mode'
+                    );
+                    return;
+                }
+                this.leaveSafeMode();
+            }
+
+            if (await this._shouldDeferFirstSync()) {
+                console.log(
+                    'Existing Claude Code provider settings found, waiting for import before the first sync'
+                );
+                return;
+            }
+
+            const dirReady = await this._ensureClaudeDir();
+            if (!dirReady) {
+                throw new Error(
+                    'Failed to create Claude configuration directory'
+                );
+            }
+
+            const configPath = this._getClaudeConfigPath();
+            const { config, envState } = await this._generateClaudeConfig(
+                {},
+                keys
+            );
+
+            try {
+                await this._writeConfigFile(configPath, config);
+                console.log('Synced config to Claude config file:', configPath);
+            } catch (e) {
+                console.error('Failed to write configuration file:', e);
+                throw new Error(
+                    `Failed to write configuration file: ${e.message}`
+                );
+            }
+
+            // 文件写入成功后再记录接管的键
+            await this.envStateStore.save(configPath, envState);
+
+            await this._syncProjectsLocked(keys);
+        } catch (e) {
+            if (e instanceof MalformedConfigError) {
+                this._enterSafeMode(e);
+                return;
+            }
+            console.error('Failed to sync configuration:', e);
+            throw e; // 重新抛出，让调用者处理
+        }
+    }
+
+    /**
+     * Gets the configured project overrides.
+     * @returns {Array<{id: string, path: string, providerId: string}>}
+     */
+    getProjectOverrides() {
+        try {
+            const overrides = JSON.parse(
+                this.settings.get_string('project-overrides')
+            );
+            return Array.isArray(overrides)
+                ? overrides.filter(
+                      (o) =>
+                          o &&
+                          typeof o.id === 'string' &&
+                          typeof o.path === 'string' &&
+                          typeof o.providerId === 'string'
+                  )
+                : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    /**
+     * Adds a project directory that uses its own provider.
+     * @param {string} path - The project directory.
+     * @param {string} providerId - The ID of the provider to use in the project.
+     * @returns {object} - The new override.
+     */
+    addProjectOverride(path, providerId) {
+        const override = { id: GLib.uuid_string_random(), path, providerId };
+        const overrides = this.getProjectOverrides();
+        overrides.push(override);
+        this.settings.set_string('project-overrides', JSON.stringify(overrides));
+        return override;
+    }
+
+    /**
+     * Changes the provider of a project override.
+     * @param {string} id - The ID of the override.
+     * @param {string} providerId - The ID of the new provider.
+     */
+    setProjectOverrideProvider(id, providerId) {
+        const overrides = this.getProjectOverrides().map((o) =>
+            o.id === id ? { ...o, providerId } : o
+        );
+        this.settings.set_string('project-overrides', JSON.stringify(overrides));
+    }
+
+    /**
+     * Removes a project override and gives the project's settings.local.json back
+     * the values the user had before.
+     * @param {string} id - The ID of the override.
+     * @returns {Promise<void>}
+     */
+    async removeProjectOverride(id) {
+        const override = this.getProjectOverrides().find((o) => o.id === id);
+        if (!override) {
+            return;
+        }
+
+        await this._withConfigLock(() =>
+            this._releaseProjectConfig(override.path, true)
+        );
+        this.settings.set_string(
+            'project-overrides',
+            JSON.stringify(this.getProjectOverrides().filter((o) => o.id !== id))
+        );
+    }
+
+    /**
+     * Gets the path of the settings.local.json file of a project.
+     * @param {string} projectPath - The project directory.
+     * @returns {string}
+     * @private
+     */
+    _getProjectConfigPath(projectPath) {
+        return GLib.build_filenamev([
+            projectPath,
+            '.claude',
+            'settings.local.json',
+        ]);
+    }
+
+    /**
+     * Writes the provider env of every project override, while holding the config lock.
+     * A failing project is logged and does not stop the others.
+     * @param {Map<string, string>} keys - The API keys, looked up before taking the lock.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _syncProjectsLocked(keys) {
+        for (const { path, providerId } of this.getProjectOverrides()) {
+            const provider = this.getProvider(providerId);
+            if (!provider) {
+                console.warn(`Provider of project override ${path} not found`);
+                continue;
+            }
+            if (!GLib.file_test(path, GLib.FileTest.IS_DIR)) {
+                console.warn(`Project directory ${path} does not exist`);
+                continue;
+            }
+
+            try {
+                const configPath = this._getProjectConfigPath(path);
+                const dir = GLib.path_get_dirname(configPath);
+                if (GLib.mkdir_with_parents(dir, 0o755) !== 0) {
+                    throw new Error(`Failed to create directory: ${dir}`);
+                }
+
+                const { config, envState } = await this._generateProjectConfig(
+                    configPath,
+                    provider,
+                    keys
+                );
+                // 文件包含 API 密钥，只允许所有者读取
+                await this._writeConfigFile(configPath, config, true);
+                await this.envStateStore.save(configPath, envState);
+            } catch (e) {
+                console.error(`Failed to sync project override ${path}:`, e);
+            }
+        }
+    }
+
+    /**
+     * Restores the user's env values in the settings.local.json of a project.
+     * @param {string} projectPath - The project directory.
+     * @param {boolean} forget - Whether to drop the recorded env state, for removed overrides.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _releaseProjectConfig(projectPath, forget) {
+        const configPath = this._getProjectConfigPath(projectPath);
+        const existingConfig = await this._readExistingConfig(configPath);
+        const envState = await this.envStateStore.load(configPath);
+        if (!existingConfig || !envState?.managed.length) {
+            return;
+        }
+
+        const { env } = this._buildEnvironmentConfig(
+            existingConfig.env,
+            {},
+            envState
+        );
+        if (Object.keys(env).length === 0) {
+            delete existingConfig.env;
+        } else {
+            existingConfig.env = env;
+        }
+
+        await this._writeConfigFile(configPath, existingConfig, true);
+        await this.envStateStore.save(
+            configPath,
+            forget ? null : { managed: [], originals: {} }
+        );
+    }
+
+    /**
+     * Runs a read-modify-write of settings.json after all earlier ones of this process,
+     * while holding a lock file shared with the other extension processes.
+     * Tasks must not call other locked methods, or they wait for themselves.
+     * @param {Function} task - An async function doing the read-modify-write.
+     * @param {string} [configPath] - The file whose lock to take, by default the user's settings.json.
+     * @returns {Promise<*>} - The result of the task.
+     * @private
+     */
+    _withConfigLock(task, configPath = this._getClaudeConfigPath()) {
+        const lockPath = getLockPath(configPath);
+        const run = this._writeQueue.then(async () => {
+            const release = await acquireFileLock(
+                lockPath,
+                this._lockCancellable
+            );
+            try {
+                return await task();
+            } finally {
+                await release();
+            }
+        });
+        // 失败的任务不影响后续排队的写入
+        this._writeQueue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Checks whether syncing is paused because settings.json was malformed.
+     * @returns {boolean}
+     */
+    isSafeModeActive() {
+        return this.settings.get_boolean('config-safe-mode');
+    }
+
+    /**
+     * Gets the path the malformed settings.json file was moved to.
+     * @returns {string} - The path, or an empty string if the file could not be moved.
+     */
+    getCorruptConfigPath() {
+        return this.settings.get_string('config-corrupt-path');
+    }
+
+    /**
+     * Gets the path of the malformed file, wherever it currently is.
+     * @returns {string}
+     */
+    getMalformedConfigPath() {
+        return this.getCorruptConfigPath() || this._getClaudeConfigPath();
+    }
+
+    /**
+     * Moves a malformed settings.json file aside and pauses syncing, so the
+     * user's settings are not replaced by a freshly generated file.
+     * @param {MalformedConfigError} error - The parse error.
+     * @private
+     */
+    _enterSafeMode(error) {
+        console.error(error.message);
+
+        const file = Gio.File.new_for_path(error.configPath);
+        const stamp = GLib.DateTime.new_now_local().format('%Y%m%d-%H%M%S');
+        const corruptPath = `${error.configPath}.corrupt-${stamp}`;
+        try {
+            file.move(
+                Gio.File.new_for_path(corruptPath),
+                Gio.FileCopyFlags.NONE,
+                null,
+                null
+            );
+            this.settings.set_string('config-corrupt-path', corruptPath);
+        } catch (e) {
+            // 移动失败时文件留在原处，安全模式同样会阻止写入
+            console.error('Failed to move malformed Claude config file:', e);
+            this.settings.set_string('config-corrupt-path', '');
+        }
+        this.settings.set_boolean('config-safe-mode', true);
+    }
+
+    /**
+     * Resumes syncing after safe mode. The moved-aside file is kept.
+     */
+    leaveSafeMode() {
+        this.settings.set_boolean('config-safe-mode', false);
+        this.settings.set_string('config-corrupt-path', '');
+    }
+
+    /**
+     * Checks whether settings.json exists and can be parsed.
+     * @returns {Promise<boolean>}
+     * @private
+     */
+    async _hasValidConfig() {
+        try {
+            return (await this._readExistingConfig()) !== null;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Leaves safe mode and writes a new settings.json from the current settings,
+     * discarding the contents of the malformed file.
+     * @returns {Promise<void>}
+     */
+    async overwriteMalformedConfig() {
+        const configPath = this._getClaudeConfigPath();
+        await this._withConfigLock(async () => {
+            if (await this._hasValidConfig()) {
+                return;
+            }
+            // 仍留在原处的损坏文件先移走，否则生成配置时会再次失败
+            const file = Gio.File.new_for_path(configPath);
+            if (file.query_exists(null)) {
+                await this._writeConfigFile(configPath, {});
+            }
+        });
+
+        this.leaveSafeMode();
+        await this.syncToLocalFile();
+    }
+
+    /**
+     * Moves the malformed file back into place once the user has repaired it.
+     * @returns {Promise<boolean>} - False if the file is still not valid JSON.
+     */
+    async restoreRepairedConfig() {
+        const corruptPath = this.getCorruptConfigPath();
+        if (!corruptPath) {
+            // 文件没有被移走，修复后直接同步即可
+            if (!(await this._hasValidConfig())) {
+                return false;
+            }
+            await this.syncToLocalFile();
+            return true;
+        }
+
+        const bytes = await loadFile(Gio.File.new_for_path(corruptPath));
+        try {
+            JSON.parse(bytes ? new TextDecoder('utf-8').decode(bytes) : '');
+        } catch (e) {
+            return false;
+        }
+
+        const configPath = this._getClaudeConfigPath();
+        await this._withConfigLock(() =>
+            this._writeConfigFile(configPath, bytes)
+        );
+        this.leaveSafeMode();
+        await this.syncToLocalFile();
+        return true;
+    }
+
+    /**
+     * Leaves safe mode by restoring the newest snapshot that is valid JSON,
+     * then applies the current provider on top of it.
+     * @returns {Promise<boolean>} - False if there is no usable snapshot.
+     */
+    async restoreLatestValidBackup() {
+        for (const backup of await this.listConfigBackups()) {
+            try {
+                JSON.parse(await this.readConfigBackup(backup));
+            } catch (e) {
+                continue;
+            }
+
+            await this.restoreConfigBackup(backup);
+            await this.syncToLocalFile();
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Writes a settings.json file, after taking a snapshot of its current contents.
+     * All writes of the Claude configuration go through this method, from inside
+     * {@link _withConfigLock}.
+     * @param {string} configPath - The path of the settings.json file.
+     * @param {object|Uint8Array} config - The configuration object, or raw file contents.
+     * @param {boolean} [isPrivate] - Whether the file should only be readable by the owner.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _writeConfigFile(configPath, config, isPrivate = false) {
+        try {
+            await this.backupStore.snapshot(configPath);
+        } catch (e) {
+            // 备份失败不阻止写入，但需要记录
+            console.error('Failed to back up Claude config file:', e);
+        }
+
+        const bytes =
+            config instanceof Uint8Array
+                ? config
+                : new TextEncoder().encode(JSON.stringify(config, null, 2));
+        await replaceFileAtomically(
+            Gio.File.new_for_path(configPath),
+            bytes,
+            isPrivate
+        );
+        if (configPath === this._getClaudeConfigPath()) {
+            this._lastWrittenText = new TextDecoder('utf-8').decode(bytes);
+        }
+    }
+
+    /**
+     * Checks whether the given settings.json contents are what this process wrote last,
+     * so that file monitors can tell the extension's own writes from external edits.
+     * @param {string} text - The file contents.
+     * @returns {boolean}
+     */
+    isLastWrittenConfig(text) {
+        return this._lastWrittenText === text;
+    }
+
+    /**
+     * Lists the snapshots of the Claude settings.json file, newest first.
+     * @returns {Promise<Array<{file: Gio.File, name: string, date: GLib.DateTime, size: number}>>}
+     */
+    listConfigBackups() {
+        return this.backupStore.list(this._getClaudeConfigPath());
+    }
+
+    /**
+     * Reads the current contents of the Claude settings.json file.
+     * @returns {Promise<string>} - The file contents, or an empty string if it does not exist.
+     */
+    async readConfigText() {
+        const bytes = await loadFile(
+            Gio.File.new_for_path(this._getClaudeConfigPath())
+        );
+        return bytes ? new TextDecoder('utf-8').decode(bytes) : '';
+    }
+
+    /**
+     * Reads the contents of a snapshot.
+     * @param {{file: Gio.File}} backup - A snapshot returned by {@link listConfigBackups}.
+     * @returns {Promise<string>}
+     */
+    async readConfigBackup(backup) {
+        const bytes = await loadFile(backup.file);
+        return bytes ? new TextDecoder('utf-8').decode(bytes) : '';
+    }
+
+    /**
+     * Restores a snapshot as the Claude settings.json file.
+     * The current contents are backed up first, so the restore can be undone.
+     * @param {{file: Gio.File}} backup - A snapshot returned by {@link listConfigBackups}.
+     * @returns {Promise<void>}
+     */
+    async restoreConfigBackup(backup) {
+        const bytes = await loadFile(backup.file);
+        if (!bytes) {
+            throw new Error(`Backup not found: ${backup.name}`);
+        }
+
+        const dirReady = await this._ensureClaudeDir();
+        if (!dirReady) {
+            throw new Error('Failed to create Claude configuration directory');
+        }
+        await this._withConfigLock(() =>
+            this._writeConfigFile(this._getClaudeConfigPath(), bytes)
+        );
+        // 恢复的快照由用户选择，之后的同步可以照常写入
+        this.leaveSafeMode();
+    }
+
+    /**
+     * Gets the current proxy configuration.
+     * @returns {{host: string, port: string}}
+     */
+    getProxyInfo() {
+        const host = this.settings.get_string('proxy-host');
+        const port = this.settings.get_string('proxy-port');
+        return { host, port };
+    }
+
+    /**
+     * Builds the proxy URL written to HTTPS_PROXY/HTTP_PROXY.
+     * @returns {string} - The proxy URL, or an empty string if no proxy is configured.
+     */
+    getProxyUrl() {
+        const { host, port } = this.getProxyInfo();
+        return this._formatProxyUrl(host, port);
+    }
+
+    /**
+     * @param {string} host - The proxy host, with or without a scheme.
+     * @param {string} port - The proxy port, may be empty.
+     * @returns {string} - The proxy URL, or an empty string without a host.
+     * @private
+     */
+    _formatProxyUrl(host, port) {
+        let proxyUrl = '';
+        if (host) {
+            proxyUrl = port ? `${host}:${port}` : host;
+            if (
+                !proxyUrl.startsWith('http://') &&
+                !proxyUrl.startsWith('https://')
+            ) {
+                proxyUrl = `http://${proxyUrl}`;
+            }
+        }
+        return proxyUrl;
+    }
+
+    /**
+     * Sets the proxy configuration and syncs to the file.
+     * @param {string} host - The proxy host.
+     * @param {string} port - The proxy port.
+     * @returns {Promise<void>}
+     */
+    async setProxy(host, port) {
+        this.settings.set_string('proxy-host', host || '');
+        this.settings.set_string('proxy-port', port || '');
+        await this.syncToLocalFile();
+    }
+
+    /**
+     * Removes the selected sections the extension manages from settings.json and
+     * turns the matching settings off, so the next sync does not write them again.
+     * Env keys get back the values the user had before the extension took them over;
+     * all other keys of the file are kept.
+     * @param {Array<string>} sections - The sections to reset, see {@link ConfigSection}.
+     * @returns {Promise<boolean>} - True on success, false on failure.
+     */
+    async resetConfigSections(sections) {
+        if (this._checkDestroyed()) {
+            return false;
+        }
+
+        try {
+            await this._withConfigLock(() =>
+                this._resetSectionsLocked(sections)
+            );
+        } catch (e) {
+            console.error('Failed to reset Claude config file:', e);
+            return false;
+        }
+
+        // 文件写入后再修改设置，之后的同步不会再写回这些内容
+        if (sections.includes(ConfigSection.PROVIDER)) {
+            this.settings.set_string('current-provider', '');
+        }
+        if (sections.includes(ConfigSection.PROXY)) {
+            this.settings.set_string('proxy-host', '');
+            this.settings.set_string('proxy-port', '');
+        }
+        if (sections.includes(ConfigSection.AUTO_UPDATE)) {
+            this.settings.set_boolean('auto-update', true);
+        }
+        if (sections.includes(ConfigSection.HOOKS)) {
+            this.settings.set_boolean('notifications-enabled', false);
+        }
+        return true;
+    }
+
+    /**
+     * Rewrites settings.json without the selected sections, while holding the config lock.
+     * @param {Array<string>} sections - The sections to reset.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _resetSectionsLocked(sections) {
+        const configPath = this._getClaudeConfigPath();
+        const existingConfig = await this._readExistingConfig();
+        if (!existingConfig) {
+            return;
+        }
+
+        const state = await this.envStateStore.load(configPath);
+        const { config, envState } = this._resetSections(
+            existingConfig,
+            sections,
+            state
+        );
+        await this._writeConfigFile(configPath, config);
+        if (state) {
+            await this.envStateStore.save(configPath, envState);
+        }
+        console.log('Reset sections of Claude config file:', sections);
+    }
+
+    /**
+     * Removes the selected sections from a parsed settings.json.
+     * @param {object} config - The parsed configuration, modified in place.
+     * @param {Array<string>} sections - The sections to reset.
+     * @param {object|null} state - The recorded env state, see {@link EnvStateStore#load}.
+     * @returns {{config: object, envState: object|null}} - The configuration and the new env state.
+     * @private
+     */
+    _resetSections(config, sections, state) {
+        const names = [];
+        for (const section of sections) {
+            names.push(...(SECTION_ENV_KEYS[section] || []));
+        }
+        if (sections.includes(ConfigSection.PROVIDER) && state) {
+            // 提供商的自定义环境变量
+            names.push(
+                ...state.managed.filter((n) => !RESERVED_ENV_KEYS.includes(n))
+            );
+        }
+
+        const env = { ...(config.env || {}) };
+        const originals = { ...(state?.originals || {}) };
+        for (const name of names) {
+            // 有记录时只处理扩展接管的键，其余是用户自己的值
+            if (state && !state.managed.includes(name)) {
+                continue;
+            }
+            if (typeof originals[name] === 'string') {
+                env[name] = originals[name];
+            } else {
+                delete env[name];
+            }
+            delete originals[name];
+        }
+
+        if (Object.keys(env).length === 0) {
+            delete config.env;
+        } else {
+            config.env = env;
+        }
+
+        if (sections.includes(ConfigSection.HOOKS) && config.hooks) {
+            const hooks = this._cleanupAndPrepareHooks(config.hooks);
+            if (Object.keys(hooks).length === 0) {
+                delete config.hooks;
+            } else {
+                config.hooks = hooks;
+            }
+        }
+
+        const envState = state
+            ? {
+                  managed: state.managed.filter((n) => !names.includes(n)),
+                  originals,
+              }
+            : null;
+        return { config, envState };
+    }
+
+    /**
+     * Gets the auto-update setting.
+     * @returns {boolean}
+     */
+    getAutoUpdate() {
+        return this.settings.get_boolean('auto-update');
+    }
+
+    /**
+     * Sets the auto-update setting and syncs to the file.
+     * @param {boolean} enabled - Whether auto-update should be enabled.
+     * @returns {Promise<void>}
+     */
+    async setAutoUpdate(enabled) {
+        this.settings.set_boolean('auto-update', enabled);
+        await this.syncToLocalFile();
+    }
+
+    /**
+     * Gets the current notification settings.
      * @returns {{enabled: boolean, taskCompletion: boolean, toolAuth: boolean}}
      */
     getNotificationSettings() {
@@ -652,14 +1861,131 @@ export class SettingsManager {
 
     /**
      * Sets the current provider and syncs to the file.
-     * @param {string} providerName - The name of the provider to set as current.
+     * @param {string} providerId - The ID of the provider to set as current.
+     * @returns {Promise<void>}
+     */
+    async setCurrentProvider(providerId) {
+        this.settings.set_string('current-provider', providerId);
+        await this.syncToLocalFile();
+    }
+
+    /**
+     * Returns the models that can be chosen for a provider: its list of available
+     * models plus the models it currently uses.
+     * @param {object} provider - The provider object.
+     * @returns {Array<string>}
+     */
+    getProviderModels(provider) {
+        const models = Array.isArray(provider?.models) ? provider.models : [];
+        return [
+            ...new Set(
+                [...models, provider?.largeModel, provider?.smallModel].filter(
+                    (m) => typeof m === 'string' && m.trim() !== ''
+                )
+            ),
+        ];
+    }
+
+    /**
+     * Changes the large or small model of a provider without switching to it, and
+     * syncs the files that use the provider.
+     * @param {string} providerId - The ID of the provider.
+     * @param {{largeModel?: string, smallModel?: string}} models - The models to change.
      * @returns {Promise<void>}
      */
-    async setCurrentProvider(providerName) {
-        this.settings.set_string('current-provider', providerName);
+    async setProviderModels(providerId, models) {
+        const providers = this.getAllProviders();
+        const provider = providers.find((p) => p && p.id === providerId);
+        if (!provider) {
+            return;
+        }
+
+        for (const field of ['largeModel', 'smallModel']) {
+            if (typeof models[field] === 'string') {
+                provider[field] = models[field];
+            }
+        }
+        this.settings.set_string('api-providers', JSON.stringify(providers));
         await this.syncToLocalFile();
     }
 
+    /**
+     * Gets the keyboard shortcuts that switch straight to a provider. Entries of
+     * removed providers may remain; callers skip them.
+     * @returns {Object<string, string>} - The accelerators by provider ID.
+     */
+    getProviderShortcuts() {
+        try {
+            const shortcuts = JSON.parse(
+                this.settings.get_string('provider-shortcuts')
+            );
+            if (
+                !shortcuts ||
+                typeof shortcuts !== 'object' ||
+                Array.isArray(shortcuts)
+            ) {
+                return {};
+            }
+            return Object.fromEntries(
+                Object.entries(shortcuts).filter(
+                    ([, accelerator]) =>
+                        typeof accelerator === 'string' && accelerator !== ''
+                )
+            );
+        } catch (e) {
+            return {};
+        }
+    }
+
+    /**
+     * Sets or clears the keyboard shortcut of a provider.
+     * @param {string} providerId - The ID of the provider.
+     * @param {string} accelerator - A GTK accelerator, or an empty string to clear it.
+     */
+    setProviderShortcut(providerId, accelerator) {
+        const shortcuts = this.getProviderShortcuts();
+        if (accelerator) {
+            shortcuts[providerId] = accelerator;
+        } else {
+            delete shortcuts[providerId];
+        }
+        this.settings.set_string('provider-shortcuts', JSON.stringify(shortcuts));
+    }
+
+    /**
+     * Adds a new provider with a fresh ID and stores its API key in the keyring.
+     * @param {{name: string, url: string, largeModel: string, smallModel: string}} fields - The provider fields.
+     * @param {string} key - The API key.
+     * @returns {Promise<object>} - The new provider object.
+     */
+    async addProvider(fields, key) {
+        const provider = { id: GLib.uuid_string_random(), ...fields };
+
+        if (key) {
+            await this.secretStore.store(provider.id, provider.name, key);
+        }
+
+        const providers = this.getAllProviders();
+        providers.push(provider);
+        this.settings.set_string('api-providers', JSON.stringify(providers));
+        return provider;
+    }
+
+    /**
+     * Finds a configured provider by its ID.
+     * @param {string} providerId - The ID of the provider.
+     * @returns {object|null} - The provider object, or null if there is none.
+     */
+    getProvider(providerId) {
+        if (!providerId) {
+            return null;
+        }
+        return (
+            this.getAllProviders().find((p) => p && p.id === providerId) ||
+            null
+        );
+    }
+
     /**
      * Gets all configured API providers.
      * @returns {Array<object>} - An array of provider objects.
@@ -667,7 +1993,8 @@ export class SettingsManager {
     getAllProviders() {
         try {
             const providersJson = this.settings.get_string('api-providers');
-            return JSON.parse(providersJson);
+            const providers = JSON.parse(providersJson);
+            return Array.isArray(providers) ? providers : [];
         } catch (e) {
             return [];
         }
@@ -687,9 +2014,9 @@ export class SettingsManager {
     }
 
     /**
-     * Asynchronously cleans up hooks from the local Claude config file.
+     * Asynchronously cleans up hooks and managed env keys from the local Claude config file.
      * This is designed to be safely called during extension disable.
-     * It regenerates the config without this extension's hooks and writes it.
+     * Env keys are restored to the values the user had before the extension managed them.
      * @private
      */
     async cleanupLocalFile() {
@@ -697,15 +2024,113 @@ export class SettingsManager {
             return;
         }
 
+        if (this.isSafeModeActive()) {
+            console.debug('Claude config file is malformed, skipping cleanup.');
+            return;
+        }
+
+        try {
+            await this._withConfigLock(() => this._cleanupLocalFileLocked());
+        } catch (e) {
+            console.error(
+                'Error during asynchronous cleanup of Claude config file:',
+                e
+            );
+        }
+    }
+
+    /**
+     * Restores the user's env values and removes the extension's hooks in the
+     * settings.json of a profile that is no longer the target profile.
+     * @param {string} profileRoot - The root directory of the previous target profile.
+     * @returns {Promise<void>}
+     */
+    async releaseProfile(profileRoot) {
+        if (this._checkDestroyed() || this.isSafeModeActive()) {
+            return;
+        }
+
+        const configPath = GLib.build_filenamev([profileRoot, 'settings.json']);
+        if (configPath === this._getClaudeConfigPath()) {
+            return;
+        }
+
         try {
-            const existingConfig = (await this._readExistingConfig()) || {};
-            if (!existingConfig.hooks) {
-                console.debug('No hooks to clean up.');
-                return; // Nothing to clean up
+            await this._withConfigLock(
+                () => this._releaseConfigFile(configPath),
+                configPath
+            );
+        } catch (e) {
+            console.error(`Failed to release ${configPath}:`, e);
+        }
+    }
+
+    /**
+     * Restores the user's env values and removes the hooks of the extension,
+     * while holding the config lock.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _cleanupLocalFileLocked() {
+        for (const { path } of this.getProjectOverrides()) {
+            try {
+                await this._releaseProjectConfig(path, false);
+            } catch (e) {
+                console.error(`Failed to clean up project override ${path}:`, e);
+            }
+        }
+
+        // 之前切换过的配置目录也可能留有扩展写入的值
+        const targetPath = this._getClaudeConfigPath();
+        for (const { path } of getProfiles(this.settings)) {
+            const configPath = GLib.build_filenamev([path, 'settings.json']);
+            if (configPath === targetPath) {
+                continue;
+            }
+            try {
+                await this._releaseConfigFile(configPath);
+            } catch (e) {
+                console.error(`Failed to clean up ${configPath}:`, e);
+            }
+        }
+
+        await this._releaseConfigFile(targetPath);
+    }
+
+    /**
+     * Restores the user's env values and removes the extension's hooks in a settings.json.
+     * @param {string} configPath - The path of the settings.json file.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _releaseConfigFile(configPath) {
+        const existingConfig =
+            (await this._readExistingConfig(configPath)) || {};
+        const envState = await this.envStateStore.load(configPath);
+        if (!existingConfig.hooks && !envState?.managed.length) {
+            console.debug('Nothing to clean up.');
+            return; // Nothing to clean up
+        }
+
+        // Restore the user's values of the managed env keys
+        if (envState) {
+            const { env } = this._buildEnvironmentConfig(
+                existingConfig.env,
+                {},
+                envState
+            );
+            if (Object.keys(env).length === 0) {
+                delete existingConfig.env;
+            } else {
+                existingConfig.env = env;
             }
+        }
 
-            // Clean the hooks object
-            const cleanedHooks = this._cleanupAndPrepareHooks(existingConfig.hooks);
+        // Clean the hooks object
+        if (existingConfig.hooks) {
+            const cleanedHooks = this._cleanupAndPrepareHooks(
+                existingConfig.hooks
+            );
 
             // If hooks are now empty, remove the object, otherwise assign the cleaned one
             if (Object.keys(cleanedHooks).length === 0) {
@@ -713,39 +2138,19 @@ export class SettingsManager {
             } else {
                 existingConfig.hooks = cleanedHooks;
             }
+        }
 
-            // Write the cleaned configuration back to the file.
-            const configPath = this._getClaudeConfigPath();
-            const jsonString = JSON.stringify(existingConfig, null, 2);
-            const file = Gio.File.new_for_path(configPath);
-            const bytes = new TextEncoder().encode(jsonString);
+        // Write the cleaned configuration back to the file.
+        await this._writeConfigFile(configPath, existingConfig);
+        console.log(
+            'Successfully cleaned up hooks from Claude config file on disable.'
+        );
 
-            await new Promise((resolve, reject) => {
-                file.replace_contents_async(
-                    bytes,
-                    null,
-                    false,
-                    Gio.FileCreateFlags.REPLACE_DESTINATION,
-                    null,
-                    (source, result) => {
-                        try {
-                            source.replace_contents_finish(result);
-                            console.log(
-                                'Successfully cleaned up hooks from Claude config file on disable.'
-                            );
-                            resolve();
-                        } catch (e) {
-                            reject(e);
-                        }
-                    }
-                );
-            });
-        } catch (e) {
-            console.error(
-                'Error during asynchronous cleanup of Claude config file:',
-                e
-            );
-        }
+        // 保留空状态，重新启用时会再次记录用户的值
+        await this.envStateStore.save(configPath, {
+            managed: [],
+            originals: {},
+        });
     }
 
     /**
@@ -755,8 +2160,15 @@ export class SettingsManager {
         if (this._isDestroyed) {
             return;
         }
-        this.settings = null;
-        this.extension = null;
         this._isDestroyed = true;
+
+        // 不再等待其他进程持有的锁，排队的写入只尝试一次
+        this._lockCancellable.cancel();
+
+        // 排队中的写入（例如禁用时的清理）完成后再释放引用
+        this._writeQueue.then(() => {
+            this.settings = null;
+            this.extension = null;
+        });
     }
 }
@@ -0,0 +1,125 @@
+/* textDiff.js
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+// 超过这个规模时不再计算最长公共子序列，直接显示整体替换
+const MAX_LCS_CELLS = 4_000_000;
+
+/**
+ * Kind of a diff line.
+ * @enum {string}
+ */
+export const DiffOp = {
+    EQUAL: ' ',
+    REMOVED: '-',
+    ADDED: '+',
+};
+
+/**
+ * Computes a line diff between two texts using the longest common subsequence.
+ * @param {string} oldText - The original text.
+ * @param {string} newText - The changed text.
+ * @returns {Array<{op: string, line: string}>} - The diff lines, see {@link DiffOp}.
+ */
+export function diffLines(oldText, newText) {
+    const a = oldText ? oldText.split('\n') : [];
+    const b = newText ? newText.split('\n') : [];
+
+    // 去掉相同的开头和结尾，缩小计算范围
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+        prefix++;
+    }
+    let suffix = 0;
+    while (
+        suffix < a.length - prefix &&
+        suffix < b.length - prefix &&
+        a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+    ) {
+        suffix++;
+    }
+
+    const result = a
+        .slice(0, prefix)
+        .map((line) => ({ op: DiffOp.EQUAL, line }));
+    const middleA = a.slice(prefix, a.length - suffix);
+    const middleB = b.slice(prefix, b.length - suffix);
+    result.push(..._diffMiddle(middleA, middleB));
+    result.push(
+        ...a
+            .slice(a.length - suffix)
+            .map((line) => ({ op: DiffOp.EQUAL, line }))
+    );
+    return result;
+}
+
+/**
+ * Diffs the differing middle part of two line arrays.
+ * @param {Array<string>} a - The original lines.
+ * @param {Array<string>} b - The changed lines.
+ * @returns {Array<{op: string, line: string}>}
+ * @private
+ */
+function _diffMiddle(a, b) {
+    const removeAll = a.map((line) => ({ op: DiffOp.REMOVED, line }));
+    const addAll = b.map((line) => ({ op: DiffOp.ADDED, line }));
+    if (
+        a.length === 0 ||
+        b.length === 0 ||
+        a.length * b.length > MAX_LCS_CELLS
+    ) {
+        return [...removeAll, ...addAll];
+    }
+
+    // lengths[i][j] = a[i..] 与 b[j..] 的最长公共子序列长度
+    const lengths = Array.from(
+        { length: a.length + 1 },
+        () => new Uint32Array(b.length + 1)
+    );
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] =
+                a[i] === b[j]
+                    ? lengths[i + 1][j + 1] + 1
+                    : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const result = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            result.push({ op: DiffOp.EQUAL, line: a[i] });
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            result.push({ op: DiffOp.REMOVED, line: a[i] });
+            i++;
+        } else {
+            result.push({ op: DiffOp.ADDED, line: b[j] });
+            j++;
+        }
+    }
+    while (i < a.length) {
+        result.push({ op: DiffOp.REMOVED, line: a[i++] });
+    }
+    while (j < b.length) {
+        result.push({ op: DiffOp.ADDED, line: b[j++] });
+    }
+    return result;
+}
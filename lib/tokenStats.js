@@ -9,11 +9,18 @@
 import Gio from 'gi://Gio';
 import GLib from 'gi://GLib';
 
+import { getDefaultProfileRoot } from './claudeProfiles.js';
+
 Gio._promisify(Gio.File.prototype, 'load_contents_async');
 Gio._promisify(Gio.File.prototype, 'query_info_async');
 Gio._promisify(Gio.File.prototype, 'enumerate_children_async');
 Gio._promisify(Gio.FileEnumerator.prototype, 'next_files_async');
 
+// 按修改时间筛选日志文件所需的属性
+const LOG_FILE_ATTRIBUTES =
+    'standard::name,standard::type,standard::size,' +
+    'time::modified,time::modified-usec';
+
 /**
  * @class TokenStats
  * @description Represents the data structure for token statistics.
@@ -64,9 +71,15 @@ export class TokenStats {
  * @description Manages reading and processing token usage data from Claude Code logs.
  */
 export class TokenStatsManager {
-    constructor() {
-        this.claudePath = this._getClaudePath();
-        this.projectsPath = GLib.build_filenamev([this.claudePath, 'projects']);
+    /**
+     * @param {string[]} [claudePaths] - The Claude Code profile roots to read, by default
+     *        the default profile.
+     */
+    constructor(claudePaths = [getDefaultProfileRoot()]) {
+        this.setClaudePaths(claudePaths);
+
+        // 按文件缓存的每日合计，键为文件路径
+        this._fileTotalsCache = new Map();
 
         // Claude 模型价格表 (每百万 tokens) - 根据用户截图更新
         this.modelPrices = {
@@ -137,24 +150,176 @@ export class TokenStatsManager {
     }
 
     /**
-     * Gets the path to the main ~/.claude directory.
-     * @returns {string}
+     * Sets the Claude Code profile roots whose logs are read. Statistics and
+     * sessions are aggregated across all of them.
+     * @param {string[]} claudePaths - The profile root directories.
+     */
+    setClaudePaths(claudePaths) {
+        this.claudePaths = claudePaths;
+    }
+
+    /**
+     * Returns the cost and tokens per UTC date of the entries since a point in time.
+     * Only log files modified since then are read, and the totals of each file are
+     * cached by modification time and size, so unchanged files are not parsed again.
+     * @param {Date} since - The start of the period, e.g. the start of the budget month.
+     * @returns {Promise<Map<string, {cost: number, tokens: number}>>} - The totals by
+     *          "YYYY-MM-DD" date, for the dates from `since` on.
+     */
+    async getDailyTotalsSince(since) {
+        const sinceUsec = since.getTime() * 1000;
+        const sinceDate = since.toISOString().split('T')[0];
+        const files = new Map();
+        for (const claudePath of this.claudePaths) {
+            await this._listLogFiles(
+                GLib.build_filenamev([claudePath, 'projects']),
+                sinceUsec,
+                files
+            );
+        }
+
+        const nextCache = new Map();
+        const totals = new Map();
+        for (const [filePath, version] of files) {
+            let cached = this._fileTotalsCache.get(filePath);
+            if (!cached || cached.version !== version) {
+                cached = {
+                    version,
+                    byDate: this._sumByDate(
+                        await this._parseJsonlFile(filePath)
+                    ),
+                };
+            }
+            // 只保留本次仍在周期内的文件，避免缓存无限增长
+            nextCache.set(filePath, cached);
+
+            for (const [date, fileTotal] of cached.byDate) {
+                if (date < sinceDate) {
+                    continue;
+                }
+                const total = totals.get(date) || { cost: 0, tokens: 0 };
+                total.cost += fileTotal.cost;
+                total.tokens += fileTotal.tokens;
+                totals.set(date, total);
+            }
+        }
+        this._fileTotalsCache = nextCache;
+
+        return totals;
+    }
+
+    /**
+     * Sums the cost and tokens of log entries by UTC date.
+     * @param {Array<object>} entries - Entries parsed by {@link _parseJsonlFile}.
+     * @returns {Map<string, {cost: number, tokens: number}>}
      * @private
      */
-    _getClaudePath() {
-        const homeDir = GLib.get_home_dir();
-        return GLib.build_filenamev([homeDir, '.claude']);
+    _sumByDate(entries) {
+        const byDate = new Map();
+        for (const entry of entries) {
+            if (!entry.timestamp) {
+                continue;
+            }
+            const date = new Date(entry.timestamp).toISOString().split('T')[0];
+            const total = byDate.get(date) || { cost: 0, tokens: 0 };
+            total.cost += entry.cost;
+            total.tokens +=
+                entry.inputTokens +
+                entry.outputTokens +
+                entry.cacheCreationTokens +
+                entry.cacheReadTokens;
+            byDate.set(date, total);
+        }
+        return byDate;
     }
 
     /**
-     * Checks if the required Claude log directories exist.
+     * Recursively lists the .jsonl files modified at or after a point in time.
+     * @param {string} dirPath - The directory to scan.
+     * @param {number} sinceUsec - The point in time, in microseconds since the epoch.
+     * @param {Map<string, string>} files - Receives the version (mtime and size) by path.
+     * @private
+     */
+    async _listLogFiles(dirPath, sinceUsec, files) {
+        let enumerator;
+        try {
+            enumerator = await Gio.File.new_for_path(
+                dirPath
+            ).enumerate_children_async(
+                LOG_FILE_ATTRIBUTES,
+                Gio.FileQueryInfoFlags.NONE,
+                GLib.PRIORITY_DEFAULT,
+                null
+            );
+        } catch (e) {
+            console.debug(`Directory not found: ${dirPath}`);
+            return;
+        }
+
+        try {
+            while (true) {
+                const fileInfos = await enumerator.next_files_async(
+                    50,
+                    GLib.PRIORITY_DEFAULT,
+                    null
+                );
+                if (fileInfos.length === 0) {
+                    break;
+                }
+
+                for (const info of fileInfos) {
+                    const fileName = info.get_name();
+                    const filePath = GLib.build_filenamev([dirPath, fileName]);
+
+                    if (info.get_file_type() === Gio.FileType.DIRECTORY) {
+                        await this._listLogFiles(filePath, sinceUsec, files);
+                        continue;
+                    }
+                    if (!fileName.endsWith('.jsonl')) {
+                        continue;
+                    }
+
+                    const modifiedUsec =
+                        info.get_attribute_uint64('time::modified') * 1000000 +
+                        info.get_attribute_uint32('time::modified-usec');
+                    if (modifiedUsec >= sinceUsec) {
+                        files.set(
+                            filePath,
+                            `${modifiedUsec}:${info.get_size()}`
+                        );
+                    }
+                }
+            }
+        } catch (e) {
+            console.debug('Failed to scan directory:', dirPath, e);
+        }
+    }
+
+    /**
+     * Checks if the required Claude log directories exist in any profile.
      * @returns {Promise<boolean>}
      * @private
      */
     async _claudeDirectoryExists() {
+        for (const claudePath of this.claudePaths) {
+            if (await this._profileDirectoryExists(claudePath)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Checks if the Claude log directories of one profile exist.
+     * @param {string} claudePath - The profile root directory.
+     * @returns {Promise<boolean>}
+     * @private
+     */
+    async _profileDirectoryExists(claudePath) {
+        const projectsPath = GLib.build_filenamev([claudePath, 'projects']);
         try {
-            const claudeDir = Gio.File.new_for_path(this.claudePath);
-            const projectsDir = Gio.File.new_for_path(this.projectsPath);
+            const claudeDir = Gio.File.new_for_path(claudePath);
+            const projectsDir = Gio.File.new_for_path(projectsPath);
 
             // 使用promisified方法检查目录
             try {
@@ -165,7 +330,7 @@ export class TokenStatsManager {
                     null
                 );
             } catch (e) {
-                console.debug(`Claude directory not found: ${this.claudePath}`);
+                console.debug(`Claude directory not found: ${claudePath}`);
                 return false;
             }
 
@@ -178,9 +343,7 @@ export class TokenStatsManager {
                 );
                 return true;
             } catch (e) {
-                console.debug(
-                    `Projects directory not found: ${this.projectsPath}`
-                );
+                console.debug(`Projects directory not found: ${projectsPath}`);
                 return false;
             }
         } catch (e) {
@@ -446,15 +609,30 @@ export class TokenStatsManager {
     }
 
     /**
-     * Scans all project directories and collects all log entries.
+     * Scans all project directories of all profiles and collects all log entries.
      * @returns {Promise<Array<object>>} - An array of all parsed log entries.
      * @private
      */
     async _collectAllEntries() {
         const allEntries = [];
+        for (const claudePath of this.claudePaths) {
+            await this._collectProfileEntries(
+                GLib.build_filenamev([claudePath, 'projects']),
+                allEntries
+            );
+        }
+        return allEntries;
+    }
 
+    /**
+     * Scans the project directories of one profile and collects its log entries.
+     * @param {string} projectsPath - The projects directory of the profile.
+     * @param {Array<object>} allEntries - The array to accumulate results in.
+     * @private
+     */
+    async _collectProfileEntries(projectsPath, allEntries) {
         try {
-            const projectsDir = Gio.File.new_for_path(this.projectsPath);
+            const projectsDir = Gio.File.new_for_path(projectsPath);
 
             // 使用promisified方法检查目录是否存在
             try {
@@ -465,10 +643,8 @@ export class TokenStatsManager {
                     null
                 );
             } catch (e) {
-                console.debug(
-                    `Projects directory not found: ${this.projectsPath}`
-                );
-                return allEntries;
+                console.debug(`Projects directory not found: ${projectsPath}`);
+                return;
             }
 
             // 使用promisified方法枚举目录内容
@@ -495,7 +671,7 @@ export class TokenStatsManager {
                     if (info.get_file_type() === Gio.FileType.DIRECTORY) {
                         const projectName = info.get_name();
                         const projectPath = GLib.build_filenamev([
-                            this.projectsPath,
+                            projectsPath,
                             projectName,
                         ]);
 
@@ -507,8 +683,6 @@ export class TokenStatsManager {
         } catch (e) {
             console.error('Failed to scan projects directory:', e);
         }
-
-        return allEntries;
     }
 
     /**
@@ -958,8 +1132,21 @@ export class TokenStatsManager {
      * 收集特定会话的消息内容 (异步版本)
      */
     async _collectSessionMessages(sessionId, messagesMap) {
+        for (const claudePath of this.claudePaths) {
+            await this._collectProfileSessionMessages(
+                GLib.build_filenamev([claudePath, 'projects']),
+                sessionId,
+                messagesMap
+            );
+        }
+    }
+
+    /**
+     * 在单个配置目录中收集特定会话的消息内容
+     */
+    async _collectProfileSessionMessages(projectsPath, sessionId, messagesMap) {
         try {
-            const projectsDir = Gio.File.new_for_path(this.projectsPath);
+            const projectsDir = Gio.File.new_for_path(projectsPath);
 
             // 使用promisified方法检查projects目录是否存在
             try {
@@ -970,9 +1157,7 @@ export class TokenStatsManager {
                     null
                 );
             } catch (e) {
-                console.debug(
-                    `Projects directory not found: ${this.projectsPath}`
-                );
+                console.debug(`Projects directory not found: ${projectsPath}`);
                 return;
             }
 
@@ -1000,7 +1185,7 @@ export class TokenStatsManager {
                     if (info.get_file_type() === Gio.FileType.DIRECTORY) {
                         const projectName = info.get_name();
                         const projectPath = GLib.build_filenamev([
-                            this.projectsPath,
+                            projectsPath,
                             projectName,
                         ]);
 
@@ -15,6 +15,14 @@ import { SettingsManager } from './lib/settingsManager.js';
 import { GlobalSettingsGroup } from './ui/globalSettingsGroup.js';
 import { AboutGroup } from './ui/aboutGroup.js';
 import { NotificationsGroup } from './ui/notificationsGroup.js';
+import { FailoverGroup } from './ui/failoverGroup.js';
+import { ScheduleGroup } from './ui/scheduleGroup.js';
+import { BudgetGroup } from './ui/budgetGroup.js';
+import { ConfigHistoryPage } from './ui/configHistoryPage.js';
+import { SafeModeGroup } from './ui/safeModeGroup.js';
+import { ProjectOverridesGroup } from './ui/projectOverridesGroup.js';
+import { ProfilesGroup } from './ui/profilesGroup.js';
+import { ShortcutsGroup } from './ui/shortcutsGroup.js';
 
 /**
  * Claude Code Switcher 设置界面
@@ -31,6 +39,14 @@ export default class ClaudeCodeSwitcherPreferences extends ExtensionPreferences
         this.globalSettingsGroup = null;
         this.aboutGroup = null;
         this.notificationsGroup = null;
+        this.failoverGroup = null;
+        this.scheduleGroup = null;
+        this.budgetGroup = null;
+        this.configHistoryPage = null;
+        this.safeModeGroup = null;
+        this.projectOverridesGroup = null;
+        this.profilesGroup = null;
+        this.shortcutsGroup = null;
     }
 
     fillPreferencesWindow(window) {
@@ -53,7 +69,7 @@ export default class ClaudeCodeSwitcherPreferences extends ExtensionPreferences
 
         // 初始化管理器实例
         this.settingsManager = new SettingsManager(this._settings, this);
-        this.statsPanel = new StatsPanel(this.path);
+        this.statsPanel = new StatsPanel(this.path, this._settings);
         this.apiProviderManager = new ApiProviderManager(
             this._settings,
             this.settingsManager
@@ -67,6 +83,35 @@ export default class ClaudeCodeSwitcherPreferences extends ExtensionPreferences
             this._settings,
             this.settingsManager
         );
+        this.failoverGroup = new FailoverGroup(
+            this._settings,
+            this.settingsManager
+        );
+        this.scheduleGroup = new ScheduleGroup(
+            this._settings,
+            this.settingsManager
+        );
+        this.budgetGroup = new BudgetGroup(
+            this._settings,
+            this.settingsManager
+        );
+        this.configHistoryPage = new ConfigHistoryPage(
+            this._settings,
+            this.settingsManager
+        );
+        this.safeModeGroup = new SafeModeGroup(
+            this._settings,
+            this.settingsManager
+        );
+        this.projectOverridesGroup = new ProjectOverridesGroup(
+            this._settings,
+            this.settingsManager
+        );
+        this.profilesGroup = new ProfilesGroup(this._settings);
+        this.shortcutsGroup = new ShortcutsGroup(
+            this._settings,
+            this.settingsManager
+        );
     }
 
     /**
@@ -80,6 +125,13 @@ export default class ClaudeCodeSwitcherPreferences extends ExtensionPreferences
         });
         window.add(this._page);
 
+        // 自动化页面（故障转移、定时切换、预算等）
+        this._automationPage = new Adw.PreferencesPage({
+            title: _('Automation'),
+            icon_name: 'media-playlist-repeat-symbolic',
+        });
+        window.add(this._automationPage);
+
         // 显示加载提示
         this._loadingGroup = new Adw.PreferencesGroup({
             title: _('Loading...'),
@@ -94,11 +146,19 @@ export default class ClaudeCodeSwitcherPreferences extends ExtensionPreferences
     _scheduleComplexContentLoading() {
         // 使用分批加载策略，避免UI阻塞
         const loadingSteps = [
+            () => this._loadSafeModeGroup(),
             () => this._loadStatsPanel(),
             () => this._loadApiProviderManager(),
+            () => this._loadProfilesGroup(),
+            () => this._loadProjectOverridesGroup(),
+            () => this._loadShortcutsGroup(),
             () => this._loadNotificationsGroup(),
             () => this._loadGlobalSettingsGroup(),
             () => this._loadAboutGroup(),
+            () => this._loadFailoverGroup(),
+            () => this._loadScheduleGroup(),
+            () => this._loadBudgetGroup(),
+            () => this._loadConfigHistoryPage(),
             () => this._finalizeLoading(),
         ];
 
@@ -128,6 +188,16 @@ export default class ClaudeCodeSwitcherPreferences extends ExtensionPreferences
         });
     }
 
+    /**
+     * 加载配置损坏提示组，放在页面最上方
+     */
+    _loadSafeModeGroup() {
+        const safeModeGroup = this.safeModeGroup.createSafeModeGroup(
+            this._window
+        );
+        this._page.add(safeModeGroup);
+    }
+
     /**
      * 加载统计面板
      */
@@ -147,9 +217,41 @@ export default class ClaudeCodeSwitcherPreferences extends ExtensionPreferences
      */
     _loadApiProviderManager() {
         const apiGroup = this.apiProviderManager.createApiGroup(this._window);
+        this._page.add(this.apiProviderManager.createExistingConfigGroup());
         this._page.add(apiGroup);
     }
 
+    /**
+     * 加载配置目录设置组
+     */
+    _loadProfilesGroup() {
+        const profilesGroup = this.profilesGroup.createProfilesGroup(
+            this._window
+        );
+        this._page.add(profilesGroup);
+    }
+
+    /**
+     * 加载项目设置组
+     */
+    _loadProjectOverridesGroup() {
+        const projectGroup =
+            this.projectOverridesGroup.createProjectOverridesGroup(
+                this._window
+            );
+        this._page.add(projectGroup);
+    }
+
+    /**
+     * 加载快捷键设置组
+     */
+    _loadShortcutsGroup() {
+        const shortcutsGroup = this.shortcutsGroup.createShortcutsGroup(
+            this._window
+        );
+        this._page.add(shortcutsGroup);
+    }
+
     /**
      * 加载通知设置组
      */
@@ -176,6 +278,40 @@ export default class ClaudeCodeSwitcherPreferences extends ExtensionPreferences
         this._page.add(aboutGroup);
     }
 
+    /**
+     * 加载故障转移设置组
+     */
+    _loadFailoverGroup() {
+        const failoverGroup = this.failoverGroup.createFailoverGroup();
+        this._automationPage.add(failoverGroup);
+    }
+
+    /**
+     * 加载定时切换设置组
+     */
+    _loadScheduleGroup() {
+        const scheduleGroup = this.scheduleGroup.createScheduleGroup();
+        this._automationPage.add(scheduleGroup);
+    }
+
+    /**
+     * 加载预算设置组
+     */
+    _loadBudgetGroup() {
+        const budgetGroup = this.budgetGroup.createBudgetGroup();
+        this._automationPage.add(budgetGroup);
+    }
+
+    /**
+     * 加载配置历史页面
+     */
+    _loadConfigHistoryPage() {
+        const historyPage = this.configHistoryPage.createHistoryPage(
+            this._window
+        );
+        this._window.add(historyPage);
+    }
+
     /**
      * 完成加载
      */
@@ -210,6 +346,17 @@ export default class ClaudeCodeSwitcherPreferences extends ExtensionPreferences
             },
             { name: 'aboutGroup', component: this.aboutGroup },
             { name: 'notificationsGroup', component: this.notificationsGroup },
+            { name: 'failoverGroup', component: this.failoverGroup },
+            { name: 'scheduleGroup', component: this.scheduleGroup },
+            { name: 'budgetGroup', component: this.budgetGroup },
+            { name: 'configHistoryPage', component: this.configHistoryPage },
+            { name: 'safeModeGroup', component: this.safeModeGroup },
+            {
+                name: 'projectOverridesGroup',
+                component: this.projectOverridesGroup,
+            },
+            { name: 'profilesGroup', component: this.profilesGroup },
+            { name: 'shortcutsGroup', component: this.shortcutsGroup },
             { name: 'settingsManager', component: this.settingsManager },
         ];
 
@@ -227,6 +374,7 @@ export default class ClaudeCodeSwitcherPreferences extends ExtensionPreferences
         this._settings = null;
         this._window = null;
         this._page = null;
+        this._automationPage = null;
         this._loadingGroup = null;
         this.settingsManager = null;
         this.statsPanel = null;
@@ -234,6 +382,14 @@ export default class ClaudeCodeSwitcherPreferences extends ExtensionPreferences
         this.globalSettingsGroup = null;
         this.aboutGroup = null;
         this.notificationsGroup = null;
+        this.failoverGroup = null;
+        this.scheduleGroup = null;
+        this.budgetGroup = null;
+        this.configHistoryPage = null;
+        this.safeModeGroup = null;
+        this.projectOverridesGroup = null;
+        this.profilesGroup = null;
+        this.shortcutsGroup = null;
         this._cleanupConnected = false;
     }
 }
@@ -0,0 +1,383 @@
+/* providerClient.js
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+// Checks the connection test and the models list of lib/providerClient.js
+// against a local stand-in server:
+//
+//     gjs -m tests/providerClient.js
+//
+// Every scenario is served under its own path prefix, which is used as the
+// provider URL, e.g. http://127.0.0.1:<port>/401. Exits with status 1 if a
+// check fails.
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import Soup from 'gi://Soup?version=3.0';
+import System from 'system';
+
+import {
+    MAX_MODEL_PAGES,
+    ProviderClient,
+    TestStatus,
+    classifyError,
+    classifyResponse,
+} from '../lib/providerClient.js';
+
+// 客户端超时（秒），用于超时场景
+const CLIENT_TIMEOUT = 1;
+
+let failures = 0;
+
+// “endless” 场景收到的模型列表请求数
+let endlessRequests = 0;
+
+/**
+ * Compares a value with the expected one and prints the result.
+ * @param {string} name - The name of the check.
+ * @param {*} actual - The value.
+ * @param {*} expected - The expected value.
+ */
+function check(name, actual, expected) {
+    const actualText = JSON.stringify(actual);
+    const expectedText = JSON.stringify(expected);
+    if (actualText === expectedText) {
+        print(`ok   ${name}`);
+        return;
+    }
+    failures++;
+    print(`FAIL ${name}: got ${actualText}, expected ${expectedText}`);
+}
+
+/**
+ * Sends a JSON response.
+ * @param {Soup.ServerMessage} msg - The request.
+ * @param {number} status - The HTTP status code.
+ * @param {object} body - The response body.
+ */
+function respond(msg, status, body) {
+    msg.set_status(status, null);
+    msg.set_response(
+        'application/json',
+        Soup.MemoryUse.COPY,
+        new TextEncoder().encode(JSON.stringify(body))
+    );
+}
+
+/**
+ * Answers a Messages API request according to the scenario prefix of the path.
+ * @param {Soup.Server} server - The server.
+ * @param {Soup.ServerMessage} msg - The request.
+ * @param {string} path - The request path.
+ */
+function handleMessages(server, msg, path) {
+    const scenario = path.split('/')[1];
+    const error = (message) => ({ type: 'error', error: { message } });
+
+    switch (scenario) {
+        case 'ok':
+            respond(msg, 200, { type: 'message', content: [] });
+            break;
+        case '401':
+            respond(msg, 401, error('invalid x-api-key'));
+            break;
+        case '403':
+            respond(msg, 403, error('permission denied'));
+            break;
+        case '404-model':
+            respond(msg, 404, error('model: claude-unknown not found'));
+            break;
+        case '404':
+            respond(msg, 404, error('Not Found'));
+            break;
+        case '429':
+            respond(msg, 429, error('rate limit exceeded'));
+            break;
+        case '500':
+            respond(msg, 500, error('internal error'));
+            break;
+        case '503':
+            // 网关返回的非 JSON 错误页
+            msg.set_status(503, null);
+            msg.set_response(
+                'text/html',
+                Soup.MemoryUse.COPY,
+                new TextEncoder().encode('<html>Service Unavailable</html>')
+            );
+            break;
+        case 'timeout':
+            // 不回复，等待客户端超时
+            if (msg.pause) {
+                msg.pause();
+            } else {
+                server.pause_message(msg);
+            }
+            break;
+        default:
+            respond(msg, 404, error('Not Found'));
+    }
+}
+
+/**
+ * Answers a models list request according to the scenario prefix of the path.
+ * @param {Soup.ServerMessage} msg - The request.
+ * @param {string} path - The request path.
+ * @param {object|null} query - The query parameters.
+ */
+function handleModels(msg, path, query) {
+    const scenario = path.split('/')[1];
+    const afterId = query?.after_id || '';
+
+    switch (scenario) {
+        case 'paged':
+            // 两页，第二页通过 after_id 请求
+            if (afterId === 'model-b') {
+                respond(msg, 200, {
+                    data: [{ id: 'model-c' }],
+                    has_more: false,
+                    last_id: 'model-c',
+                });
+            } else {
+                respond(msg, 200, {
+                    data: [{ id: 'model-a' }, { id: 'model-b' }],
+                    has_more: true,
+                    last_id: 'model-b',
+                });
+            }
+            break;
+        case 'endless': {
+            // 每页都声称还有更多
+            endlessRequests++;
+            const id = `model-${endlessRequests}`;
+            respond(msg, 200, { data: [{ id }], has_more: true, last_id: id });
+            break;
+        }
+        case 'openai':
+            respond(msg, 200, { object: 'list', data: [{ id: 'gpt-test' }] });
+            break;
+        case '404':
+        case '405':
+        case '501':
+            respond(msg, Number(scenario), { error: 'Not Implemented' });
+            break;
+        case '401':
+            respond(msg, 401, { error: { message: 'invalid x-api-key' } });
+            break;
+        case 'html':
+            msg.set_status(200, null);
+            msg.set_response(
+                'text/html',
+                Soup.MemoryUse.COPY,
+                new TextEncoder().encode('<html>Gateway</html>')
+            );
+            break;
+        default:
+            respond(msg, 404, { error: 'Not Found' });
+    }
+}
+
+/**
+ * Starts the stand-in server on a free local port.
+ * @returns {{server: Soup.Server, baseUrl: string}}
+ */
+function startServer() {
+    const server = new Soup.Server({});
+    server.add_handler(null, (srv, msg, path, query) => {
+        if (path.endsWith('/v1/messages')) {
+            handleMessages(srv, msg, path);
+        } else if (path.endsWith('/v1/models')) {
+            handleModels(msg, path, query);
+        } else {
+            respond(msg, 404, { error: 'Not Found' });
+        }
+    });
+    server.listen_local(0, Soup.ServerListenOptions.IPV4_ONLY);
+
+    const port = server.get_uris()[0].get_port();
+    return { server, baseUrl: `http://127.0.0.1:${port}` };
+}
+
+/**
+ * Tests a scenario and returns the status.
+ * @param {string} url - The provider URL.
+ * @param {string} [proxyUrl] - The proxy URL.
+ * @returns {Promise<string>}
+ */
+async function testStatus(url, proxyUrl = '') {
+    const client = new ProviderClient({
+        url,
+        key: 'test-key',
+        proxyUrl,
+        timeout: CLIENT_TIMEOUT,
+    });
+    try {
+        const result = await client.testConnection(['claude-test']);
+        return result.status;
+    } finally {
+        client.destroy();
+    }
+}
+
+/**
+ * Checks the classification of responses and errors.
+ * @param {string} baseUrl - The URL of the stand-in server.
+ */
+async function checkConnectionTest(baseUrl) {
+    check(
+        'classifyResponse 200',
+        classifyResponse(200, '{}').status,
+        TestStatus.OK
+    );
+    check(
+        'classifyResponse 401 message',
+        classifyResponse(401, '{"error":{"message":"invalid key"}}'),
+        { status: TestStatus.AUTH_FAILED, message: 'invalid key' }
+    );
+    check(
+        'classifyResponse 502 without body',
+        classifyResponse(502, ''),
+        { status: TestStatus.ERROR, message: 'HTTP 502' }
+    );
+    check(
+        'classifyError timeout',
+        classifyError(
+            new GLib.Error(
+                Gio.IOErrorEnum,
+                Gio.IOErrorEnum.TIMED_OUT,
+                'Socket I/O timed out'
+            )
+        ).status,
+        TestStatus.UNREACHABLE
+    );
+    check(
+        'classifyError rejected certificate',
+        classifyError(new Error('Unacceptable TLS certificate'), true).status,
+        TestStatus.TLS_ERROR
+    );
+
+    const scenarios = [
+        ['ok', TestStatus.OK],
+        ['401', TestStatus.AUTH_FAILED],
+        ['403', TestStatus.AUTH_FAILED],
+        ['404-model', TestStatus.UNKNOWN_MODEL],
+        ['404', TestStatus.ERROR],
+        ['429', TestStatus.RATE_LIMITED],
+        ['500', TestStatus.ERROR],
+        ['503', TestStatus.ERROR],
+        ['timeout', TestStatus.UNREACHABLE],
+    ];
+    for (const [scenario, expected] of scenarios) {
+        check(
+            `testConnection ${scenario}`,
+            await testStatus(`${baseUrl}/${scenario}`),
+            expected
+        );
+    }
+
+    // 端口 1 上没有服务，连接被拒绝
+    check(
+        'testConnection refused',
+        await testStatus('http://127.0.0.1:1'),
+        TestStatus.UNREACHABLE
+    );
+    // 本机地址不走代理，即使代理不可用
+    check(
+        'testConnection local URL bypasses proxy',
+        await testStatus(`${baseUrl}/ok`, 'http://127.0.0.1:1'),
+        TestStatus.OK
+    );
+    check(
+        'testConnection bad URL',
+        await testStatus('not a url'),
+        TestStatus.ERROR
+    );
+}
+
+/**
+ * Lists the models of a scenario.
+ * @param {string} url - The provider URL.
+ * @returns {Promise<{status: string, models: Array<string>}>}
+ */
+async function listModels(url) {
+    const client = new ProviderClient({
+        url,
+        key: 'test-key',
+        timeout: CLIENT_TIMEOUT,
+    });
+    try {
+        const { status, models } = await client.listModels();
+        return { status, models };
+    } finally {
+        client.destroy();
+    }
+}
+
+/**
+ * Checks listing the models: pagination, the page limit and endpoints that
+ * are not implemented.
+ * @param {string} baseUrl - The URL of the stand-in server.
+ */
+async function checkListModels(baseUrl) {
+    check('listModels pages', await listModels(`${baseUrl}/paged`), {
+        status: TestStatus.OK,
+        models: ['model-a', 'model-b', 'model-c'],
+    });
+
+    const endless = await listModels(`${baseUrl}/endless`);
+    check('listModels page limit requests', endlessRequests, MAX_MODEL_PAGES);
+    check(
+        'listModels page limit models',
+        endless.models.length,
+        MAX_MODEL_PAGES
+    );
+
+    check('listModels OpenAI format', await listModels(`${baseUrl}/openai`), {
+        status: TestStatus.OK,
+        models: ['gpt-test'],
+    });
+
+    for (const scenario of ['404', '405', '501', 'html']) {
+        check(
+            `listModels ${scenario}`,
+            (await listModels(`${baseUrl}/${scenario}`)).status,
+            TestStatus.UNSUPPORTED
+        );
+    }
+    check(
+        'listModels 401',
+        (await listModels(`${baseUrl}/401`)).status,
+        TestStatus.AUTH_FAILED
+    );
+}
+
+const loop = new GLib.MainLoop(null, false);
+const { server, baseUrl } = startServer();
+
+checkConnectionTest(baseUrl)
+    .then(() => checkListModels(baseUrl))
+    .catch((e) => {
+        failures++;
+        print(`FAIL ${e}\n${e.stack}`);
+    })
+    .finally(() => {
+        server.disconnect();
+        loop.quit();
+    });
+loop.run();
+
+print(failures ? `${failures} check(s) failed` : 'All checks passed');
+System.exit(failures ? 1 : 0);
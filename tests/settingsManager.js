@@ -0,0 +1,147 @@
+/* settingsManager.js
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+// Checks how lib/settingsManager.js merges the env of settings.json when the
+// provider type changes:
+//
+//     gjs -m tests/settingsManager.js
+//
+// Exits with status 1 if a check fails.
+
+import System from 'system';
+
+import { SettingsManager } from '../lib/settingsManager.js';
+import {
+    ProviderType,
+    getOverrideEnvKeys,
+    getStaleEnvKeys,
+} from '../lib/providerTypes.js';
+
+let failures = 0;
+
+/**
+ * Compares a value with the expected one and prints the result.
+ * @param {string} name - The name of the check.
+ * @param {*} actual - The value.
+ * @param {*} expected - The expected value.
+ */
+function check(name, actual, expected) {
+    const actualText = JSON.stringify(actual);
+    const expectedText = JSON.stringify(expected);
+    if (actualText === expectedText) {
+        print(`ok   ${name}`);
+        return;
+    }
+    failures++;
+    print(`FAIL ${name}: got ${actualText}, expected ${expectedText}`);
+}
+
+// 合并环境变量不需要 GSettings 和密钥环
+const manager = Object.create(SettingsManager.prototype);
+
+/**
+ * Merges the env for a provider type, like a sync does.
+ * @param {object} existingEnv - The env in settings.json.
+ * @param {Object<string, string>} managedEnv - The variables to write.
+ * @param {object} state - The recorded env state.
+ * @param {string|null} type - The provider type, null when there is no provider.
+ * @returns {{env: object, state: object}}
+ */
+function build(existingEnv, managedEnv, state, type) {
+    return manager._buildEnvironmentConfig(
+        existingEnv,
+        managedEnv,
+        state,
+        type ? getStaleEnvKeys(type) : [],
+        type ? getOverrideEnvKeys(type) : []
+    );
+}
+
+const emptyState = { managed: [], originals: {} };
+
+// 账号登录时移除用户自己设置的接口覆盖，并记录原值
+const oauth = build(
+    { ANTHROPIC_BASE_URL: 'https://proxy.example', AWS_REGION: 'eu-west-1' },
+    {},
+    emptyState,
+    ProviderType.OAUTH
+);
+check('OAuth removes a user-set ANTHROPIC_BASE_URL', oauth.env, {
+    AWS_REGION: 'eu-west-1',
+});
+check(
+    'OAuth keeps the user-set ANTHROPIC_BASE_URL in the originals',
+    oauth.state.originals,
+    { ANTHROPIC_BASE_URL: 'https://proxy.example' }
+);
+
+// 禁用扩展时恢复用户的值
+check(
+    'Releasing restores the user-set ANTHROPIC_BASE_URL',
+    build(oauth.env, {}, oauth.state, null).env,
+    { AWS_REGION: 'eu-west-1', ANTHROPIC_BASE_URL: 'https://proxy.example' }
+);
+
+// 切换到 Anthropic 兼容提供商时接管该变量，原值保留到释放时
+const anthropic = build(
+    oauth.env,
+    {
+        ANTHROPIC_BASE_URL: 'https://api.example',
+        ANTHROPIC_AUTH_TOKEN: 'key',
+    },
+    oauth.state,
+    ProviderType.ANTHROPIC
+);
+check('Anthropic provider writes its URL', anthropic.env, {
+    AWS_REGION: 'eu-west-1',
+    ANTHROPIC_BASE_URL: 'https://api.example',
+    ANTHROPIC_AUTH_TOKEN: 'key',
+});
+check(
+    'Anthropic provider keeps the original URL',
+    anthropic.state.originals,
+    { ANTHROPIC_BASE_URL: 'https://proxy.example' }
+);
+
+// 用户自己的 AWS 变量不算其他类型遗留的变量
+check(
+    'Anthropic provider keeps a user-set AWS_REGION',
+    build(
+        { AWS_REGION: 'eu-west-1' },
+        { ANTHROPIC_BASE_URL: 'https://api.example' },
+        emptyState,
+        ProviderType.ANTHROPIC
+    ).env,
+    { AWS_REGION: 'eu-west-1', ANTHROPIC_BASE_URL: 'https://api.example' }
+);
+check(
+    'Anthropic provider removes an AWS_REGION written for Bedrock',
+    build(
+        { AWS_REGION: 'us-east-1', CLAUDE_CODE_USE_BEDROCK: '1' },
+        { ANTHROPIC_BASE_URL: 'https://api.example' },
+        {
+            managed: ['AWS_REGION', 'CLAUDE_CODE_USE_BEDROCK'],
+            originals: {},
+        },
+        ProviderType.ANTHROPIC
+    ).env,
+    { ANTHROPIC_BASE_URL: 'https://api.example' }
+);
+
+print(failures ? `${failures} check(s) failed` : 'All checks passed');
+System.exit(failures ? 1 : 0);
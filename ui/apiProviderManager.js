@@ -4,6 +4,42 @@ import Gio from 'gi://Gio';
 import GLib from 'gi://GLib';
 
 import { gettext as _ } from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
+import {
+    ConflictStrategy,
+    createBundle,
+    findConflicts,
+    mergeProviders,
+    readBundleFile,
+    writeBundleFile,
+} from '../lib/providerBundle.js';
+import {
+    ProviderClient,
+    TestStatus,
+    describeTestResult,
+} from '../lib/providerClient.js';
+import {
+    ProviderType,
+    getProviderType,
+    isProviderComplete,
+} from '../lib/providerTypes.js';
+import { isValidEnvName } from '../lib/settingsManager.js';
+import { ConfigPreviewDialog } from './configPreviewDialog.js';
+
+// 添加对话框中类型的显示顺序
+const PROVIDER_TYPES = [
+    ProviderType.ANTHROPIC,
+    ProviderType.OAUTH,
+    ProviderType.BEDROCK,
+    ProviderType.VERTEX,
+];
+
+// 使用接口地址和密钥的类型
+const URL_TYPES = [
+    ProviderType.ANTHROPIC,
+    ProviderType.BEDROCK,
+    ProviderType.VERTEX,
+];
+const KEY_TYPES = [ProviderType.ANTHROPIC, ProviderType.BEDROCK];
 
 /**
  * @class ApiProviderManager
@@ -18,6 +54,10 @@ export class ApiProviderManager {
         this.settings = settings;
         this.settingsManager = settingsManager;
         this.apiGroup = null;
+        this._providerRows = [];
+        // 提供商 ID 到刷新该行模型的函数
+        this._modelUpdaters = new Map();
+        this._signalIds = [];
     }
 
     /**
@@ -50,6 +90,15 @@ export class ApiProviderManager {
             this._showAddProviderDialog();
         });
 
+        this._addImportExportRow();
+
+        // 面板菜单修改模型后刷新已打开的行，避免之后保存时覆盖
+        this._signalIds.push(
+            this.settings.connect('changed::api-providers', () =>
+                this._refreshProviderModels()
+            )
+        );
+
         // 延迟加载已保存的提供商以提升响应性
         GLib.idle_add(GLib.PRIORITY_DEFAULT, () => {
             this._loadSavedProviders();
@@ -59,6 +108,150 @@ export class ApiProviderManager {
         return this.apiGroup;
     }
 
+    /**
+     * 创建“导入现有配置”组
+     * 首次运行时检测 settings.json 和环境变量中已有的提供商设置
+     */
+    createExistingConfigGroup() {
+        this.existingConfigGroup = new Adw.PreferencesGroup({
+            title: _('Existing Configuration'),
+            description: _(
+                'Claude Code provider settings were found from before this extension was set up'
+            ),
+            visible: false,
+        });
+
+        if (!this.settings.get_boolean('existing-config-checked')) {
+            this.settingsManager
+                .getExistingEnvironmentCandidates()
+                .then((candidates) => {
+                    if (!this.existingConfigGroup) {
+                        return;
+                    }
+                    candidates.forEach((candidate) =>
+                        this._addExistingConfigRow(candidate)
+                    );
+                    this._existingConfigRows = candidates.length;
+                    this.existingConfigGroup.set_visible(candidates.length > 0);
+                })
+                .catch((e) =>
+                    console.error('Failed to detect existing configuration:', e)
+                );
+        }
+
+        return this.existingConfigGroup;
+    }
+
+    /**
+     * 添加一条待导入的现有配置
+     */
+    _addExistingConfigRow(candidate) {
+        const row = new Adw.ActionRow({
+            title:
+                candidate.source === 'settings'
+                    ? _('From ~/.claude/settings.json')
+                    : _('From environment variables'),
+            subtitle: candidate.url || _('Official API'),
+        });
+
+        const buttonBox = new Gtk.Box({
+            orientation: Gtk.Orientation.HORIZONTAL,
+            spacing: 6,
+            valign: Gtk.Align.CENTER,
+        });
+
+        const dismissButton = new Gtk.Button({
+            label: _('Dismiss'),
+            css_classes: ['flat'],
+        });
+        const importButton = new Gtk.Button({
+            label: _('Import…'),
+            css_classes: ['suggested-action'],
+        });
+
+        buttonBox.append(dismissButton);
+        buttonBox.append(importButton);
+        row.add_suffix(buttonBox);
+
+        dismissButton.connect('clicked', () => {
+            this._resolveExistingConfigRow(row);
+        });
+
+        importButton.connect('clicked', () => {
+            this._showImportExistingDialog(candidate, row);
+        });
+
+        this.existingConfigGroup.add(row);
+    }
+
+    /**
+     * 移除已处理的现有配置行，全部处理后标记为已检查
+     */
+    _resolveExistingConfigRow(row) {
+        this.existingConfigGroup.remove(row);
+        this._existingConfigRows--;
+
+        if (this._existingConfigRows <= 0) {
+            this.existingConfigGroup.set_visible(false);
+            this.settingsManager.dismissExistingEnvironment();
+            this.settingsManager
+                .syncToLocalFile()
+                .catch((e) =>
+                    console.error('Failed to sync configuration:', e)
+                );
+        }
+    }
+
+    /**
+     * 为现有配置输入提供商名称并导入
+     */
+    _showImportExistingDialog(candidate, row) {
+        const dialog = new Adw.MessageDialog({
+            transient_for: this.parentWindow,
+            heading: _('Import Existing Configuration'),
+            body: _('Enter a name for the imported provider'),
+        });
+
+        const defaultName =
+            this.settingsManager.suggestProviderName(candidate.url) ||
+            _('Imported Provider');
+
+        const nameEntry = new Gtk.Entry({
+            text: defaultName,
+            placeholder_text: _('Provider name (e.g.: OpenAI)'),
+        });
+        dialog.set_extra_child(nameEntry);
+        dialog.add_response('cancel', _('Cancel'));
+        dialog.add_response('import', _('Import'));
+        dialog.set_response_appearance(
+            'import',
+            Adw.ResponseAppearance.SUGGESTED
+        );
+
+        dialog.connect('response', (dialog, response) => {
+            const name = nameEntry.get_text();
+            if (response === 'import' && name) {
+                this.settingsManager
+                    .importExistingEnvironment(candidate, name)
+                    .then((provider) => {
+                        this._addProviderToUI(provider, candidate.key);
+                        this._resolveExistingConfigRow(row);
+                        this._showToast(_('Imported provider: ') + name);
+                    })
+                    .catch((e) => {
+                        console.error(
+                            'Failed to import existing configuration:',
+                            e
+                        );
+                        this._showToast(_('Failed to save provider settings'));
+                    });
+            }
+            dialog.destroy();
+        });
+
+        dialog.present();
+    }
+
     /**
      * 显示添加提供商对话框
      */
@@ -79,6 +272,14 @@ export class ApiProviderManager {
             margin_end: 12,
         });
 
+        // 提供商类型选择
+        const typeDropDown = new Gtk.DropDown({
+            model: Gtk.StringList.new(
+                PROVIDER_TYPES.map((type) => this._getTypeLabel(type))
+            ),
+        });
+        box.append(typeDropDown);
+
         // 提供商名称输入
         const nameEntry = new Gtk.Entry({
             placeholder_text: _('Provider name (e.g.: OpenAI)'),
@@ -86,32 +287,116 @@ export class ApiProviderManager {
         box.append(nameEntry);
 
         // API URL输入
-        const urlEntry = new Gtk.Entry({
-            placeholder_text: _('API URL (e.g.: https://api.openai.com)'),
-        });
+        const urlEntry = new Gtk.Entry();
         box.append(urlEntry);
 
         // API密钥输入
-        const keyEntry = new Gtk.PasswordEntry({
-            placeholder_text: _('API Key'),
-        });
+        const keyEntry = new Gtk.PasswordEntry();
         box.append(keyEntry);
 
-        // 大模型输入（非必填）
-        const largeModelEntry = new Gtk.Entry({
-            placeholder_text: _(
-                'Large Model (optional, e.g.: claude-3-5-sonnet-20241022)'
-            ),
+        // 区域输入（Bedrock、Vertex）
+        const regionEntry = new Gtk.Entry();
+        box.append(regionEntry);
+
+        // AWS 配置文件输入（Bedrock）
+        const awsProfileEntry = new Gtk.Entry({
+            placeholder_text: _('AWS Profile (optional)'),
+        });
+        box.append(awsProfileEntry);
+
+        // Google Cloud 项目输入（Vertex）
+        const projectIdEntry = new Gtk.Entry({
+            placeholder_text: _('Google Cloud Project ID'),
         });
+        box.append(projectIdEntry);
+
+        // 大模型输入（非必填）
+        const largeModelEntry = new Gtk.Entry();
         box.append(largeModelEntry);
 
         // 小模型输入（非必填）
-        const smallModelEntry = new Gtk.Entry({
-            placeholder_text: _(
-                'Small Model (optional, e.g.: claude-3-haiku-20240307)'
+        const smallModelEntry = new Gtk.Entry();
+        box.append(smallModelEntry);
+
+        // 获取到模型列表后，可从下拉框中选择大模型和小模型
+        const largeModelChooser = this._createModelChooser(largeModelEntry);
+        const smallModelChooser = this._createModelChooser(smallModelEntry);
+        box.insert_child_after(largeModelChooser.widget, largeModelEntry);
+        box.insert_child_after(smallModelChooser.widget, smallModelEntry);
+
+        // 从提供商的模型列表接口获取模型
+        const fetchBox = new Gtk.Box({
+            orientation: Gtk.Orientation.HORIZONTAL,
+            spacing: 12,
+        });
+        const fetchButton = new Gtk.Button({
+            label: _('Fetch Models'),
+            tooltip_text: _(
+                'Get the models of the provider with the URL and key above'
             ),
         });
-        box.append(smallModelEntry);
+        const fetchLabel = new Gtk.Label({
+            xalign: 0,
+            hexpand: true,
+            wrap: true,
+            css_classes: ['dim-label'],
+        });
+        fetchBox.append(fetchButton);
+        fetchBox.append(fetchLabel);
+        box.append(fetchBox);
+
+        // 获取到的模型在添加时保存为可选模型
+        let fetchedModels = [];
+        const cancellable = new Gio.Cancellable();
+        fetchButton.connect('clicked', () => {
+            fetchButton.set_sensitive(false);
+            fetchLabel.set_label(_('Fetching models…'));
+
+            this._fetchModels(
+                urlEntry.get_text(),
+                keyEntry.get_text(),
+                cancellable
+            )
+                .then((result) => {
+                    if (cancellable.is_cancelled()) {
+                        return;
+                    }
+                    fetchedModels = result.models;
+                    largeModelChooser.setModels(fetchedModels);
+                    smallModelChooser.setModels(fetchedModels);
+                    fetchLabel.set_label(this._describeModelsResult(result));
+                    fetchButton.set_sensitive(true);
+                })
+                .catch((e) => {
+                    console.error('Failed to fetch models:', e);
+                    if (!cancellable.is_cancelled()) {
+                        fetchLabel.set_label(_('Request failed'));
+                        fetchButton.set_sensitive(true);
+                    }
+                });
+        });
+
+        // 按类型显示对应的输入框
+        const updateFields = () => {
+            const type = PROVIDER_TYPES[typeDropDown.get_selected()];
+            const placeholders = this._getFieldPlaceholders(type);
+            urlEntry.set_placeholder_text(placeholders.url);
+            keyEntry.placeholder_text = placeholders.key;
+            regionEntry.set_placeholder_text(placeholders.region);
+            largeModelEntry.set_placeholder_text(placeholders.largeModel);
+            smallModelEntry.set_placeholder_text(placeholders.smallModel);
+
+            urlEntry.set_visible(URL_TYPES.includes(type));
+            keyEntry.set_visible(KEY_TYPES.includes(type));
+            regionEntry.set_visible(
+                type === ProviderType.BEDROCK || type === ProviderType.VERTEX
+            );
+            awsProfileEntry.set_visible(type === ProviderType.BEDROCK);
+            projectIdEntry.set_visible(type === ProviderType.VERTEX);
+            fetchBox.set_visible(type === ProviderType.ANTHROPIC);
+        };
+        typeDropDown.connect('notify::selected', updateFields);
+        updateFields();
 
         dialog.set_extra_child(box);
         dialog.add_response('cancel', _('Cancel'));
@@ -119,38 +404,57 @@ export class ApiProviderManager {
         dialog.set_response_appearance('add', Adw.ResponseAppearance.SUGGESTED);
 
         dialog.connect('response', (dialog, response) => {
+            cancellable.cancel();
             if (response === 'add') {
-                const name = nameEntry.get_text();
-                const url = urlEntry.get_text();
-                const key = keyEntry.get_text();
-                const largeModel = largeModelEntry.get_text() || '';
-                const smallModel = smallModelEntry.get_text() || '';
-
-                if (name && url && key) {
-                    // 保存到设置中
-                    this._saveProvider(name, url, key, largeModel, smallModel);
-                    // 动态添加新的提供商到界面
-                    this._addProviderToUI(
-                        name,
-                        url,
-                        key,
-                        largeModel,
-                        smallModel
-                    );
-                    // 同步到本地文件
-                    this.settingsManager.syncToLocalFile();
-                    console.log(
-                        'Added provider: ' +
-                            name +
-                            ', URL: ' +
-                            url +
-                            ', Key: ' +
-                            key +
-                            ', Large Model: ' +
-                            largeModel +
-                            ', Small Model: ' +
-                            smallModel
-                    );
+                const type = PROVIDER_TYPES[typeDropDown.get_selected()];
+                const fields = {
+                    name: nameEntry.get_text(),
+                    url: URL_TYPES.includes(type) ? urlEntry.get_text() : '',
+                    largeModel: largeModelEntry.get_text() || '',
+                    smallModel: smallModelEntry.get_text() || '',
+                    ...this._getTypeFields(type, {
+                        region: regionEntry.get_text(),
+                        awsProfile: awsProfileEntry.get_text(),
+                        projectId: projectIdEntry.get_text(),
+                    }),
+                };
+                const key = KEY_TYPES.includes(type) ? keyEntry.get_text() : '';
+                if (
+                    type === ProviderType.ANTHROPIC &&
+                    fetchedModels.length > 0
+                ) {
+                    fields.models = fetchedModels;
+                }
+
+                if (fields.name && isProviderComplete(fields, key)) {
+                    // 保存到设置中（密钥写入密钥环）
+                    this._saveProvider(fields, key)
+                        .then((provider) => {
+                            // 动态添加新的提供商到界面
+                            this._addProviderToUI(provider, key);
+                            // 同步到本地文件
+                            return this.settingsManager.syncToLocalFile();
+                        })
+                        .then(() => {
+                            console.log(
+                                'Added provider: ' +
+                                    fields.name +
+                                    ', Type: ' +
+                                    type +
+                                    ', URL: ' +
+                                    fields.url +
+                                    ', Large Model: ' +
+                                    fields.largeModel +
+                                    ', Small Model: ' +
+                                    fields.smallModel
+                            );
+                        })
+                        .catch((e) => {
+                            console.error('Failed to add provider:', e);
+                            this._showToast(
+                                _('Failed to save provider settings')
+                            );
+                        });
                 }
             }
             dialog.destroy();
@@ -159,18 +463,146 @@ export class ApiProviderManager {
         dialog.present();
     }
 
+    /**
+     * 获取提供商类型的显示名称
+     */
+    _getTypeLabel(type) {
+        switch (type) {
+            case ProviderType.BEDROCK:
+                return _('Amazon Bedrock');
+            case ProviderType.VERTEX:
+                return _('Google Vertex AI');
+            case ProviderType.OAUTH:
+                return _('Claude account (OAuth)');
+            default:
+                return _('Anthropic-compatible API');
+        }
+    }
+
+    /**
+     * 获取各类型输入框的提示文字
+     */
+    _getFieldPlaceholders(type) {
+        switch (type) {
+            case ProviderType.BEDROCK:
+                return {
+                    url: _('Endpoint URL (optional)'),
+                    key: _('Bedrock API Key (optional, else AWS credentials)'),
+                    region: _('AWS Region (e.g.: us-east-1)'),
+                    largeModel: _(
+                        'Large Model (optional, model ID or inference profile ARN)'
+                    ),
+                    smallModel: _(
+                        'Small Model (optional, model ID or inference profile ARN)'
+                    ),
+                };
+            case ProviderType.VERTEX:
+                return {
+                    url: _('Endpoint URL (optional)'),
+                    key: '',
+                    region: _('Region (e.g.: us-east5)'),
+                    largeModel: _(
+                        'Large Model (optional, e.g.: claude-sonnet-4@20250514)'
+                    ),
+                    smallModel: _(
+                        'Small Model (optional, e.g.: claude-3-5-haiku@20241022)'
+                    ),
+                };
+            case ProviderType.OAUTH:
+                return {
+                    url: '',
+                    key: '',
+                    region: '',
+                    largeModel: _(
+                        'Large Model (optional, e.g.: claude-sonnet-4-20250514)'
+                    ),
+                    smallModel: _(
+                        'Small Model (optional, e.g.: claude-3-5-haiku-20241022)'
+                    ),
+                };
+            default:
+                return {
+                    url: _('API URL (e.g.: https://api.openai.com)'),
+                    key: _('API Key'),
+                    region: '',
+                    largeModel: _(
+                        'Large Model (optional, e.g.: claude-3-5-sonnet-20241022)'
+                    ),
+                    smallModel: _(
+                        'Small Model (optional, e.g.: claude-3-haiku-20240307)'
+                    ),
+                };
+        }
+    }
+
+    /**
+     * 只保留该类型使用的字段
+     */
+    _getTypeFields(type, values) {
+        switch (type) {
+            case ProviderType.BEDROCK:
+                return {
+                    type,
+                    region: values.region.trim(),
+                    awsProfile: values.awsProfile.trim(),
+                };
+            case ProviderType.VERTEX:
+                return {
+                    type,
+                    region: values.region.trim(),
+                    projectId: values.projectId.trim(),
+                };
+            case ProviderType.OAUTH:
+                return { type };
+            default:
+                return {};
+        }
+    }
+
+    /**
+     * 提供商行的副标题：URL，或类型和区域
+     */
+    _describeProvider(provider) {
+        const type = getProviderType(provider);
+        if (type === ProviderType.ANTHROPIC) {
+            return provider.url;
+        }
+        return (
+            this._getTypeLabel(type) +
+            (provider.region ? ` · ${provider.region}` : '')
+        );
+    }
+
     /**
      * 添加提供商到UI界面
+     * key 为 null 时从密钥环异步读取
      */
-    _addProviderToUI(name, url, key, largeModel = '', smallModel = '') {
+    _addProviderToUI(provider, key = null) {
+        const { id, name } = provider;
+        const type = getProviderType(provider);
+        const url = provider.url || '';
+        const largeModel = provider.largeModel || '';
+        const smallModel = provider.smallModel || '';
+
         // 创建新的提供商展开行
         const providerRow = new Adw.ExpanderRow({
             title: name,
-            subtitle: url,
+            subtitle: this._describeProvider(provider),
         });
 
         // 保存原始值用于取消操作
-        const originalValues = { name, url, key, largeModel, smallModel };
+        const originalValues = {
+            name,
+            url,
+            key,
+            largeModel,
+            smallModel,
+            region: provider.region || '',
+            awsProfile: provider.awsProfile || '',
+            projectId: provider.projectId || '',
+            models: Array.isArray(provider.models) ? provider.models : [],
+            env: this.settingsManager.getProviderEnv(provider),
+        };
 
         // 添加提供商名称编辑框
         const nameRow = new Adw.EntryRow({
@@ -181,18 +613,64 @@ export class ApiProviderManager {
 
         // 添加URL编辑框
         const urlRow = new Adw.EntryRow({
-            title: _('API URL'),
+            title:
+                type === ProviderType.ANTHROPIC
+                    ? _('API URL')
+                    : _('Endpoint URL (optional)'),
             text: url,
+            visible: URL_TYPES.includes(type),
         });
         providerRow.add_row(urlRow);
 
-        // 添加API密钥显示（已预填）
+        // 添加API密钥显示（已预填），Vertex 使用 gcloud 凭据
         const apiKeyRow = new Adw.PasswordEntryRow({
-            title: _('API Key'),
-            text: key,
+            title:
+                type === ProviderType.BEDROCK
+                    ? _('Bedrock API Key (optional)')
+                    : _('API Key'),
+            text: key || '',
+            visible: KEY_TYPES.includes(type),
         });
         providerRow.add_row(apiKeyRow);
 
+        // 类型相关的设置
+        const regionRow = new Adw.EntryRow({
+            title: _('Region'),
+            text: originalValues.region,
+            visible:
+                type === ProviderType.BEDROCK || type === ProviderType.VERTEX,
+        });
+        providerRow.add_row(regionRow);
+
+        const awsProfileRow = new Adw.EntryRow({
+            title: _('AWS Profile (optional)'),
+            text: originalValues.awsProfile,
+            visible: type === ProviderType.BEDROCK,
+        });
+        providerRow.add_row(awsProfileRow);
+
+        const projectIdRow = new Adw.EntryRow({
+            title: _('Google Cloud Project ID'),
+            text: originalValues.projectId,
+            visible: type === ProviderType.VERTEX,
+        });
+        providerRow.add_row(projectIdRow);
+
+        if (key === null) {
+            originalValues.key = '';
+            this.settingsManager
+                .getProviderKey(provider)
+                .then((storedKey) => {
+                    if (apiKeyRow.get_text() === '') {
+                        apiKeyRow.set_text(storedKey);
+                    }
+                    originalValues.key = storedKey;
+                })
+                .catch((e) =>
+                    console.error(`Failed to load API key for ${name}:`, e)
+                );
+        }
+
         // 添加大模型编辑框
         const largeModelRow = new Adw.EntryRow({
             title: _('Large Model'),
@@ -207,6 +685,40 @@ export class ApiProviderManager {
         });
         providerRow.add_row(smallModelRow);
 
+        // 可在面板菜单中选择的模型
+        const modelsRow = new Adw.EntryRow({
+            title: _('Available Models (comma-separated)'),
+            text: originalValues.models.join(', '),
+        });
+        providerRow.add_row(modelsRow);
+
+        // 从可选模型中选择大模型和小模型
+        const largeModelChooser = this._createModelChooser(largeModelRow);
+        const smallModelChooser = this._createModelChooser(smallModelRow);
+        largeModelRow.add_suffix(largeModelChooser.widget);
+        smallModelRow.add_suffix(smallModelChooser.widget);
+        largeModelChooser.setModels(originalValues.models);
+        smallModelChooser.setModels(originalValues.models);
+
+        // 设置变化时只更新未被编辑的模型字段
+        this._modelUpdaters.set(id, (saved) => {
+            const fields = [
+                ['largeModel', largeModelRow],
+                ['smallModel', smallModelRow],
+            ];
+            for (const [field, row] of fields) {
+                const value = saved[field] || '';
+                if (row.get_text() === originalValues[field]) {
+                    row.set_text(value);
+                }
+                originalValues[field] = value;
+            }
+        });
+
+        // 自定义环境变量
+        const envEditor = this._createEnvEditor(originalValues.env);
+        providerRow.add_row(envEditor.row);
+
         // 添加操作按钮行
         const actionRow = new Adw.ActionRow({
             title: _('Actions'),
@@ -219,6 +731,35 @@ export class ApiProviderManager {
             halign: Gtk.Align.END,
         });
 
+        // 连接测试按钮
+        const testButton = new Gtk.Button({
+            label: _('Test'),
+            css_classes: ['flat'],
+            tooltip_text: _(
+                'Send a minimal request to check the endpoint, key and models'
+            ),
+            visible: type === ProviderType.ANTHROPIC,
+        });
+
+        // 获取模型按钮
+        const fetchButton = new Gtk.Button({
+            label: _('Fetch Models'),
+            css_classes: ['flat'],
+            tooltip_text: _(
+                'Get the models of the provider from its models endpoint'
+            ),
+            visible: type === ProviderType.ANTHROPIC,
+        });
+
+        // 切换按钮：先预览 settings.json 的变化
+        const switchButton = new Gtk.Button({
+            label: _('Switch…'),
+            css_classes: ['flat'],
+            tooltip_text: _(
+                'Preview the changes to settings.json and make this the current provider'
+            ),
+        });
+
         // 取消按钮
         const cancelButton = new Gtk.Button({
             label: _('Cancel'),
@@ -231,11 +772,83 @@ export class ApiProviderManager {
             css_classes: ['suggested-action'],
         });
 
+        buttonBox.append(switchButton);
+        buttonBox.append(testButton);
+        buttonBox.append(fetchButton);
         buttonBox.append(cancelButton);
         buttonBox.append(saveButton);
         actionRow.add_suffix(buttonBox);
         providerRow.add_row(actionRow);
 
+        // 切换按钮逻辑：预览使用已保存的提供商设置
+        switchButton.connect('clicked', () => {
+            new ConfigPreviewDialog(this.settingsManager).show(
+                this.parentWindow,
+                { providerId: id },
+                () => {
+                    this.settingsManager
+                        .setCurrentProvider(id)
+                        .then(() =>
+                            this._showToast(
+                                _('Switched to: ') +
+                                    this.settingsManager.getProvider(id)?.name
+                            )
+                        )
+                        .catch((e) => {
+                            console.error('Failed to switch provider:', e);
+                            this._showToast(
+                                _('Failed to save provider settings')
+                            );
+                        });
+                }
+            );
+        });
+
+        // 测试按钮逻辑：使用当前输入框中的值（无需先保存）
+        testButton.connect('clicked', () => {
+            testButton.set_sensitive(false);
+            actionRow.set_subtitle(_('Testing…'));
+
+            this._testProvider(
+                urlRow.get_text(),
+                apiKeyRow.get_text(),
+                largeModelRow.get_text(),
+                smallModelRow.get_text()
+            )
+                .then((result) => {
+                    actionRow.set_subtitle(
+                        describeTestResult(result, _) +
+                            (result.message ? ` — ${result.message}` : '')
+                    );
+                })
+                .catch((e) => {
+                    console.error('Failed to test provider:', e);
+                    actionRow.set_subtitle(_('Request failed'));
+                })
+                .finally(() => testButton.set_sensitive(true));
+        });
+
+        // 获取模型按钮逻辑：结果填入可选模型，保存后生效
+        fetchButton.connect('clicked', () => {
+            fetchButton.set_sensitive(false);
+            actionRow.set_subtitle(_('Fetching models…'));
+
+            this._fetchModels(urlRow.get_text(), apiKeyRow.get_text())
+                .then((result) => {
+                    if (result.models.length > 0) {
+                        modelsRow.set_text(result.models.join(', '));
+                        largeModelChooser.setModels(result.models);
+                        smallModelChooser.setModels(result.models);
+                    }
+                    actionRow.set_subtitle(this._describeModelsResult(result));
+                })
+                .catch((e) => {
+                    console.error('Failed to fetch models:', e);
+                    actionRow.set_subtitle(_('Request failed'));
+                })
+                .finally(() => fetchButton.set_sensitive(true));
+        });
+
         // 取消按钮逻辑
         cancelButton.connect('clicked', () => {
             // 恢复原始值
@@ -244,10 +857,19 @@ export class ApiProviderManager {
             apiKeyRow.set_text(originalValues.key);
             largeModelRow.set_text(originalValues.largeModel);
             smallModelRow.set_text(originalValues.smallModel);
+            regionRow.set_text(originalValues.region);
+            awsProfileRow.set_text(originalValues.awsProfile);
+            projectIdRow.set_text(originalValues.projectId);
+            modelsRow.set_text(originalValues.models.join(', '));
+            largeModelChooser.setModels(originalValues.models);
+            smallModelChooser.setModels(originalValues.models);
+            envEditor.setEnv(originalValues.env);
 
             // 更新标题和副标题
             providerRow.set_title(originalValues.name);
-            providerRow.set_subtitle(originalValues.url);
+            providerRow.set_subtitle(
+                this._describeProvider({ type, ...originalValues })
+            );
 
             // 自动收起展开行
             providerRow.set_expanded(false);
@@ -260,34 +882,64 @@ export class ApiProviderManager {
             const newKey = apiKeyRow.get_text();
             const newLargeModel = largeModelRow.get_text();
             const newSmallModel = smallModelRow.get_text();
-
-            if (newName && newUrl && newKey) {
+            const newEnv = envEditor.getEnv();
+            const newModels = this._parseModelList(modelsRow.get_text());
+            const newTypeFields = this._getTypeFields(type, {
+                region: regionRow.get_text(),
+                awsProfile: awsProfileRow.get_text(),
+                projectId: projectIdRow.get_text(),
+            });
+
+            if (
+                newName &&
+                isProviderComplete({ url: newUrl, ...newTypeFields }, newKey)
+            ) {
                 // 更新保存的配置
                 this._updateProvider(
-                    originalValues.name,
+                    id,
                     newName,
                     newUrl,
                     newKey,
                     newLargeModel,
-                    newSmallModel
-                );
-
-                // 更新界面标题和副标题
-                providerRow.set_title(newName);
-                providerRow.set_subtitle(newUrl);
-
-                // 更新原始值为新值
-                originalValues.name = newName;
-                originalValues.url = newUrl;
-                originalValues.key = newKey;
-                originalValues.largeModel = newLargeModel;
-                originalValues.smallModel = newSmallModel;
+                    newSmallModel,
+                    newEnv,
+                    newTypeFields,
+                    newModels
+                )
+                    .then(() => {
+                        // 更新界面标题和副标题
+                        providerRow.set_title(newName);
+                        providerRow.set_subtitle(
+                            this._describeProvider({
+                                url: newUrl,
+                                ...newTypeFields,
+                            })
+                        );
 
-                // 同步到本地文件
-                this.settingsManager.syncToLocalFile();
-                console.log('Saved provider configuration: ' + newName);
+                        // 更新原始值为新值
+                        originalValues.name = newName;
+                        originalValues.url = newUrl;
+                        originalValues.key = newKey;
+                        originalValues.largeModel = newLargeModel;
+                        originalValues.smallModel = newSmallModel;
+                        originalValues.env = newEnv;
+                        originalValues.models = newModels;
+                        Object.assign(originalValues, newTypeFields);
+
+                        // 同步到本地文件
+                        return this.settingsManager.syncToLocalFile();
+                    })
+                    .then(() => {
+                        console.log('Saved provider configuration: ' + newName);
+                    })
+                    .catch((e) => {
+                        console.error('Failed to save provider:', e);
+                        this._showToast(
+                            _('Failed to save provider settings')
+                        );
+                    });
             } else {
-                console.log('Name, URL and API key are all required');
+                console.log('Name and the fields required by the type are missing');
             }
         });
 
@@ -300,13 +952,131 @@ export class ApiProviderManager {
         });
 
         deleteButton.connect('clicked', () => {
-            this._showDeleteConfirmDialog(name, providerRow);
+            this._showDeleteConfirmDialog(
+                id,
+                originalValues.name,
+                providerRow
+            );
         });
 
         providerRow.add_suffix(deleteButton);
 
         // 将新提供商添加到API组中
         this.apiGroup.add(providerRow);
+        this._providerRows.push(providerRow);
+    }
+
+    /**
+     * 将保存的大模型和小模型同步到已打开的提供商行
+     */
+    _refreshProviderModels() {
+        for (const provider of this.settingsManager.getAllProviders()) {
+            this._modelUpdaters.get(provider?.id)?.(provider);
+        }
+    }
+
+    /**
+     * 重新加载所有提供商行
+     */
+    _reloadProviders() {
+        this._providerRows.forEach((row) => this.apiGroup.remove(row));
+        this._providerRows = [];
+        this._modelUpdaters.clear();
+        this._loadSavedProviders();
+    }
+
+    /**
+     * 测试提供商连接（遵循代理设置）
+     */
+    async _testProvider(url, key, largeModel, smallModel) {
+        const client = new ProviderClient({
+            url,
+            key,
+            proxyUrl: this.settingsManager.getProxyUrl(),
+        });
+
+        try {
+            return await client.testConnection([largeModel, smallModel]);
+        } finally {
+            client.destroy();
+        }
+    }
+
+    /**
+     * 获取提供商的模型列表（遵循代理设置）
+     */
+    async _fetchModels(url, key, cancellable = null) {
+        const client = new ProviderClient({
+            url,
+            key,
+            proxyUrl: this.settingsManager.getProxyUrl(),
+        });
+
+        try {
+            return await client.listModels(cancellable);
+        } finally {
+            client.destroy();
+        }
+    }
+
+    /**
+     * 获取模型列表结果的说明
+     */
+    _describeModelsResult(result) {
+        if (result.status === TestStatus.UNSUPPORTED) {
+            return _('This provider does not list its models');
+        }
+        if (result.status !== TestStatus.OK) {
+            return (
+                describeTestResult(result, _) +
+                (result.message ? ` — ${result.message}` : '')
+            );
+        }
+        if (result.models.length === 0) {
+            return _('The provider returned no models');
+        }
+        return _('Models found: ') + result.models.length;
+    }
+
+    /**
+     * 创建模型下拉框，选择后填入对应的输入框
+     * 没有可选模型时隐藏
+     */
+    _createModelChooser(entry) {
+        const dropDown = new Gtk.DropDown({
+            enable_search: true,
+            expression: Gtk.PropertyExpression.new(
+                Gtk.StringObject,
+                null,
+                'string'
+            ),
+            valign: Gtk.Align.CENTER,
+            tooltip_text: _('Choose from the available models'),
+            visible: false,
+        });
+
+        // 更换列表时不要覆盖输入框
+        let updating = false;
+        dropDown.connect('notify::selected', () => {
+            const item = dropDown.get_selected_item();
+            if (item && !updating) {
+                entry.set_text(item.get_string());
+            }
+        });
+
+        return {
+            widget: dropDown,
+            setModels: (models) => {
+                updating = true;
+                dropDown.set_model(Gtk.StringList.new(models));
+                const index = models.indexOf(entry.get_text());
+                dropDown.set_selected(
+                    index !== -1 ? index : Gtk.INVALID_LIST_POSITION
+                );
+                dropDown.set_visible(models.length > 0);
+                updating = false;
+            },
+        };
     }
 
     /**
@@ -336,13 +1106,7 @@ export class ApiProviderManager {
                 for (let i = startIndex; i < endIndex; i++) {
                     const provider = providers[i];
                     try {
-                        this._addProviderToUI(
-                            provider.name,
-                            provider.url,
-                            provider.key,
-                            provider.largeModel || '',
-                            provider.smallModel || ''
-                        );
+                        this._addProviderToUI(provider, provider.key || null);
                     } catch (e) {
                         console.error(
                             `Error loading provider ${provider.name}:`,
@@ -371,51 +1135,57 @@ export class ApiProviderManager {
 
     /**
      * 保存提供商
+     * API 密钥存入密钥环，GSettings 中只保存其余字段
+     * @returns {Promise<object>} 新建的提供商对象
      */
-    _saveProvider(name, url, key, largeModel = '', smallModel = '') {
-        try {
-            const providersJson = this.settings.get_string('api-providers');
-            const providers = JSON.parse(providersJson);
-
-            providers.push({ name, url, key, largeModel, smallModel });
-
-            this.settings.set_string(
-                'api-providers',
-                JSON.stringify(providers)
-            );
-        } catch (e) {
-            // 如果解析失败，创建新数组
-            this.settings.set_string(
-                'api-providers',
-                JSON.stringify([{ name, url, key, largeModel, smallModel }])
-            );
-        }
+    _saveProvider(fields, key) {
+        return this.settingsManager.addProvider(fields, key);
     }
 
     /**
-     * 更新提供商
+     * 更新提供商（ID 保持不变，可以安全重命名）
      */
-    _updateProvider(
-        oldName,
+    async _updateProvider(
+        id,
         newName,
         newUrl,
         newKey,
         newLargeModel = '',
-        newSmallModel = ''
+        newSmallModel = '',
+        newEnv = {},
+        newTypeFields = {},
+        newModels = []
     ) {
+        // Bedrock 和 Vertex 可以不设密钥
+        if (newKey) {
+            await this.settingsManager.secretStore.store(id, newName, newKey);
+        } else {
+            await this.settingsManager.secretStore.clear(id);
+        }
+
         try {
             const providersJson = this.settings.get_string('api-providers');
             const providers = JSON.parse(providersJson);
 
-            const index = providers.findIndex((p) => p.name === oldName);
+            const index = providers.findIndex((p) => p.id === id);
             if (index !== -1) {
                 providers[index] = {
+                    ...providers[index],
                     name: newName,
                     url: newUrl,
-                    key: newKey,
                     largeModel: newLargeModel,
                     smallModel: newSmallModel,
+                    env: newEnv,
+                    models: newModels,
+                    ...newTypeFields,
                 };
+                delete providers[index].key;
+                if (Object.keys(newEnv).length === 0) {
+                    delete providers[index].env;
+                }
+                if (newModels.length === 0) {
+                    delete providers[index].models;
+                }
                 this.settings.set_string(
                     'api-providers',
                     JSON.stringify(providers)
@@ -426,28 +1196,146 @@ export class ApiProviderManager {
         }
     }
 
+    /**
+     * 解析逗号分隔的模型列表，去掉空项和重复项
+     */
+    _parseModelList(text) {
+        return [
+            ...new Set(
+                text
+                    .split(',')
+                    .map((model) => model.trim())
+                    .filter((model) => model)
+            ),
+        ];
+    }
+
+    /**
+     * 创建自定义环境变量编辑器
+     * 修改在点击提供商的保存按钮后才会写入
+     */
+    _createEnvEditor(env) {
+        const envRow = new Adw.ExpanderRow({
+            title: _('Environment Variables'),
+        });
+        const addRow = new Adw.EntryRow({
+            title: _('Add variable (NAME=value)'),
+            show_apply_button: true,
+        });
+        envRow.add_row(addRow);
+
+        const variableRows = new Map();
+        const updateSubtitle = () => {
+            envRow.set_subtitle(
+                variableRows.size > 0
+                    ? [...variableRows.keys()].join(', ')
+                    : _('None')
+            );
+        };
+
+        const addVariable = (name, value) => {
+            const existingRow = variableRows.get(name);
+            if (existingRow) {
+                existingRow.set_text(value);
+                return;
+            }
+
+            const variableRow = new Adw.EntryRow({ title: name, text: value });
+            const removeButton = new Gtk.Button({
+                icon_name: 'list-remove-symbolic',
+                valign: Gtk.Align.CENTER,
+                css_classes: ['flat'],
+                tooltip_text: _('Remove variable'),
+            });
+            removeButton.connect('clicked', () => {
+                envRow.remove(variableRow);
+                variableRows.delete(name);
+                updateSubtitle();
+            });
+            variableRow.add_suffix(removeButton);
+
+            envRow.add_row(variableRow);
+            variableRows.set(name, variableRow);
+            updateSubtitle();
+        };
+
+        const setEnv = (values) => {
+            variableRows.forEach((row) => envRow.remove(row));
+            variableRows.clear();
+            Object.entries(values).forEach(([name, value]) =>
+                addVariable(name, value)
+            );
+            updateSubtitle();
+        };
+
+        addRow.connect('apply', () => {
+            const text = addRow.get_text();
+            const separator = text.indexOf('=');
+            const name = (
+                separator === -1 ? text : text.substring(0, separator)
+            ).trim();
+            const value = separator === -1 ? '' : text.substring(separator + 1);
+
+            if (!isValidEnvName(name)) {
+                addRow.add_css_class('error');
+                this._showToast(
+                    _('Invalid or reserved variable name: ') + name
+                );
+                return;
+            }
+            addRow.remove_css_class('error');
+            addRow.set_text('');
+            addVariable(name, value);
+        });
+
+        setEnv(env);
+
+        return {
+            row: envRow,
+            getEnv: () =>
+                Object.fromEntries(
+                    [...variableRows].map(([name, row]) => [
+                        name,
+                        row.get_text(),
+                    ])
+                ),
+            setEnv,
+        };
+    }
+
     /**
      * 删除提供商
      */
-    _removeProvider(name) {
+    async _removeProvider(id) {
         try {
             const providersJson = this.settings.get_string('api-providers');
             const providers = JSON.parse(providersJson);
 
-            const filteredProviders = providers.filter((p) => p.name !== name);
+            const filteredProviders = providers.filter((p) => p.id !== id);
             this.settings.set_string(
                 'api-providers',
                 JSON.stringify(filteredProviders)
             );
+
+            // 删除的是当前提供商时，清除选择
+            if (this.settings.get_string('current-provider') === id) {
+                this.settings.set_string('current-provider', '');
+            }
         } catch (e) {
             console.log('Failed to remove provider:', e);
         }
+
+        try {
+            await this.settingsManager.secretStore.clear(id);
+        } catch (e) {
+            console.error('Failed to remove API key from the keyring:', e);
+        }
     }
 
     /**
      * 显示删除确认对话框
      */
-    _showDeleteConfirmDialog(providerName, providerRow) {
+    _showDeleteConfirmDialog(providerId, providerName, providerRow) {
         const dialog = new Adw.MessageDialog({
             transient_for: this.apiGroup.get_root(),
             heading: _('Confirm Delete'),
@@ -468,9 +1356,136 @@ export class ApiProviderManager {
 
         dialog.connect('response', (dialog, response) => {
             if (response === 'delete') {
-                this._removeProvider(providerName);
                 this.apiGroup.remove(providerRow);
-                this.settingsManager.syncToLocalFile();
+                this._providerRows = this._providerRows.filter(
+                    (row) => row !== providerRow
+                );
+                this._modelUpdaters.delete(providerId);
+                this._removeProvider(providerId)
+                    .then(() => this.settingsManager.syncToLocalFile())
+                    .catch((e) =>
+                        console.error('Failed to delete provider:', e)
+                    );
+            }
+            dialog.destroy();
+        });
+
+        dialog.present();
+    }
+
+    /**
+     * 添加导入/导出操作行
+     */
+    _addImportExportRow() {
+        const row = new Adw.ActionRow({
+            title: _('Import / Export'),
+            subtitle: _('Share provider endpoints and models as a JSON file'),
+        });
+
+        const buttonBox = new Gtk.Box({
+            orientation: Gtk.Orientation.HORIZONTAL,
+            spacing: 6,
+            valign: Gtk.Align.CENTER,
+        });
+
+        const importButton = new Gtk.Button({
+            label: _('Import…'),
+            css_classes: ['flat'],
+        });
+        importButton.connect('clicked', () => this._showImportFileChooser());
+
+        const exportButton = new Gtk.Button({
+            label: _('Export…'),
+            css_classes: ['flat'],
+        });
+        exportButton.connect('clicked', () => this._showExportDialog());
+
+        buttonBox.append(importButton);
+        buttonBox.append(exportButton);
+        row.add_suffix(buttonBox);
+        this.apiGroup.add(row);
+    }
+
+    /**
+     * 创建 JSON 文件过滤器
+     */
+    _createJsonFilter() {
+        const jsonFilter = new Gtk.FileFilter();
+        jsonFilter.set_name(_('JSON Files'));
+        jsonFilter.add_mime_type('application/json');
+        jsonFilter.add_pattern('*.json');
+        return jsonFilter;
+    }
+
+    /**
+     * 显示导出对话框，选择要导出的提供商
+     */
+    _showExportDialog() {
+        const providers = this.settingsManager.getAllProviders();
+        if (providers.length === 0) {
+            this._showToast(_('No providers to export'));
+            return;
+        }
+
+        const dialog = new Adw.MessageDialog({
+            transient_for: this.parentWindow,
+            heading: _('Export Providers'),
+            body: _('Choose the providers to include in the file'),
+        });
+
+        const box = new Gtk.Box({
+            orientation: Gtk.Orientation.VERTICAL,
+            spacing: 12,
+        });
+
+        const providerList = new Gtk.ListBox({
+            selection_mode: Gtk.SelectionMode.NONE,
+            css_classes: ['boxed-list'],
+        });
+
+        const checkButtons = providers.map((provider) => {
+            const checkButton = new Gtk.CheckButton({ active: true });
+            const row = new Adw.ActionRow({
+                title: provider.name,
+                subtitle: provider.url,
+            });
+            row.add_prefix(checkButton);
+            row.set_activatable_widget(checkButton);
+            providerList.append(row);
+            return checkButton;
+        });
+        box.append(providerList);
+
+        const keysList = new Gtk.ListBox({
+            selection_mode: Gtk.SelectionMode.NONE,
+            css_classes: ['boxed-list'],
+        });
+        const includeKeysRow = new Adw.SwitchRow({
+            title: _('Include API Keys'),
+            subtitle: _('Anyone with the file can use these keys'),
+        });
+        keysList.append(includeKeysRow);
+        box.append(keysList);
+
+        dialog.set_extra_child(box);
+        dialog.add_response('cancel', _('Cancel'));
+        dialog.add_response('export', _('Export'));
+        dialog.set_response_appearance(
+            'export',
+            Adw.ResponseAppearance.SUGGESTED
+        );
+
+        dialog.connect('response', (dialog, response) => {
+            if (response === 'export') {
+                const selected = providers.filter(
+                    (provider, index) => checkButtons[index].get_active()
+                );
+                if (selected.length > 0) {
+                    this._showExportFileChooser(
+                        selected,
+                        includeKeysRow.get_active()
+                    );
+                }
             }
             dialog.destroy();
         });
@@ -478,13 +1493,230 @@ export class ApiProviderManager {
         dialog.present();
     }
 
+    /**
+     * 选择导出文件并写入
+     */
+    _showExportFileChooser(providers, includeKeys) {
+        const fileChooser = new Gtk.FileChooserDialog({
+            title: _('Export Providers'),
+            action: Gtk.FileChooserAction.SAVE,
+            transient_for: this.parentWindow,
+            modal: true,
+        });
+
+        fileChooser.add_button(_('Cancel'), Gtk.ResponseType.CANCEL);
+        fileChooser.add_button(_('Save'), Gtk.ResponseType.ACCEPT);
+        fileChooser.add_filter(this._createJsonFilter());
+        fileChooser.set_current_name('claude-code-providers.json');
+
+        fileChooser.connect('response', (dialog, response) => {
+            const file =
+                response === Gtk.ResponseType.ACCEPT ? dialog.get_file() : null;
+            dialog.destroy();
+
+            if (file) {
+                this._exportProviders(file, providers, includeKeys)
+                    .then(() =>
+                        this._showToast(_('Providers exported successfully'))
+                    )
+                    .catch((e) => {
+                        console.error('Failed to export providers:', e);
+                        this._showToast(_('Failed to export providers'));
+                    });
+            }
+        });
+
+        fileChooser.show();
+    }
+
+    /**
+     * 导出提供商到文件
+     */
+    async _exportProviders(file, providers, includeKeys) {
+        let keys = null;
+        if (includeKeys) {
+            keys = new Map();
+            for (const provider of providers) {
+                keys.set(
+                    provider.id,
+                    await this.settingsManager.getProviderKey(provider)
+                );
+            }
+        }
+
+        await writeBundleFile(file, createBundle(providers, keys));
+        console.log(`Exported ${providers.length} provider(s)`);
+    }
+
+    /**
+     * 选择要导入的文件
+     */
+    _showImportFileChooser() {
+        const fileChooser = new Gtk.FileChooserDialog({
+            title: _('Import Providers'),
+            action: Gtk.FileChooserAction.OPEN,
+            transient_for: this.parentWindow,
+            modal: true,
+        });
+
+        fileChooser.add_button(_('Cancel'), Gtk.ResponseType.CANCEL);
+        fileChooser.add_button(_('Open'), Gtk.ResponseType.ACCEPT);
+        fileChooser.add_filter(this._createJsonFilter());
+
+        fileChooser.connect('response', (dialog, response) => {
+            const file =
+                response === Gtk.ResponseType.ACCEPT ? dialog.get_file() : null;
+            dialog.destroy();
+
+            if (file) {
+                readBundleFile(file)
+                    .then((incoming) => this._confirmImport(incoming))
+                    .catch((e) => {
+                        console.error('Failed to read provider bundle:', e);
+                        this._showToast(
+                            _('The file is not a valid provider bundle')
+                        );
+                    });
+            }
+        });
+
+        fileChooser.show();
+    }
+
+    /**
+     * 存在同名提供商时让用户选择冲突处理方式
+     */
+    _confirmImport(incoming) {
+        if (incoming.length === 0) {
+            this._showToast(_('The file contains no providers'));
+            return;
+        }
+
+        const conflicts = findConflicts(
+            this.settingsManager.getAllProviders(),
+            incoming
+        );
+        if (conflicts.length === 0) {
+            this._runImport(incoming, ConflictStrategy.SKIP);
+            return;
+        }
+
+        const dialog = new Adw.MessageDialog({
+            transient_for: this.parentWindow,
+            heading: _('Resolve Conflicts'),
+            body:
+                _('These providers already exist:') +
+                '\n' +
+                conflicts.join(', '),
+        });
+
+        const strategies = [
+            ConflictStrategy.SKIP,
+            ConflictStrategy.OVERWRITE,
+            ConflictStrategy.RENAME,
+        ];
+        const strategyModel = new Gtk.StringList();
+        strategyModel.append(_('Skip existing providers'));
+        strategyModel.append(_('Overwrite existing providers'));
+        strategyModel.append(_('Import as renamed copies'));
+
+        const strategyList = new Gtk.ListBox({
+            selection_mode: Gtk.SelectionMode.NONE,
+            css_classes: ['boxed-list'],
+        });
+        const strategyRow = new Adw.ComboRow({
+            title: _('On Conflict'),
+            model: strategyModel,
+        });
+        strategyList.append(strategyRow);
+
+        dialog.set_extra_child(strategyList);
+        dialog.add_response('cancel', _('Cancel'));
+        dialog.add_response('import', _('Import'));
+        dialog.set_response_appearance(
+            'import',
+            Adw.ResponseAppearance.SUGGESTED
+        );
+
+        dialog.connect('response', (dialog, response) => {
+            if (response === 'import') {
+                this._runImport(
+                    incoming,
+                    strategies[strategyRow.get_selected()]
+                );
+            }
+            dialog.destroy();
+        });
+
+        dialog.present();
+    }
+
+    /**
+     * 执行导入：合并提供商并把密钥写入密钥环
+     */
+    _runImport(incoming, strategy) {
+        this._importProviders(incoming, strategy)
+            .then(({ imported, skipped }) => {
+                this._reloadProviders();
+                this._showToast(
+                    _('Imported: ') + imported + ', ' + _('Skipped: ') + skipped
+                );
+                return this.settingsManager.syncToLocalFile();
+            })
+            .catch((e) => {
+                console.error('Failed to import providers:', e);
+                this._showToast(_('Failed to import providers'));
+            });
+    }
+
+    /**
+     * 合并导入的提供商
+     */
+    async _importProviders(incoming, strategy) {
+        const { providers, keys, imported, skipped } = mergeProviders(
+            this.settingsManager.getAllProviders(),
+            incoming,
+            strategy
+        );
+
+        for (const [id, key] of keys) {
+            const provider = providers.find((p) => p.id === id);
+            await this.settingsManager.secretStore.store(
+                id,
+                provider.name,
+                key
+            );
+        }
+
+        this.settings.set_string('api-providers', JSON.stringify(providers));
+        console.log(`Imported ${imported} provider(s), skipped ${skipped}`);
+
+        return { imported, skipped };
+    }
+
+    /**
+     * 在设置窗口中显示提示信息
+     */
+    _showToast(message) {
+        if (this.parentWindow && this.parentWindow.add_toast) {
+            this.parentWindow.add_toast(new Adw.Toast({ title: message }));
+        }
+    }
+
     /**
      * 清理资源
      */
     cleanup() {
+        if (this.settings) {
+            this._signalIds.forEach((id) => this.settings.disconnect(id));
+        }
+        this._signalIds = [];
+        this._modelUpdaters.clear();
         this.settings = null;
         this.settingsManager = null;
         this.apiGroup = null;
+        this.existingConfigGroup = null;
         this.parentWindow = null;
+        this._providerRows = [];
     }
 }
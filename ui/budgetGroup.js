@@ -0,0 +1,187 @@
+import Adw from 'gi://Adw';
+import Gio from 'gi://Gio';
+import Gtk from 'gi://Gtk';
+
+import { gettext as _ } from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
+
+// 降级方式，与 budget-action 的取值对应
+const ACTIONS = ['provider', 'model'];
+
+/**
+ * @class BudgetGroup
+ * @description Creates and manages the "Budget" section in the preferences window.
+ */
+export class BudgetGroup {
+    /**
+     * @param {Gio.Settings} settings - The GSettings object.
+     * @param {SettingsManager} settingsManager - The settings manager instance.
+     */
+    constructor(settings, settingsManager) {
+        this._settings = settings;
+        this._settingsManager = settingsManager;
+        this._signalIds = [];
+    }
+
+    /**
+     * 创建预算设置组
+     * @returns {Adw.PreferencesGroup} 预算设置组
+     */
+    createBudgetGroup() {
+        this._group = new Adw.PreferencesGroup({
+            title: _('Budget'),
+            description: _(
+                'Downgrade automatically when the spend from the usage statistics crosses a threshold. Periods follow UTC dates, like the statistics.'
+            ),
+        });
+
+        const budgetToggle = new Adw.ExpanderRow({
+            title: _('Budget Guard'),
+            subtitle: _('Reverted automatically at the next day or month'),
+            show_enable_switch: true,
+        });
+        this._group.add(budgetToggle);
+
+        this._settings.bind(
+            'budget-enabled',
+            budgetToggle,
+            'enable_expansion',
+            Gio.SettingsBindFlags.DEFAULT
+        );
+
+        budgetToggle.add_row(
+            this._createLimitRow(
+                'budget-daily-limit',
+                _('Daily Threshold (USD)'),
+                10000
+            )
+        );
+        budgetToggle.add_row(
+            this._createLimitRow(
+                'budget-monthly-limit',
+                _('Monthly Threshold (USD)'),
+                100000
+            )
+        );
+
+        // 降级方式
+        const actionRow = new Adw.ComboRow({
+            title: _('When Exceeded'),
+            model: Gtk.StringList.new([
+                _('Switch to fallback provider'),
+                _('Use a smaller large model'),
+            ]),
+        });
+        const action = this._settings.get_string('budget-action');
+        actionRow.set_selected(Math.max(0, ACTIONS.indexOf(action)));
+        actionRow.connect('notify::selected', () => {
+            this._settings.set_string(
+                'budget-action',
+                ACTIONS[actionRow.get_selected()]
+            );
+            this._updateVisibility();
+        });
+        budgetToggle.add_row(actionRow);
+
+        this._providerRow = new Adw.ComboRow({
+            title: _('Fallback Provider'),
+        });
+        this._providerRow.connect('notify::selected', () => {
+            const provider = this._providers[this._providerRow.get_selected()];
+            if (provider && !this._updatingProviders) {
+                this._settings.set_string(
+                    'budget-fallback-provider',
+                    provider.id
+                );
+            }
+        });
+        budgetToggle.add_row(this._providerRow);
+
+        this._modelRow = new Adw.EntryRow({
+            title: _('Fallback Large Model'),
+            text: this._settings.get_string('budget-fallback-model'),
+            show_apply_button: true,
+        });
+        this._modelRow.connect('apply', () => {
+            this._settings.set_string(
+                'budget-fallback-model',
+                this._modelRow.get_text().trim()
+            );
+        });
+        budgetToggle.add_row(this._modelRow);
+
+        this._updateProviders();
+        this._updateVisibility();
+
+        this._signalIds.push(
+            this._settings.connect('changed::api-providers', () =>
+                this._updateProviders()
+            )
+        );
+
+        return this._group;
+    }
+
+    /**
+     * 创建金额阈值输入行
+     */
+    _createLimitRow(key, title, upper) {
+        const row = new Adw.SpinRow({
+            title,
+            subtitle: _('0 disables this threshold'),
+            digits: 2,
+            adjustment: new Gtk.Adjustment({
+                lower: 0,
+                upper,
+                step_increment: 1,
+                page_increment: 10,
+            }),
+        });
+        this._settings.bind(key, row, 'value', Gio.SettingsBindFlags.DEFAULT);
+        return row;
+    }
+
+    /**
+     * 刷新备用提供商列表
+     */
+    _updateProviders() {
+        this._providers = this._settingsManager.getAllProviders();
+        const fallbackId = this._settings.get_string(
+            'budget-fallback-provider'
+        );
+
+        this._updatingProviders = true;
+        this._providerRow.set_model(
+            Gtk.StringList.new(this._providers.map((p) => p.name))
+        );
+        const selected = this._providers.findIndex((p) => p.id === fallbackId);
+        this._providerRow.set_selected(
+            selected !== -1 ? selected : Gtk.INVALID_LIST_POSITION
+        );
+        this._updatingProviders = false;
+    }
+
+    /**
+     * 根据降级方式显示对应的设置行
+     */
+    _updateVisibility() {
+        const action = this._settings.get_string('budget-action');
+        this._providerRow.set_visible(action === 'provider');
+        this._modelRow.set_visible(action === 'model');
+    }
+
+    /**
+     * 清理资源
+     */
+    cleanup() {
+        if (this._settings) {
+            this._signalIds.forEach((id) => this._settings.disconnect(id));
+        }
+        this._signalIds = [];
+        this._providers = [];
+        this._group = null;
+        this._providerRow = null;
+        this._modelRow = null;
+        this._settings = null;
+        this._settingsManager = null;
+    }
+}
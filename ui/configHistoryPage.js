@@ -0,0 +1,253 @@
+import Adw from 'gi://Adw';
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import Gtk from 'gi://Gtk';
+
+import { gettext as _ } from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
+
+import { createDiffView } from './diffView.js';
+
+/**
+ * @class ConfigHistoryPage
+ * @description Creates the "History" page that lists settings.json snapshots,
+ * shows their differences to the current file and restores them.
+ */
+export class ConfigHistoryPage {
+    /**
+     * @param {Gio.Settings} settings - The GSettings object.
+     * @param {SettingsManager} settingsManager - The settings manager instance.
+     */
+    constructor(settings, settingsManager) {
+        this._settings = settings;
+        this._settingsManager = settingsManager;
+        this._backupRows = [];
+    }
+
+    /**
+     * 创建配置历史页面
+     * @param {Adw.PreferencesWindow} window - 父窗口
+     * @returns {Adw.PreferencesPage} 配置历史页面
+     */
+    createHistoryPage(window) {
+        this._window = window;
+
+        this._page = new Adw.PreferencesPage({
+            title: _('History'),
+            icon_name: 'document-open-recent-symbolic',
+        });
+
+        this._group = new Adw.PreferencesGroup({
+            title: _('Configuration History'),
+            description: _(
+                'A snapshot of ~/.claude/settings.json is taken before every change'
+            ),
+        });
+
+        const refreshButton = new Gtk.Button({
+            icon_name: 'view-refresh-symbolic',
+            valign: Gtk.Align.CENTER,
+            css_classes: ['flat'],
+            tooltip_text: _('Refresh'),
+        });
+        refreshButton.connect('clicked', () => this.refresh());
+        this._group.set_header_suffix(refreshButton);
+        this._page.add(this._group);
+
+        const optionsGroup = new Adw.PreferencesGroup();
+        const countRow = new Adw.SpinRow({
+            title: _('Snapshots to Keep'),
+            adjustment: new Gtk.Adjustment({
+                lower: 1,
+                upper: 200,
+                step_increment: 1,
+                page_increment: 10,
+            }),
+        });
+        this._settings.bind(
+            'config-backup-count',
+            countRow,
+            'value',
+            Gio.SettingsBindFlags.DEFAULT
+        );
+        optionsGroup.add(countRow);
+        this._page.add(optionsGroup);
+
+        this.refresh();
+        return this._page;
+    }
+
+    /**
+     * 重新加载快照列表
+     */
+    refresh() {
+        this._settingsManager
+            .listConfigBackups()
+            .then((backups) => this._showBackups(backups))
+            .catch((e) => {
+                console.error('Failed to list configuration backups:', e);
+                this._showBackups([]);
+            });
+    }
+
+    /**
+     * 显示快照列表
+     */
+    _showBackups(backups) {
+        if (!this._group) {
+            return;
+        }
+
+        this._backupRows.forEach((row) => this._group.remove(row));
+        this._backupRows = [];
+
+        if (backups.length === 0) {
+            const emptyRow = new Adw.ActionRow({
+                title: _('No snapshots yet'),
+                sensitive: false,
+            });
+            this._group.add(emptyRow);
+            this._backupRows.push(emptyRow);
+            return;
+        }
+
+        for (const backup of backups) {
+            const row = new Adw.ActionRow({
+                title: backup.date.format('%x %X'),
+                subtitle: GLib.format_size(backup.size),
+            });
+
+            const diffButton = new Gtk.Button({
+                label: _('Compare'),
+                valign: Gtk.Align.CENTER,
+                css_classes: ['flat'],
+                tooltip_text: _(
+                    'Show the changes from this snapshot to the current file'
+                ),
+            });
+            diffButton.connect('clicked', () => this._showDiff(backup));
+
+            const restoreButton = new Gtk.Button({
+                label: _('Restore'),
+                valign: Gtk.Align.CENTER,
+            });
+            restoreButton.connect('clicked', () =>
+                this._confirmRestore(backup)
+            );
+
+            row.add_suffix(diffButton);
+            row.add_suffix(restoreButton);
+            this._group.add(row);
+            this._backupRows.push(row);
+        }
+    }
+
+    /**
+     * 显示快照与当前文件的差异
+     */
+    async _showDiff(backup) {
+        let oldText;
+        let newText;
+        try {
+            [oldText, newText] = await Promise.all([
+                this._settingsManager.readConfigBackup(backup),
+                this._settingsManager.readConfigText(),
+            ]);
+        } catch (e) {
+            console.error('Failed to read configuration snapshot:', e);
+            this._showToast(_('Failed to read snapshot'));
+            return;
+        }
+
+        const dialog = new Adw.Window({
+            transient_for: this._window,
+            modal: true,
+            title: _('Snapshot of ') + backup.date.format('%x %X'),
+            default_width: 700,
+            default_height: 500,
+        });
+
+        const toolbarView = new Adw.ToolbarView();
+        const headerBar = new Adw.HeaderBar();
+        toolbarView.add_top_bar(headerBar);
+
+        const restoreButton = new Gtk.Button({
+            label: _('Restore'),
+            css_classes: ['suggested-action'],
+        });
+        restoreButton.connect('clicked', () => {
+            dialog.close();
+            this._confirmRestore(backup);
+        });
+        headerBar.pack_end(restoreButton);
+
+        const { widget } = createDiffView(
+            oldText,
+            newText,
+            _('The snapshot is identical to the current file.')
+        );
+
+        toolbarView.set_content(widget);
+        dialog.set_content(toolbarView);
+        dialog.present();
+    }
+
+    /**
+     * 确认并恢复快照
+     */
+    _confirmRestore(backup) {
+        const dialog = new Adw.MessageDialog({
+            transient_for: this._window,
+            heading: _('Restore Snapshot?'),
+            body:
+                _('settings.json will be replaced with the snapshot of ') +
+                backup.date.format('%x %X') +
+                '. ' +
+                _('The current file is kept as a new snapshot.'),
+        });
+        dialog.add_response('cancel', _('Cancel'));
+        dialog.add_response('restore', _('Restore'));
+        dialog.set_response_appearance(
+            'restore',
+            Adw.ResponseAppearance.SUGGESTED
+        );
+
+        dialog.connect('response', (dialog, response) => {
+            if (response === 'restore') {
+                this._settingsManager
+                    .restoreConfigBackup(backup)
+                    .then(() => {
+                        this._showToast(_('Snapshot restored'));
+                        this.refresh();
+                    })
+                    .catch((e) => {
+                        console.error('Failed to restore snapshot:', e);
+                        this._showToast(_('Failed to restore snapshot'));
+                    });
+            }
+            dialog.destroy();
+        });
+
+        dialog.present();
+    }
+
+    /**
+     * 显示提示消息
+     */
+    _showToast(message) {
+        if (this._window && this._window.add_toast) {
+            this._window.add_toast(new Adw.Toast({ title: message }));
+        }
+    }
+
+    /**
+     * 清理资源
+     */
+    cleanup() {
+        this._backupRows = [];
+        this._group = null;
+        this._page = null;
+        this._window = null;
+        this._settings = null;
+        this._settingsManager = null;
+    }
+}
@@ -0,0 +1,88 @@
+import Adw from 'gi://Adw';
+import Gtk from 'gi://Gtk';
+
+import { gettext as _ } from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
+
+import { MalformedConfigError } from '../lib/settingsManager.js';
+import { createDiffView } from './diffView.js';
+
+/**
+ * @class ConfigPreviewDialog
+ * @description Shows what a pending change would write to settings.json, as a line
+ * diff against the current file, and applies the change only when confirmed.
+ */
+export class ConfigPreviewDialog {
+    /**
+     * @param {SettingsManager} settingsManager - The settings manager instance.
+     */
+    constructor(settingsManager) {
+        this._settingsManager = settingsManager;
+    }
+
+    /**
+     * 显示配置变更预览
+     * @param {Gtk.Window} parentWindow - 父窗口
+     * @param {object} overrides - 待预览的设置，见 SettingsManager.previewConfig
+     * @param {Function} onApply - 点击“应用”后执行的变更
+     */
+    async show(parentWindow, overrides, onApply) {
+        let content;
+        let canApply = true;
+        try {
+            const { currentText, newText } =
+                await this._settingsManager.previewConfig(overrides);
+            content = createDiffView(
+                currentText,
+                newText,
+                _('settings.json will not change.')
+            ).widget;
+        } catch (e) {
+            console.error('Failed to preview configuration:', e);
+            canApply = false;
+            content = new Adw.StatusPage({
+                icon_name: 'dialog-warning-symbolic',
+                title: _('No Preview Available'),
+                description:
+                    e instanceof MalformedConfigError
+                        ? _(
+                              'settings.json is malformed. Nothing is written to it until it is repaired.'
+                          )
+                        : _('Failed to generate the configuration.'),
+            });
+        }
+
+        const dialog = new Adw.Window({
+            transient_for: parentWindow,
+            modal: true,
+            title: _('Preview Changes'),
+            default_width: 700,
+            default_height: 500,
+        });
+
+        const toolbarView = new Adw.ToolbarView();
+        const headerBar = new Adw.HeaderBar({
+            show_start_title_buttons: false,
+            show_end_title_buttons: false,
+        });
+        toolbarView.add_top_bar(headerBar);
+
+        const cancelButton = new Gtk.Button({ label: _('Cancel') });
+        cancelButton.connect('clicked', () => dialog.close());
+        headerBar.pack_start(cancelButton);
+
+        const applyButton = new Gtk.Button({
+            label: _('Apply'),
+            css_classes: ['suggested-action'],
+            sensitive: canApply,
+        });
+        applyButton.connect('clicked', () => {
+            dialog.close();
+            onApply();
+        });
+        headerBar.pack_end(applyButton);
+
+        toolbarView.set_content(content);
+        dialog.set_content(toolbarView);
+        dialog.present();
+    }
+}
@@ -0,0 +1,77 @@
+import Gtk from 'gi://Gtk';
+
+import { DiffOp, diffLines } from '../lib/textDiff.js';
+
+// 隐藏令牌、密钥一类的值，只保留开头几个字符
+const SECRET_VALUE_PATTERN =
+    /("[A-Za-z0-9_]*(?:TOKEN|KEY|SECRET|PASSWORD)[A-Za-z0-9_]*"\s*:\s*")([^"]*)(")/gi;
+
+/**
+ * 隐藏文本中的密钥值
+ * @param {string} text
+ * @returns {string}
+ */
+export function maskSecrets(text) {
+    return text.replace(SECRET_VALUE_PATTERN, (match, prefix, value, suffix) => {
+        const visible = value.length > 4 ? value.substring(0, 4) : '';
+        return `${prefix}${visible}…${suffix}`;
+    });
+}
+
+/**
+ * 创建显示两段文本行差异的视图，密钥值会被隐藏
+ * @param {string} oldText - 原文本
+ * @param {string} newText - 新文本
+ * @param {string} identicalMessage - 两者相同时显示的文字
+ * @returns {{widget: Gtk.ScrolledWindow, changed: boolean}}
+ */
+export function createDiffView(oldText, newText, identicalMessage) {
+    const buffer = new Gtk.TextBuffer();
+    buffer.create_tag('removed', {
+        foreground: '#c01c28',
+        background: 'rgba(224, 27, 36, 0.1)',
+    });
+    buffer.create_tag('added', {
+        foreground: '#26a269',
+        background: 'rgba(46, 194, 126, 0.1)',
+    });
+
+    const diff = diffLines(maskSecrets(oldText), maskSecrets(newText));
+    const changed = diff.some((d) => d.op !== DiffOp.EQUAL);
+    if (!changed) {
+        buffer.set_text(identicalMessage, -1);
+    }
+
+    const tags = { [DiffOp.REMOVED]: 'removed', [DiffOp.ADDED]: 'added' };
+    for (const { op, line } of changed ? diff : []) {
+        const text = `${op} ${line}\n`;
+        if (tags[op]) {
+            buffer.insert_with_tags_by_name(
+                buffer.get_end_iter(),
+                text,
+                -1,
+                tags[op]
+            );
+        } else {
+            buffer.insert(buffer.get_end_iter(), text, -1);
+        }
+    }
+
+    const textView = new Gtk.TextView({
+        buffer,
+        editable: false,
+        monospace: true,
+        cursor_visible: false,
+        top_margin: 12,
+        bottom_margin: 12,
+        left_margin: 12,
+        right_margin: 12,
+    });
+    const widget = new Gtk.ScrolledWindow({
+        hexpand: true,
+        vexpand: true,
+        child: textView,
+    });
+
+    return { widget, changed };
+}
@@ -0,0 +1,233 @@
+import Adw from 'gi://Adw';
+import Gio from 'gi://Gio';
+import Gtk from 'gi://Gtk';
+
+import { gettext as _ } from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
+
+/**
+ * @class FailoverGroup
+ * @description Creates and manages the "Failover" section in the preferences window.
+ */
+export class FailoverGroup {
+    /**
+     * @param {Gio.Settings} settings - The GSettings object.
+     * @param {SettingsManager} settingsManager - The settings manager instance.
+     */
+    constructor(settings, settingsManager) {
+        this._settings = settings;
+        this._settingsManager = settingsManager;
+        this._orderRows = [];
+        this._signalIds = [];
+    }
+
+    /**
+     * 创建故障转移设置组
+     * @returns {Adw.PreferencesGroup} 故障转移设置组
+     */
+    createFailoverGroup() {
+        this._group = new Adw.PreferencesGroup({
+            title: _('Failover'),
+            description: _(
+                'Switch to the next healthy provider when the current one keeps failing. Probes are real requests and may use tokens.'
+            ),
+        });
+
+        const failoverToggle = new Adw.ExpanderRow({
+            title: _('Automatic Failover'),
+            subtitle: _(
+                'Each health probe sends one minimal request to the small model of the current provider'
+            ),
+            show_enable_switch: true,
+        });
+        this._group.add(failoverToggle);
+
+        this._settings.bind(
+            'failover-enabled',
+            failoverToggle,
+            'enable_expansion',
+            Gio.SettingsBindFlags.DEFAULT
+        );
+
+        // 连续失败阈值
+        const thresholdRow = new Adw.SpinRow({
+            title: _('Failure Threshold'),
+            subtitle: _('Consecutive failed probes before switching'),
+            adjustment: new Gtk.Adjustment({
+                lower: 1,
+                upper: 20,
+                step_increment: 1,
+                page_increment: 5,
+            }),
+        });
+        this._settings.bind(
+            'failover-threshold',
+            thresholdRow,
+            'value',
+            Gio.SettingsBindFlags.DEFAULT
+        );
+        failoverToggle.add_row(thresholdRow);
+
+        // 探测间隔（秒）
+        const intervalRow = new Adw.SpinRow({
+            title: _('Probe Interval'),
+            subtitle: _('Seconds between health probes'),
+            adjustment: new Gtk.Adjustment({
+                lower: 30,
+                upper: 3600,
+                step_increment: 30,
+                page_increment: 300,
+            }),
+        });
+        this._settings.bind(
+            'failover-probe-interval',
+            intervalRow,
+            'value',
+            Gio.SettingsBindFlags.DEFAULT
+        );
+        failoverToggle.add_row(intervalRow);
+
+        const switchBackRow = new Adw.SwitchRow({
+            title: _('Switch Back Automatically'),
+            subtitle: _('Return to the primary provider once it recovers'),
+        });
+        this._settings.bind(
+            'failover-switch-back',
+            switchBackRow,
+            'active',
+            Gio.SettingsBindFlags.DEFAULT
+        );
+        failoverToggle.add_row(switchBackRow);
+
+        this._failoverToggle = failoverToggle;
+        this._rebuildOrderRows();
+
+        this._signalIds.push(
+            this._settings.connect('changed::api-providers', () =>
+                this._rebuildOrderRows()
+            )
+        );
+
+        return this._group;
+    }
+
+    /**
+     * 获取完整的故障转移顺序：已选提供商在前，其余提供商在后
+     * @returns {Array<{provider: object, enabled: boolean}>}
+     */
+    _getOrderedProviders() {
+        const providers = this._settingsManager.getAllProviders();
+        const order = this._settings.get_strv('failover-providers');
+
+        const selected = order
+            .map((id) => providers.find((p) => p.id === id))
+            .filter((p) => p)
+            .map((provider) => ({ provider, enabled: true }));
+        const others = providers
+            .filter((p) => !order.includes(p.id))
+            .map((provider) => ({ provider, enabled: false }));
+
+        return [...selected, ...others];
+    }
+
+    /**
+     * 重建故障转移顺序列表
+     */
+    _rebuildOrderRows() {
+        this._orderRows.forEach((row) => this._failoverToggle.remove(row));
+        this._orderRows = [];
+
+        const entries = this._getOrderedProviders();
+        entries.forEach((entry, index) => {
+            const row = this._createOrderRow(entries, index);
+            this._failoverToggle.add_row(row);
+            this._orderRows.push(row);
+        });
+    }
+
+    /**
+     * 创建单个提供商的顺序行
+     */
+    _createOrderRow(entries, index) {
+        const { provider, enabled } = entries[index];
+
+        const row = new Adw.ActionRow({
+            title: provider.name,
+            subtitle: enabled
+                ? _('Failover position: ') + (index + 1)
+                : _('Not used for failover'),
+        });
+
+        const checkButton = new Gtk.CheckButton({
+            active: enabled,
+            valign: Gtk.Align.CENTER,
+        });
+        checkButton.connect('toggled', () => {
+            entries[index].enabled = checkButton.get_active();
+            this._saveOrder(entries);
+        });
+        row.add_prefix(checkButton);
+
+        const upButton = new Gtk.Button({
+            icon_name: 'go-up-symbolic',
+            valign: Gtk.Align.CENTER,
+            css_classes: ['flat'],
+            tooltip_text: _('Move up'),
+            sensitive: enabled && index > 0,
+        });
+        upButton.connect('clicked', () => {
+            [entries[index - 1], entries[index]] = [
+                entries[index],
+                entries[index - 1],
+            ];
+            this._saveOrder(entries);
+        });
+
+        const downButton = new Gtk.Button({
+            icon_name: 'go-down-symbolic',
+            valign: Gtk.Align.CENTER,
+            css_classes: ['flat'],
+            tooltip_text: _('Move down'),
+            sensitive:
+                enabled &&
+                index < entries.length - 1 &&
+                entries[index + 1].enabled,
+        });
+        downButton.connect('clicked', () => {
+            [entries[index], entries[index + 1]] = [
+                entries[index + 1],
+                entries[index],
+            ];
+            this._saveOrder(entries);
+        });
+
+        row.add_suffix(upButton);
+        row.add_suffix(downButton);
+        return row;
+    }
+
+    /**
+     * 保存故障转移顺序并刷新列表
+     */
+    _saveOrder(entries) {
+        this._settings.set_strv(
+            'failover-providers',
+            entries.filter((e) => e.enabled).map((e) => e.provider.id)
+        );
+        this._rebuildOrderRows();
+    }
+
+    /**
+     * 清理资源
+     */
+    cleanup() {
+        if (this._settings) {
+            this._signalIds.forEach((id) => this._settings.disconnect(id));
+        }
+        this._signalIds = [];
+        this._orderRows = [];
+        this._group = null;
+        this._failoverToggle = null;
+        this._settings = null;
+        this._settingsManager = null;
+    }
+}
@@ -4,6 +4,12 @@ import Gtk from 'gi://Gtk';
 
 import { gettext as _ } from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
 
+import { ConfigSection } from '../lib/settingsManager.js';
+import { ConfigPreviewDialog } from './configPreviewDialog.js';
+
+// 显示方式，与 indicator-mode 的取值对应
+const INDICATOR_MODES = ['panel-button', 'quick-settings', 'both'];
+
 /**
  * @class GlobalSettingsGroup
  * @description Creates and manages the "Global Settings" section in the preferences window.
@@ -27,6 +33,10 @@ export class GlobalSettingsGroup {
             title: _('Global Settings'),
             description: _('Configure global extension options'),
         });
+        this._group = globalGroup;
+
+        // 面板按钮或快速设置开关
+        this._setupIndicatorSettings(globalGroup);
 
         // 自动更新开关
         const autoUpdateRow = new Adw.SwitchRow({
@@ -45,12 +55,61 @@ export class GlobalSettingsGroup {
         // 代理设置
         this._setupProxySettings(globalGroup);
 
-        // 清空配置按钮
-        this._setupClearConfigButton(globalGroup);
+        // 重置配置按钮
+        this._setupResetConfigButton(globalGroup);
 
         return globalGroup;
     }
 
+    /**
+     * 设置指示器显示方式UI
+     * @param {Adw.PreferencesGroup} globalGroup 全局设置组
+     */
+    _setupIndicatorSettings(globalGroup) {
+        const modeRow = new Adw.ComboRow({
+            title: _('Show Switcher In'),
+            subtitle: _('Where providers are switched from'),
+            model: Gtk.StringList.new([
+                _('Panel Button'),
+                _('Quick Settings'),
+                _('Both'),
+            ]),
+        });
+        const mode = this._settings.get_string('indicator-mode');
+        modeRow.set_selected(Math.max(0, INDICATOR_MODES.indexOf(mode)));
+        globalGroup.add(modeRow);
+
+        const showIndicatorRow = new Adw.SwitchRow({
+            title: _('Show Panel Button'),
+            subtitle: _(
+                'Keyboard shortcuts keep working while the button is hidden'
+            ),
+        });
+        globalGroup.add(showIndicatorRow);
+
+        this._settings.bind(
+            'show-indicator',
+            showIndicatorRow,
+            'active',
+            Gio.SettingsBindFlags.DEFAULT
+        );
+
+        // 只使用快速设置时没有面板按钮
+        const updateSensitivity = () => {
+            showIndicatorRow.set_sensitive(
+                INDICATOR_MODES[modeRow.get_selected()] !== 'quick-settings'
+            );
+        };
+        modeRow.connect('notify::selected', () => {
+            this._settings.set_string(
+                'indicator-mode',
+                INDICATOR_MODES[modeRow.get_selected()]
+            );
+            updateSensitivity();
+        });
+        updateSensitivity();
+    }
+
     /**
      * 设置代理设置UI
      * @param {Adw.PreferencesGroup} globalGroup 全局设置组
@@ -117,12 +176,19 @@ export class GlobalSettingsGroup {
             css_classes: ['flat'],
         });
 
+        const proxyPreviewButton = new Gtk.Button({
+            label: _('Preview'),
+            css_classes: ['flat'],
+            tooltip_text: _('Show the changes to settings.json before saving'),
+        });
+
         const proxySaveButton = new Gtk.Button({
             label: _('Save'),
             css_classes: ['suggested-action'],
         });
 
         proxyButtonBox.append(proxyCancelButton);
+        proxyButtonBox.append(proxyPreviewButton);
         proxyButtonBox.append(proxySaveButton);
         proxyActionRow.add_suffix(proxyButtonBox);
         proxyRow.add_row(proxyActionRow);
@@ -137,11 +203,8 @@ export class GlobalSettingsGroup {
             proxyRow.set_expanded(false);
         });
 
-        // 保存按钮逻辑
-        proxySaveButton.connect('clicked', () => {
-            const newHost = proxyHostRow.get_text();
-            const newPort = proxyPortRow.get_text();
-
+        // 保存代理设置
+        const saveProxy = (newHost, newPort) => {
             this.settingsManager.setProxy(newHost, newPort);
 
             originalValues.host = newHost;
@@ -159,57 +222,133 @@ export class GlobalSettingsGroup {
 
             proxyRow.set_expanded(false);
             console.log('Saved proxy settings: ' + newHost + ':' + newPort);
+        };
+
+        // 预览按钮逻辑
+        proxyPreviewButton.connect('clicked', () => {
+            const newHost = proxyHostRow.get_text();
+            const newPort = proxyPortRow.get_text();
+
+            new ConfigPreviewDialog(this.settingsManager).show(
+                proxyRow.get_root(),
+                { proxyHost: newHost, proxyPort: newPort },
+                () => saveProxy(newHost, newPort)
+            );
+        });
+
+        // 保存按钮逻辑
+        proxySaveButton.connect('clicked', () => {
+            saveProxy(proxyHostRow.get_text(), proxyPortRow.get_text());
         });
     }
 
     /**
-     * 设置清空配置按钮
+     * 设置重置配置按钮
      * @param {Adw.PreferencesGroup} globalGroup 全局设置组
      */
-    _setupClearConfigButton(globalGroup) {
-        const clearConfigRow = new Adw.ActionRow({
-            title: _('Clear Configuration'),
-            subtitle: _('Reset Claude settings.json to empty state'),
+    _setupResetConfigButton(globalGroup) {
+        const resetConfigRow = new Adw.ActionRow({
+            title: _('Reset Configuration'),
+            subtitle: _(
+                'Remove what this extension wrote to Claude settings.json'
+            ),
         });
 
-        const clearButton = new Gtk.Button({
-            label: _('Clear Config'),
+        const resetButton = new Gtk.Button({
+            label: _('Reset…'),
             css_classes: ['destructive-action'],
             valign: Gtk.Align.CENTER,
         });
 
-        clearButton.connect('clicked', () => {
-            this._showClearConfigDialog();
+        resetButton.connect('clicked', () => {
+            this._showResetConfigDialog();
         });
 
-        clearConfigRow.add_suffix(clearButton);
-        globalGroup.add(clearConfigRow);
+        resetConfigRow.add_suffix(resetButton);
+        globalGroup.add(resetConfigRow);
     }
 
     /**
-     * 显示清空配置确认对话框
+     * 显示重置配置对话框，选择要移除的部分
      */
-    _showClearConfigDialog() {
+    _showResetConfigDialog() {
         const dialog = new Adw.MessageDialog({
-            heading: _('Clear Configuration'),
+            heading: _('Reset Configuration'),
             body: _(
-                'This will clear the Claude settings.json file to an empty state. All current configuration will be lost. Are you sure you want to continue?'
+                'The selected parts are removed from Claude settings.json and turned off here. Permissions, MCP servers and all other keys are kept.'
             ),
             modal: true,
         });
 
+        const sections = [
+            {
+                section: ConfigSection.PROVIDER,
+                title: _('Provider Environment'),
+                subtitle: _('API URL, key, models and custom variables'),
+            },
+            {
+                section: ConfigSection.PROXY,
+                title: _('Proxy Environment'),
+                subtitle: 'HTTPS_PROXY, HTTP_PROXY',
+            },
+            {
+                section: ConfigSection.AUTO_UPDATE,
+                title: _('Auto Update Flag'),
+                subtitle: 'DISABLE_AUTOUPDATER',
+            },
+            {
+                section: ConfigSection.HOOKS,
+                title: _('Notification Hooks'),
+                subtitle: _('Hooks added by this extension'),
+            },
+        ];
+
+        const listBox = new Gtk.ListBox({
+            selection_mode: Gtk.SelectionMode.NONE,
+            css_classes: ['boxed-list'],
+        });
+        const checkButtons = sections.map(({ title, subtitle }) => {
+            const checkButton = new Gtk.CheckButton({
+                active: true,
+                valign: Gtk.Align.CENTER,
+            });
+            const row = new Adw.ActionRow({
+                title,
+                subtitle,
+                activatable_widget: checkButton,
+            });
+            row.add_prefix(checkButton);
+            listBox.append(row);
+            return checkButton;
+        });
+        dialog.set_extra_child(listBox);
+
         dialog.add_response('cancel', _('Cancel'));
-        dialog.add_response('clear', _('Clear Config'));
+        dialog.add_response('reset', _('Reset'));
         dialog.set_response_appearance(
-            'clear',
+            'reset',
             Adw.ResponseAppearance.DESTRUCTIVE
         );
         dialog.set_default_response('cancel');
         dialog.set_close_response('cancel');
 
+        // 没有勾选任何部分时不能重置
+        checkButtons.forEach((checkButton) => {
+            checkButton.connect('toggled', () => {
+                dialog.set_response_enabled(
+                    'reset',
+                    checkButtons.some((b) => b.active)
+                );
+            });
+        });
+
         dialog.connect('response', (dialog, response) => {
-            if (response === 'clear') {
-                this._performClearConfig();
+            if (response === 'reset') {
+                this._performResetConfig(
+                    sections
+                        .filter((entry, i) => checkButtons[i].active)
+                        .map((entry) => entry.section)
+                );
             }
             dialog.close();
         });
@@ -224,10 +363,11 @@ export class GlobalSettingsGroup {
     }
 
     /**
-     * 执行清空配置操作
+     * 执行重置配置操作
      */
-    _performClearConfig() {
-        const success = this.settingsManager.clearClaudeConfig();
+    async _performResetConfig(sections) {
+        const success =
+            await this.settingsManager.resetConfigSections(sections);
 
         if (success) {
             this._showSuccessDialog();
@@ -241,9 +381,9 @@ export class GlobalSettingsGroup {
      */
     _showSuccessDialog() {
         const dialog = new Adw.MessageDialog({
-            heading: _('Configuration Cleared'),
+            heading: _('Configuration Reset'),
             body: _(
-                'Claude settings.json has been successfully cleared to empty state.'
+                'The selected parts have been removed from Claude settings.json.'
             ),
             modal: true,
         });
@@ -267,7 +407,7 @@ export class GlobalSettingsGroup {
         const dialog = new Adw.MessageDialog({
             heading: _('Error'),
             body: _(
-                'Failed to clear Claude configuration. Please check the console for more details.'
+                'Failed to reset Claude configuration. Please check the console for more details.'
             ),
             modal: true,
         });
@@ -288,21 +428,7 @@ export class GlobalSettingsGroup {
      * 获取顶级窗口
      */
     _getTopLevelWindow() {
-        // 尝试从设置中获取窗口引用
-        if (this._settings && this._settings.get_parent) {
-            let widget = this._settings;
-            while (widget && widget.get_parent) {
-                const parent = widget.get_parent();
-                if (!parent) break;
-                widget = parent;
-                if (
-                    widget instanceof Adw.PreferencesWindow ||
-                    widget instanceof Gtk.Window
-                ) {
-                    return widget;
-                }
-            }
-        }
-        return null;
+        const root = this._group?.get_root();
+        return root instanceof Gtk.Window ? root : null;
     }
 }
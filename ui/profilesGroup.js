@@ -0,0 +1,218 @@
+import Adw from 'gi://Adw';
+import GLib from 'gi://GLib';
+import Gtk from 'gi://Gtk';
+
+import { gettext as _ } from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
+
+import { getProfiles } from '../lib/claudeProfiles.js';
+
+/**
+ * @class ProfilesGroup
+ * @description Creates and manages the "Claude Code Profiles" section: the config
+ * directories used with CLAUDE_CONFIG_DIR and the one provider switches are written to.
+ */
+export class ProfilesGroup {
+    /**
+     * @param {Gio.Settings} settings - The GSettings object.
+     */
+    constructor(settings) {
+        this._settings = settings;
+        this._signalIds = [];
+        this._rows = [];
+    }
+
+    /**
+     * 创建配置目录设置组
+     * @param {Adw.PreferencesWindow} window - 父窗口
+     * @returns {Adw.PreferencesGroup} 配置目录设置组
+     */
+    createProfilesGroup(window) {
+        this._window = window;
+
+        this._group = new Adw.PreferencesGroup({
+            title: _('Claude Code Profiles'),
+            description: _(
+                'Config directories of Claude Code, as set with CLAUDE_CONFIG_DIR. Provider switches are written to the target profile.'
+            ),
+        });
+
+        const addButton = new Gtk.Button({
+            icon_name: 'list-add-symbolic',
+            tooltip_text: _('Add Profile'),
+            valign: Gtk.Align.CENTER,
+            css_classes: ['flat'],
+        });
+        addButton.connect('clicked', () => this._showFolderChooser());
+        this._group.set_header_suffix(addButton);
+
+        this._targetRow = new Adw.ComboRow({
+            title: _('Target Profile'),
+            subtitle: _('The settings.json that provider switches change'),
+        });
+        this._targetRow.connect('notify::selected', () => {
+            const profile = this._profiles[this._targetRow.get_selected()];
+            if (profile && !this._updatingProfiles) {
+                this._settings.set_string('target-profile', profile.id);
+            }
+        });
+        this._group.add(this._targetRow);
+
+        this._updateProfiles();
+
+        for (const key of ['claude-profiles', 'target-profile']) {
+            this._signalIds.push(
+                this._settings.connect(`changed::${key}`, () =>
+                    this._updateProfiles()
+                )
+            );
+        }
+
+        return this._group;
+    }
+
+    /**
+     * 刷新配置目录列表和目标选择
+     */
+    _updateProfiles() {
+        this._profiles = getProfiles(this._settings);
+
+        this._updatingProfiles = true;
+        this._targetRow.set_model(
+            Gtk.StringList.new(this._profiles.map((p) => this._getName(p)))
+        );
+        const targetId = this._settings.get_string('target-profile');
+        this._targetRow.set_selected(
+            Math.max(
+                0,
+                this._profiles.findIndex((p) => p.id === targetId)
+            )
+        );
+        this._updatingProfiles = false;
+
+        this._rows.forEach((row) => this._group.remove(row));
+        this._rows = this._profiles.map((profile) =>
+            this._createProfileRow(profile)
+        );
+        this._rows.forEach((row) => this._group.add(row));
+    }
+
+    /**
+     * 创建单个配置目录的行，默认配置目录不能删除
+     */
+    _createProfileRow(profile) {
+        const row = new Adw.ActionRow({
+            title: this._getName(profile),
+            subtitle: profile.path,
+        });
+        if (!profile.id) {
+            return row;
+        }
+
+        const removeButton = new Gtk.Button({
+            icon_name: 'user-trash-symbolic',
+            tooltip_text: _('Remove'),
+            valign: Gtk.Align.CENTER,
+            css_classes: ['flat'],
+        });
+        removeButton.connect('clicked', () => this._removeProfile(profile.id));
+        row.add_suffix(removeButton);
+        return row;
+    }
+
+    /**
+     * 获取显示名称
+     */
+    _getName(profile) {
+        return profile.name || _('Default Profile');
+    }
+
+    /**
+     * 选择配置目录
+     */
+    _showFolderChooser() {
+        const fileChooser = new Gtk.FileChooserDialog({
+            title: _('Add Profile'),
+            action: Gtk.FileChooserAction.SELECT_FOLDER,
+            transient_for: this._window,
+            modal: true,
+        });
+
+        fileChooser.add_button(_('Cancel'), Gtk.ResponseType.CANCEL);
+        fileChooser.add_button(_('Select'), Gtk.ResponseType.ACCEPT);
+
+        fileChooser.connect('response', (dialog, response) => {
+            const path =
+                response === Gtk.ResponseType.ACCEPT
+                    ? dialog.get_file()?.get_path()
+                    : null;
+            dialog.destroy();
+
+            if (path) {
+                this._addProfile(path);
+            }
+        });
+
+        fileChooser.show();
+    }
+
+    /**
+     * 添加配置目录，以目录名作为名称
+     */
+    _addProfile(path) {
+        const profiles = getProfiles(this._settings);
+        if (profiles.some((p) => p.path === path)) {
+            this._showToast(_('This profile is already in the list'));
+            return;
+        }
+
+        const configured = profiles.slice(1);
+        configured.push({
+            id: GLib.uuid_string_random(),
+            name: GLib.path_get_basename(path),
+            path,
+        });
+        this._settings.set_string('claude-profiles', JSON.stringify(configured));
+    }
+
+    /**
+     * 删除配置目录，是目标时改回默认配置目录
+     */
+    _removeProfile(id) {
+        if (this._settings.get_string('target-profile') === id) {
+            this._settings.set_string('target-profile', '');
+        }
+        if (this._settings.get_string('stats-profile') === id) {
+            this._settings.set_string('stats-profile', '');
+        }
+
+        const configured = getProfiles(this._settings)
+            .slice(1)
+            .filter((p) => p.id !== id);
+        this._settings.set_string('claude-profiles', JSON.stringify(configured));
+    }
+
+    /**
+     * 显示提示消息
+     */
+    _showToast(message) {
+        if (this._window && this._window.add_toast) {
+            this._window.add_toast(new Adw.Toast({ title: message }));
+        }
+    }
+
+    /**
+     * 清理资源
+     */
+    cleanup() {
+        if (this._settings) {
+            this._signalIds.forEach((id) => this._settings.disconnect(id));
+        }
+        this._signalIds = [];
+        this._rows = [];
+        this._profiles = [];
+        this._group = null;
+        this._targetRow = null;
+        this._window = null;
+        this._settings = null;
+    }
+}
@@ -0,0 +1,203 @@
+import Adw from 'gi://Adw';
+import GLib from 'gi://GLib';
+import Gtk from 'gi://Gtk';
+
+import { gettext as _ } from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
+
+/**
+ * @class ProjectOverridesGroup
+ * @description Creates and manages the "Projects" section, where project directories
+ * get their own provider through .claude/settings.local.json.
+ */
+export class ProjectOverridesGroup {
+    /**
+     * @param {Gio.Settings} settings - The GSettings object.
+     * @param {SettingsManager} settingsManager - The settings manager instance.
+     */
+    constructor(settings, settingsManager) {
+        this._settings = settings;
+        this._settingsManager = settingsManager;
+        this._signalIds = [];
+        this._rows = [];
+    }
+
+    /**
+     * 创建项目设置组
+     * @param {Adw.PreferencesWindow} window - 父窗口
+     * @returns {Adw.PreferencesGroup} 项目设置组
+     */
+    createProjectOverridesGroup(window) {
+        this._window = window;
+
+        this._group = new Adw.PreferencesGroup({
+            title: _('Projects'),
+            description: _(
+                'Use another provider inside a project directory. It is written to .claude/settings.local.json, which contains the API key and should not be committed.'
+            ),
+        });
+
+        const addButton = new Gtk.Button({
+            icon_name: 'list-add-symbolic',
+            tooltip_text: _('Add Project'),
+            valign: Gtk.Align.CENTER,
+            css_classes: ['flat'],
+        });
+        addButton.connect('clicked', () => this._showFolderChooser());
+        this._group.set_header_suffix(addButton);
+
+        this._updateRows();
+
+        for (const key of ['project-overrides', 'api-providers']) {
+            this._signalIds.push(
+                this._settings.connect(`changed::${key}`, () =>
+                    this._updateRows()
+                )
+            );
+        }
+
+        return this._group;
+    }
+
+    /**
+     * 重建项目列表
+     */
+    _updateRows() {
+        this._rows.forEach((row) => this._group.remove(row));
+        this._rows = [];
+
+        const providers = this._settingsManager.getAllProviders();
+        for (const override of this._settingsManager.getProjectOverrides()) {
+            const row = this._createProjectRow(override, providers);
+            this._group.add(row);
+            this._rows.push(row);
+        }
+
+        if (this._rows.length === 0) {
+            const emptyRow = new Adw.ActionRow({
+                title: _('No project overrides'),
+                sensitive: false,
+            });
+            this._group.add(emptyRow);
+            this._rows.push(emptyRow);
+        }
+    }
+
+    /**
+     * 创建单个项目的设置行
+     */
+    _createProjectRow(override, providers) {
+        const row = new Adw.ComboRow({
+            title: GLib.path_get_basename(override.path),
+            subtitle: override.path,
+            model: Gtk.StringList.new(providers.map((p) => p.name)),
+        });
+        const selected = providers.findIndex(
+            (p) => p.id === override.providerId
+        );
+        row.set_selected(
+            selected !== -1 ? selected : Gtk.INVALID_LIST_POSITION
+        );
+        row.connect('notify::selected', () => {
+            const provider = providers[row.get_selected()];
+            if (provider && provider.id !== override.providerId) {
+                this._settingsManager.setProjectOverrideProvider(
+                    override.id,
+                    provider.id
+                );
+            }
+        });
+
+        const removeButton = new Gtk.Button({
+            icon_name: 'user-trash-symbolic',
+            tooltip_text: _('Remove'),
+            valign: Gtk.Align.CENTER,
+            css_classes: ['flat'],
+        });
+        removeButton.connect('clicked', () => {
+            this._settingsManager
+                .removeProjectOverride(override.id)
+                .catch((e) => {
+                    console.error('Failed to remove project override:', e);
+                    this._showToast(_('Failed to remove the project'));
+                });
+        });
+        row.add_suffix(removeButton);
+
+        return row;
+    }
+
+    /**
+     * 选择项目目录
+     */
+    _showFolderChooser() {
+        const providers = this._settingsManager.getAllProviders();
+        if (providers.length === 0) {
+            this._showToast(_('Add a provider first'));
+            return;
+        }
+
+        const fileChooser = new Gtk.FileChooserDialog({
+            title: _('Add Project'),
+            action: Gtk.FileChooserAction.SELECT_FOLDER,
+            transient_for: this._window,
+            modal: true,
+        });
+
+        fileChooser.add_button(_('Cancel'), Gtk.ResponseType.CANCEL);
+        fileChooser.add_button(_('Select'), Gtk.ResponseType.ACCEPT);
+
+        fileChooser.connect('response', (dialog, response) => {
+            const path =
+                response === Gtk.ResponseType.ACCEPT
+                    ? dialog.get_file()?.get_path()
+                    : null;
+            dialog.destroy();
+
+            if (path) {
+                this._addProject(path, providers);
+            }
+        });
+
+        fileChooser.show();
+    }
+
+    /**
+     * 添加项目，默认使用当前提供商
+     */
+    _addProject(path, providers) {
+        const overrides = this._settingsManager.getProjectOverrides();
+        if (overrides.some((o) => o.path === path)) {
+            this._showToast(_('This project is already in the list'));
+            return;
+        }
+
+        const currentId = this._settings.get_string('current-provider');
+        const provider =
+            providers.find((p) => p.id === currentId) || providers[0];
+        this._settingsManager.addProjectOverride(path, provider.id);
+    }
+
+    /**
+     * 显示提示消息
+     */
+    _showToast(message) {
+        if (this._window && this._window.add_toast) {
+            this._window.add_toast(new Adw.Toast({ title: message }));
+        }
+    }
+
+    /**
+     * 清理资源
+     */
+    cleanup() {
+        if (this._settings) {
+            this._signalIds.forEach((id) => this._settings.disconnect(id));
+        }
+        this._signalIds = [];
+        this._rows = [];
+        this._group = null;
+        this._window = null;
+        this._settings = null;
+        this._settingsManager = null;
+    }
+}
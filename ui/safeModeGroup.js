@@ -0,0 +1,229 @@
+import Adw from 'gi://Adw';
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import Gtk from 'gi://Gtk';
+
+import { gettext as _ } from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
+
+/**
+ * @class SafeModeGroup
+ * @description Creates the warning shown while settings.json is malformed, with the
+ * ways out of safe mode: repairing the file, restoring a snapshot or overwriting it.
+ */
+export class SafeModeGroup {
+    /**
+     * @param {Gio.Settings} settings - The GSettings object.
+     * @param {SettingsManager} settingsManager - The settings manager instance.
+     */
+    constructor(settings, settingsManager) {
+        this._settings = settings;
+        this._settingsManager = settingsManager;
+        this._signalIds = [];
+    }
+
+    /**
+     * 创建安全模式提示组
+     * @param {Adw.PreferencesWindow} window - 父窗口
+     * @returns {Adw.PreferencesGroup} 安全模式提示组
+     */
+    createSafeModeGroup(window) {
+        this._window = window;
+
+        this._group = new Adw.PreferencesGroup({
+            title: _('Malformed settings.json'),
+        });
+        this._settings.bind(
+            'config-safe-mode',
+            this._group,
+            'visible',
+            Gio.SettingsBindFlags.GET
+        );
+
+        // 修复文件
+        const repairRow = new Adw.ActionRow({
+            title: _('Repair the File'),
+            subtitle: _('Fix the JSON in a text editor, then use it again'),
+        });
+        const openButton = new Gtk.Button({
+            label: _('Open in Editor'),
+            valign: Gtk.Align.CENTER,
+            css_classes: ['flat'],
+        });
+        openButton.connect('clicked', () => this._openInEditor());
+        const useButton = new Gtk.Button({
+            label: _('Use Repaired File'),
+            valign: Gtk.Align.CENTER,
+        });
+        useButton.connect('clicked', () => this._useRepairedFile());
+        repairRow.add_suffix(openButton);
+        repairRow.add_suffix(useButton);
+        this._group.add(repairRow);
+
+        // 恢复快照
+        const restoreRow = new Adw.ActionRow({
+            title: _('Restore Backup'),
+            subtitle: _('Use the newest valid snapshot from the History page'),
+        });
+        const restoreButton = new Gtk.Button({
+            label: _('Restore'),
+            valign: Gtk.Align.CENTER,
+        });
+        restoreButton.connect('clicked', () => this._restoreBackup());
+        restoreRow.add_suffix(restoreButton);
+        this._group.add(restoreRow);
+
+        // 强制覆盖
+        const overwriteRow = new Adw.ActionRow({
+            title: _('Overwrite Anyway'),
+            subtitle: _(
+                'Write a new file; permissions, hooks and other keys in the broken file are lost'
+            ),
+        });
+        const overwriteButton = new Gtk.Button({
+            label: _('Overwrite'),
+            valign: Gtk.Align.CENTER,
+            css_classes: ['destructive-action'],
+        });
+        overwriteButton.connect('clicked', () => this._confirmOverwrite());
+        overwriteRow.add_suffix(overwriteButton);
+        this._group.add(overwriteRow);
+
+        this._updateDescription();
+        this._signalIds.push(
+            this._settings.connect('changed::config-corrupt-path', () =>
+                this._updateDescription()
+            )
+        );
+
+        return this._group;
+    }
+
+    /**
+     * 更新说明文字
+     */
+    _updateDescription() {
+        const corruptPath = this._settingsManager.getCorruptConfigPath();
+        let description = _(
+            'Claude Code settings.json could not be parsed. Changes are not written to it until it is fixed.'
+        );
+        if (corruptPath) {
+            description += '\n' + _('The file was moved to ') + corruptPath;
+        }
+        this._group.set_description(description);
+    }
+
+    /**
+     * 用默认程序打开损坏的文件
+     */
+    _openInEditor() {
+        const path = this._settingsManager.getMalformedConfigPath();
+        try {
+            Gio.AppInfo.launch_default_for_uri(
+                GLib.filename_to_uri(path, null),
+                null
+            );
+        } catch (e) {
+            console.error('Failed to open malformed config file:', e);
+            this._showToast(_('Failed to open ') + path);
+        }
+    }
+
+    /**
+     * 使用修复后的文件
+     */
+    _useRepairedFile() {
+        this._settingsManager
+            .restoreRepairedConfig()
+            .then((restored) =>
+                this._showToast(
+                    restored
+                        ? _('Repaired file restored')
+                        : _('The file is still not valid JSON')
+                )
+            )
+            .catch((e) => {
+                console.error('Failed to restore repaired config file:', e);
+                this._showToast(_('Failed to restore the file'));
+            });
+    }
+
+    /**
+     * 恢复最近的有效快照
+     */
+    _restoreBackup() {
+        this._settingsManager
+            .restoreLatestValidBackup()
+            .then((restored) =>
+                this._showToast(
+                    restored
+                        ? _('Snapshot restored')
+                        : _('No valid snapshot found')
+                )
+            )
+            .catch((e) => {
+                console.error('Failed to restore snapshot:', e);
+                this._showToast(_('Failed to restore snapshot'));
+            });
+    }
+
+    /**
+     * 确认并覆盖损坏的文件
+     */
+    _confirmOverwrite() {
+        const dialog = new Adw.MessageDialog({
+            transient_for: this._window,
+            heading: _('Overwrite settings.json?'),
+            body: _(
+                'A new file is generated from the current provider. Everything else in the broken file is lost.'
+            ),
+        });
+        dialog.add_response('cancel', _('Cancel'));
+        dialog.add_response('overwrite', _('Overwrite'));
+        dialog.set_response_appearance(
+            'overwrite',
+            Adw.ResponseAppearance.DESTRUCTIVE
+        );
+
+        dialog.connect('response', (dialog, response) => {
+            if (response === 'overwrite') {
+                this._settingsManager
+                    .overwriteMalformedConfig()
+                    .then(() =>
+                        this._showToast(_('settings.json overwritten'))
+                    )
+                    .catch((e) => {
+                        console.error('Failed to overwrite config file:', e);
+                        this._showToast(
+                            _('Failed to overwrite settings.json')
+                        );
+                    });
+            }
+            dialog.destroy();
+        });
+
+        dialog.present();
+    }
+
+    /**
+     * 显示提示消息
+     */
+    _showToast(message) {
+        if (this._window && this._window.add_toast) {
+            this._window.add_toast(new Adw.Toast({ title: message }));
+        }
+    }
+
+    /**
+     * 清理资源
+     */
+    cleanup() {
+        if (this._settings) {
+            this._signalIds.forEach((id) => this._settings.disconnect(id));
+        }
+        this._signalIds = [];
+        this._group = null;
+        this._window = null;
+        this._settings = null;
+        this._settingsManager = null;
+    }
+}
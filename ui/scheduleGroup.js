@@ -0,0 +1,301 @@
+import Adw from 'gi://Adw';
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import Gtk from 'gi://Gtk';
+
+import { gettext as _ } from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
+
+import { formatTime, parseRules, parseTime } from '../lib/scheduleRules.js';
+
+// 周一到周日的显示顺序（0 = 周日）
+const WEEKDAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+/**
+ * 获取本地化的星期缩写
+ * @param {number} day - 0 = 周日
+ * @returns {string}
+ */
+function weekdayName(day) {
+    // 2024-01-07 是周日
+    return GLib.DateTime.new_local(2024, 1, 7 + day, 0, 0, 0).format('%a');
+}
+
+/**
+ * @class ScheduleGroup
+ * @description Creates and manages the "Schedules" section in the preferences window.
+ */
+export class ScheduleGroup {
+    /**
+     * @param {Gio.Settings} settings - The GSettings object.
+     * @param {SettingsManager} settingsManager - The settings manager instance.
+     */
+    constructor(settings, settingsManager) {
+        this._settings = settings;
+        this._settingsManager = settingsManager;
+        this._ruleRows = [];
+        this._signalIds = [];
+        this._saving = false;
+    }
+
+    /**
+     * 创建定时切换设置组
+     * @returns {Adw.PreferencesGroup} 定时切换设置组
+     */
+    createScheduleGroup() {
+        this._group = new Adw.PreferencesGroup({
+            title: _('Schedules'),
+            description: _(
+                'Switch providers at set times. The first matching rule wins; switching manually from the panel pauses the schedule until the next rule boundary.'
+            ),
+        });
+
+        this._addButton = new Gtk.Button({
+            icon_name: 'list-add-symbolic',
+            valign: Gtk.Align.CENTER,
+            css_classes: ['flat'],
+            tooltip_text: _('Add Rule'),
+        });
+        this._addButton.connect('clicked', () => this._addRule());
+        this._group.set_header_suffix(this._addButton);
+
+        const enableRow = new Adw.SwitchRow({
+            title: _('Enable Schedules'),
+        });
+        this._settings.bind(
+            'schedule-enabled',
+            enableRow,
+            'active',
+            Gio.SettingsBindFlags.DEFAULT
+        );
+        this._group.add(enableRow);
+
+        this._rebuildRuleRows();
+
+        const rebuild = () => {
+            if (!this._saving) {
+                this._rebuildRuleRows();
+            }
+        };
+        this._signalIds.push(
+            this._settings.connect('changed::schedule-rules', rebuild),
+            this._settings.connect('changed::api-providers', rebuild)
+        );
+
+        return this._group;
+    }
+
+    /**
+     * 重建规则列表
+     */
+    _rebuildRuleRows() {
+        this._ruleRows.forEach((row) => this._group.remove(row));
+        this._ruleRows = [];
+
+        const providers = this._settingsManager.getAllProviders();
+        this._addButton.set_sensitive(providers.length > 0);
+
+        const rules = parseRules(this._settings.get_string('schedule-rules'));
+        rules.forEach((rule, index) => {
+            const row = this._createRuleRow(rules, index, providers);
+            this._group.add(row);
+            this._ruleRows.push(row);
+        });
+    }
+
+    /**
+     * 创建单条规则的行
+     */
+    _createRuleRow(rules, index, providers) {
+        const rule = rules[index];
+
+        const row = new Adw.ExpanderRow();
+        const updateTitle = () => {
+            const provider = providers.find((p) => p.id === rule.providerId);
+            row.set_title(provider ? provider.name : _('Unknown provider'));
+            row.set_subtitle(this._describeRule(rule));
+        };
+        updateTitle();
+
+        // 星期选择
+        const daysRow = new Adw.ActionRow({ title: _('Days') });
+        const daysBox = new Gtk.Box({
+            valign: Gtk.Align.CENTER,
+            css_classes: ['linked'],
+        });
+        WEEKDAY_ORDER.forEach((day) => {
+            const toggle = new Gtk.ToggleButton({
+                label: weekdayName(day),
+                active: rule.days.includes(day),
+            });
+            toggle.connect('toggled', () => {
+                rule.days = toggle.get_active()
+                    ? [...rule.days, day].sort()
+                    : rule.days.filter((d) => d !== day);
+                updateTitle();
+                this._saveRules(rules);
+            });
+            daysBox.append(toggle);
+        });
+        daysRow.add_suffix(daysBox);
+        row.add_row(daysRow);
+
+        row.add_row(
+            this._createTimeRow(_('Start (HH:MM)'), rule.start, (time) => {
+                rule.start = time;
+                updateTitle();
+                this._saveRules(rules);
+            })
+        );
+        row.add_row(
+            this._createTimeRow(_('End (HH:MM)'), rule.end, (time) => {
+                rule.end = time;
+                updateTitle();
+                this._saveRules(rules);
+            })
+        );
+
+        // 提供商选择
+        const providerRow = new Adw.ComboRow({
+            title: _('Provider'),
+            model: Gtk.StringList.new(providers.map((p) => p.name)),
+        });
+        const selected = providers.findIndex((p) => p.id === rule.providerId);
+        if (selected !== -1) {
+            providerRow.set_selected(selected);
+        }
+        providerRow.connect('notify::selected', () => {
+            const provider = providers[providerRow.get_selected()];
+            if (provider) {
+                rule.providerId = provider.id;
+                updateTitle();
+                this._saveRules(rules);
+            }
+        });
+        row.add_row(providerRow);
+
+        // 排序和删除
+        const actionsRow = new Adw.ActionRow({
+            title: _('Priority: ') + (index + 1),
+        });
+        const upButton = new Gtk.Button({
+            icon_name: 'go-up-symbolic',
+            valign: Gtk.Align.CENTER,
+            css_classes: ['flat'],
+            tooltip_text: _('Move up'),
+            sensitive: index > 0,
+        });
+        upButton.connect('clicked', () => {
+            [rules[index - 1], rules[index]] = [
+                rules[index],
+                rules[index - 1],
+            ];
+            this._saveRules(rules);
+            this._rebuildRuleRows();
+        });
+        const deleteButton = new Gtk.Button({
+            label: _('Delete'),
+            valign: Gtk.Align.CENTER,
+            css_classes: ['destructive-action'],
+        });
+        deleteButton.connect('clicked', () => {
+            rules.splice(index, 1);
+            this._saveRules(rules);
+            this._rebuildRuleRows();
+        });
+        actionsRow.add_suffix(upButton);
+        actionsRow.add_suffix(deleteButton);
+        row.add_row(actionsRow);
+
+        return row;
+    }
+
+    /**
+     * 创建时间输入行，仅在输入有效时保存
+     */
+    _createTimeRow(title, value, onChanged) {
+        const timeRow = new Adw.EntryRow({
+            title,
+            text: value,
+            show_apply_button: true,
+        });
+        timeRow.connect('apply', () => {
+            const minutes = parseTime(timeRow.get_text());
+            if (minutes === null) {
+                timeRow.add_css_class('error');
+                return;
+            }
+            timeRow.remove_css_class('error');
+
+            const time = formatTime(minutes);
+            timeRow.set_text(time);
+            onChanged(time);
+        });
+        return timeRow;
+    }
+
+    /**
+     * 生成规则摘要，例如 "Mon Tue · 09:00–18:00"
+     */
+    _describeRule(rule) {
+        const days = WEEKDAY_ORDER.filter((day) => rule.days.includes(day))
+            .map((day) => weekdayName(day))
+            .join(' ');
+        let summary = `${days || _('No days')} · ${rule.start}–${rule.end}`;
+        if (parseTime(rule.end) <= parseTime(rule.start)) {
+            summary += ` (${_('overnight')})`;
+        }
+        return summary;
+    }
+
+    /**
+     * 添加新规则（默认工作日 09:00–18:00）
+     */
+    _addRule() {
+        const providers = this._settingsManager.getAllProviders();
+        if (providers.length === 0) {
+            return;
+        }
+
+        const currentId = this._settings.get_string('current-provider');
+        const rules = parseRules(this._settings.get_string('schedule-rules'));
+        rules.push({
+            id: GLib.uuid_string_random(),
+            days: [1, 2, 3, 4, 5],
+            start: '09:00',
+            end: '18:00',
+            providerId: providers.some((p) => p.id === currentId)
+                ? currentId
+                : providers[0].id,
+        });
+        this._saveRules(rules);
+        this._rebuildRuleRows();
+        this._ruleRows[this._ruleRows.length - 1].set_expanded(true);
+    }
+
+    /**
+     * 保存规则（不触发列表重建）
+     */
+    _saveRules(rules) {
+        this._saving = true;
+        try {
+            this._settings.set_string('schedule-rules', JSON.stringify(rules));
+        } finally {
+            this._saving = false;
+        }
+    }
+
+    /**
+     * 清理资源
+     */
+    cleanup() {
+        if (this._settings) {
+            this._signalIds.forEach((id) => this._settings.disconnect(id));
+        }
+        this._signalIds = [];
+        this._ruleRows = [];
+        this._group = null;
+        this._addButton = null;
+        this._settings = null;
+        this._settingsManager = null;
+    }
+}
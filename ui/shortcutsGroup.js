@@ -0,0 +1,213 @@
+import Adw from 'gi://Adw';
+import Gdk from 'gi://Gdk';
+import Gtk from 'gi://Gtk';
+
+import { gettext as _ } from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
+
+/**
+ * @class ShortcutsGroup
+ * @description Creates and manages the "Keyboard Shortcuts" section: switching to the
+ * next provider, opening the provider switcher and a shortcut per provider.
+ */
+export class ShortcutsGroup {
+    /**
+     * @param {Gio.Settings} settings - The GSettings object.
+     * @param {SettingsManager} settingsManager - The settings manager instance.
+     */
+    constructor(settings, settingsManager) {
+        this._settings = settings;
+        this._settingsManager = settingsManager;
+        this._signalIds = [];
+        this._rows = [];
+    }
+
+    /**
+     * 创建快捷键设置组
+     * @param {Adw.PreferencesWindow} window - 父窗口
+     * @returns {Adw.PreferencesGroup} 快捷键设置组
+     */
+    createShortcutsGroup(window) {
+        this._window = window;
+
+        this._group = new Adw.PreferencesGroup({
+            title: _('Keyboard Shortcuts'),
+            description: _(
+                'Global shortcuts for switching providers. Switches are notified and synced like in the panel menu.'
+            ),
+        });
+
+        const keybindings = [
+            ['cycle-provider-shortcut', _('Next Provider')],
+            ['provider-switcher-shortcut', _('Open Provider Switcher')],
+        ];
+        for (const [key, title] of keybindings) {
+            this._group.add(
+                this._createShortcutRow(
+                    title,
+                    () => this._settings.get_strv(key)[0] || '',
+                    (accelerator) =>
+                        this._settings.set_strv(
+                            key,
+                            accelerator ? [accelerator] : []
+                        ),
+                    key
+                )
+            );
+        }
+
+        this._updateProviderRows();
+
+        for (const key of ['api-providers', 'provider-shortcuts']) {
+            this._signalIds.push(
+                this._settings.connect(`changed::${key}`, () =>
+                    this._updateProviderRows()
+                )
+            );
+        }
+
+        return this._group;
+    }
+
+    /**
+     * 重建每个提供商的快捷键行
+     */
+    _updateProviderRows() {
+        this._rows.forEach((row) => this._group.remove(row));
+
+        const shortcuts = this._settingsManager.getProviderShortcuts();
+        this._rows = this._settingsManager
+            .getAllProviders()
+            .filter((p) => p && typeof p.name === 'string')
+            .map((provider) =>
+                this._createShortcutRow(
+                    _('Switch to ') + provider.name,
+                    () => shortcuts[provider.id] || '',
+                    (accelerator) =>
+                        this._settingsManager.setProviderShortcut(
+                            provider.id,
+                            accelerator
+                        )
+                )
+            );
+        this._rows.forEach((row) => this._group.add(row));
+    }
+
+    /**
+     * 创建快捷键行，点击后录入新的快捷键
+     * settingsKey 不为空时随设置变化刷新
+     */
+    _createShortcutRow(
+        title,
+        getAccelerator,
+        setAccelerator,
+        settingsKey = ''
+    ) {
+        const row = new Adw.ActionRow({
+            title,
+            activatable: true,
+        });
+
+        const shortcutLabel = new Gtk.ShortcutLabel({
+            disabled_text: _('Disabled'),
+            valign: Gtk.Align.CENTER,
+        });
+        row.add_suffix(shortcutLabel);
+
+        const clearButton = new Gtk.Button({
+            icon_name: 'edit-clear-symbolic',
+            tooltip_text: _('Clear'),
+            valign: Gtk.Align.CENTER,
+            css_classes: ['flat'],
+        });
+        clearButton.connect('clicked', () => setAccelerator(''));
+        row.add_suffix(clearButton);
+
+        const update = () => {
+            const accelerator = getAccelerator();
+            shortcutLabel.set_accelerator(accelerator);
+            clearButton.set_sensitive(accelerator !== '');
+        };
+        update();
+
+        if (settingsKey) {
+            this._signalIds.push(
+                this._settings.connect(`changed::${settingsKey}`, update)
+            );
+        }
+
+        row.connect('activated', () =>
+            this._showShortcutDialog(title, setAccelerator)
+        );
+        return row;
+    }
+
+    /**
+     * 显示录入快捷键的对话框
+     * Esc 取消，退格键清除
+     */
+    _showShortcutDialog(title, setAccelerator) {
+        const dialog = new Adw.MessageDialog({
+            transient_for: this._window,
+            heading: title,
+            body: _(
+                'Press the new shortcut, Escape to cancel or Backspace to disable it.'
+            ),
+        });
+        dialog.add_response('cancel', _('Cancel'));
+
+        const controller = new Gtk.EventControllerKey({
+            propagation_phase: Gtk.PropagationPhase.CAPTURE,
+        });
+        controller.connect('key-pressed', (_ctrl, keyval, keycode, state) => {
+            const mask =
+                state &
+                Gtk.accelerator_get_default_mod_mask() &
+                ~Gdk.ModifierType.LOCK_MASK;
+
+            if (mask === 0 && keyval === Gdk.KEY_Escape) {
+                dialog.close();
+                return Gdk.EVENT_STOP;
+            }
+            if (mask === 0 && keyval === Gdk.KEY_BackSpace) {
+                setAccelerator('');
+                dialog.close();
+                return Gdk.EVENT_STOP;
+            }
+
+            // 忽略单独的修饰键和无效组合；除功能键外需要修饰键，
+            // 否则会占用普通按键
+            const isFunctionKey =
+                keyval >= Gdk.KEY_F1 && keyval <= Gdk.KEY_F35;
+            if (
+                !Gtk.accelerator_valid(keyval, mask) ||
+                (mask === 0 && !isFunctionKey)
+            ) {
+                return Gdk.EVENT_STOP;
+            }
+
+            setAccelerator(
+                Gtk.accelerator_name_with_keycode(null, keyval, keycode, mask)
+            );
+            dialog.close();
+            return Gdk.EVENT_STOP;
+        });
+        dialog.add_controller(controller);
+
+        dialog.present();
+    }
+
+    /**
+     * 清理资源
+     */
+    cleanup() {
+        if (this._settings) {
+            this._signalIds.forEach((id) => this._settings.disconnect(id));
+        }
+        this._signalIds = [];
+        this._rows = [];
+        this._group = null;
+        this._window = null;
+        this._settings = null;
+        this._settingsManager = null;
+    }
+}
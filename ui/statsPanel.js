@@ -5,6 +5,11 @@ import GLib from 'gi://GLib';
 
 import { gettext as _ } from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
 import { TokenStatsManager, TokenStats } from '../lib/tokenStats.js';
+import {
+    ALL_PROFILES,
+    getProfileRoots,
+    getProfiles,
+} from '../lib/claudeProfiles.js';
 
 /**
  * @class StatsPanel
@@ -13,9 +18,12 @@ import { TokenStatsManager, TokenStats } from '../lib/tokenStats.js';
 export class StatsPanel {
     /**
      * @param {string} extensionPath - The path to the extension directory.
+     * @param {Gio.Settings} settings - The GSettings object.
      */
-    constructor(extensionPath) {
+    constructor(extensionPath, settings) {
         this.extensionPath = extensionPath;
+        this._settings = settings;
+        this._signalIds = [];
         this.tokenStatsManager = new TokenStatsManager();
         this.parentWindow = null; // 添加父窗口引用
         this.statsWidgets = {
@@ -24,6 +32,7 @@ export class StatsPanel {
             totalTokensLabel: null,
             lastUpdatedLabel: null,
             refreshButton: null,
+            profileDropDown: null,
         };
     }
 
@@ -110,6 +119,28 @@ export class StatsPanel {
             label: _('Not loaded yet'),
         });
 
+        // 选择统计的配置目录，只有一个时不显示
+        this.statsWidgets.profileDropDown = new Gtk.DropDown({
+            tooltip_text: _('Claude Code Profile'),
+        });
+        this.statsWidgets.profileDropDown.connect('notify::selected', () => {
+            const profileId =
+                this._profileIds[
+                    this.statsWidgets.profileDropDown.get_selected()
+                ];
+            if (profileId !== undefined && !this._updatingProfiles) {
+                this._settings.set_string('stats-profile', profileId);
+                this._refreshTokenStats();
+            }
+        });
+        this._updateProfiles();
+        this._signalIds.push(
+            this._settings.connect('changed::claude-profiles', () =>
+                this._updateProfiles()
+            )
+        );
+
+        controlsBox.append(this.statsWidgets.profileDropDown);
         controlsBox.append(this.statsWidgets.refreshButton);
         controlsBox.append(this.statsWidgets.lastUpdatedLabel);
 
@@ -259,6 +290,40 @@ export class StatsPanel {
         return cardButton;
     }
 
+    /**
+     * 刷新配置目录列表
+     */
+    _updateProfiles() {
+        const profiles = getProfiles(this._settings);
+        this._profileIds = [...profiles.map((p) => p.id), ALL_PROFILES];
+        const names = [
+            ...profiles.map((p) => p.name || _('Default Profile')),
+            _('All Profiles'),
+        ];
+
+        const selectedId = this._settings.get_string('stats-profile');
+        const selected = this._profileIds.indexOf(selectedId);
+
+        this._updatingProfiles = true;
+        const dropDown = this.statsWidgets.profileDropDown;
+        dropDown.set_model(Gtk.StringList.new(names));
+        dropDown.set_selected(Math.max(0, selected));
+        dropDown.set_visible(profiles.length > 1);
+        this._updatingProfiles = false;
+    }
+
+    /**
+     * 让统计读取所选配置目录的日志
+     */
+    _applyProfileSelection() {
+        this.tokenStatsManager.setClaudePaths(
+            getProfileRoots(
+                this._settings,
+                this._settings.get_string('stats-profile')
+            )
+        );
+    }
+
     /**
      * 刷新 Token 统计数据 (优化版本)
      */
@@ -292,6 +357,7 @@ export class StatsPanel {
     async _performStatsRefresh() {
         try {
             // 异步获取统计数据
+            this._applyProfileSelection();
             const stats = await this.tokenStatsManager.getTokenStatsAsync();
 
             // 检查组件是否仍然有效
@@ -352,6 +418,7 @@ export class StatsPanel {
             const { SessionDetailDialog } = await import(
                 '../ui/sessionDialog.js'
             );
+            this._applyProfileSelection();
             const dialog = new SessionDetailDialog(
                 this.extensionPath,
                 this.tokenStatsManager
@@ -371,8 +438,14 @@ export class StatsPanel {
             this.statsWidgets[key] = null;
         });
 
+        if (this._settings) {
+            this._signalIds.forEach((id) => this._settings.disconnect(id));
+        }
+        this._signalIds = [];
+
         // 清理其他引用
         this.extensionPath = null;
+        this._settings = null;
         this.tokenStatsManager = null;
         this.parentWindow = null;
         this._isRefreshing = false;